@@ -29,10 +29,230 @@ const config = {
     logSecurityEvents: true,
   },
 
-  // Gemini AI configuration
+  // Upload file untuk endpoint multimodal (disimpan di memori, tidak ke disk)
+  uploads: {
+    image: {
+      field: "image",
+      maxBytes: 5 * 1024 * 1024, // 5 MB
+      mimeTypes: ["image/jpeg", "image/png", "image/webp", "image/gif", "image/heic", "image/heif"],
+    },
+    audio: {
+      field: "audio",
+      maxBytes: 10 * 1024 * 1024, // 10 MB
+      mimeTypes: [
+        "audio/mpeg",
+        "audio/mp3",
+        "audio/wav",
+        "audio/x-wav",
+        "audio/ogg",
+        "audio/webm",
+        "audio/aac",
+        "audio/flac",
+        "audio/mp4",
+      ],
+    },
+    document: {
+      field: "document",
+      maxBytes: 10 * 1024 * 1024, // 10 MB
+      mimeTypes: ["application/pdf", "text/plain", "text/markdown", "text/csv"],
+      // Dokumen yang disimpan untuk tanya jawab di /api/chat (POST /api/documents)
+      maxPerConversation: 3,
+      maxTextLength: 100000, // Karakter untuk dokumen teks; PDF dikirim utuh ke model
+      // Dokumen dikirim ulang setiap giliran: teks dipotong, PDF yang tidak muat dilewati
+      maxContextTokens: 8000, // Estimasi token semua dokumen teks per giliran
+      maxContextPdfBytes: 10 * 1024 * 1024, // Total PDF per giliran
+      maxStoreBytes: 200 * 1024 * 1024, // Total dokumen di conversation store (semua session)
+    },
+  },
+
+  // AI configuration
   ai: {
-    model: "gemini-2.5-flash",
-    maxTokens: 250,
+    model: process.env.AI_DEFAULT_MODEL || "gemini-2.5-flash", // Model default
+    maxTokens: 250, // Default maxOutputTokens
+
+    // Default parameter generation, bisa di-override per request dalam batas limits
+    generation: {
+      temperature: 0.7,
+      topP: 0.95,
+      safetyThreshold: "BLOCK_MEDIUM_AND_ABOVE",
+      limits: {
+        maxOutputTokens: { min: 16, max: 1024 },
+        temperature: { min: 0, max: 1.5 },
+        topP: { min: 0.1, max: 1 },
+        // BLOCK_NONE sengaja tidak diizinkan dari client
+        safetyThresholds: [
+          "BLOCK_LOW_AND_ABOVE",
+          "BLOCK_MEDIUM_AND_ABOVE",
+          "BLOCK_ONLY_HIGH",
+        ],
+      },
+    },
+
+    // Analisis tata bahasa untuk pelajar (opsi "correction" di /api/chat)
+    correction: {
+      maxOutputTokens: 500,
+      temperature: 0.1,
+    },
+
+    // Usulan kosakata dari balasan bot (POST /api/vocabulary/suggest)
+    vocabulary: {
+      maxOutputTokens: 800,
+      temperature: 0.2,
+      maxSuggestions: 8,
+      maxTextLength: 4000,
+    },
+
+    // Kuis pilihan ganda (POST /api/quiz)
+    quiz: {
+      maxOutputTokens: 3000,
+      temperature: 0.7,
+      defaultCount: 5,
+      maxCount: 10,
+      maxTopicLength: 100,
+      difficulties: ["mudah", "sedang", "sulit"],
+      optionCount: 4,
+      maxAttempts: 2, // Output model yang tidak valid diminta ulang sekali
+    },
+
+    // Latihan pelafalan dari rekaman suara (POST /api/pronunciation)
+    pronunciation: {
+      maxOutputTokens: 800,
+      temperature: 0.1,
+      maxTargetLength: 200,
+      minDurationSeconds: 0.5,
+      maxDurationSeconds: 30,
+      // Batas kasar untuk format terkompresi yang durasinya tidak bisa dibaca dari header
+      maxBytesPerSecond: 48 * 1024,
+    },
+
+    // Balasan JSON sesuai schema (opsi "schema"/"responseSchema" di /api/chat)
+    structuredOutput: {
+      maxSchemaLength: 10000,
+      maxCachedSchemas: 100, // Validator responseSchema yang disimpan (berdasarkan hash schema)
+    },
+
+    // Provider yang tersedia: gemini | openai (OpenAI-compatible) | mock
+    providers: {
+      gemini: {
+        type: "gemini",
+        apiKey: process.env.GEMINI_API_KEY,
+      },
+      local: {
+        type: "openai",
+        baseUrl: process.env.OPENAI_BASE_URL || "http://localhost:11434/v1",
+        apiKey: process.env.OPENAI_API_KEY,
+      },
+      mock: {
+        type: "mock",
+      },
+    },
+
+    // Registry model: id yang dipilih user -> provider yang melayaninya
+    // enabled: false menyembunyikan model dari API dan UI
+    models: [
+      {
+        id: "gemini-2.5-flash",
+        provider: "gemini",
+        label: "Gemini 2.5 Flash",
+        description: "Cepat",
+        maxInputLength: 1000,
+        supportsImages: true,
+        supportsAudio: true,
+        supportsDocuments: true,
+      },
+      {
+        id: "gemini-2.5-pro",
+        provider: "gemini",
+        label: "Gemini 2.5 Pro",
+        description: "Akurat",
+        maxInputLength: 1000,
+        supportsImages: true,
+        supportsAudio: true,
+        supportsDocuments: true,
+      },
+      {
+        id: "local",
+        provider: "local",
+        providerModel: process.env.OPENAI_MODEL || "llama3.1",
+        label: "Model Lokal",
+        description: "Offline",
+        maxInputLength: 1000,
+        // Aktifkan jika model lokal mendukung input gambar (mis. llava)
+        supportsImages: process.env.OPENAI_SUPPORTS_IMAGES === "true",
+        supportsAudio: false,
+        supportsDocuments: false, // Dokumen teks tetap bisa dipakai, PDF tidak
+        enabled: process.env.OPENAI_MODEL !== undefined,
+      },
+      {
+        id: "mock-echo",
+        provider: "mock",
+        label: "Mock Echo",
+        description: "Testing",
+        maxInputLength: 1000,
+        supportsImages: true,
+        supportsAudio: true,
+        supportsDocuments: true,
+        enabled: process.env.AI_ENABLE_MOCK === "true",
+      },
+    ],
+  },
+
+  // Session cookie configuration
+  session: {
+    secret: process.env.SESSION_SECRET,
+    cookieName: "sn_session",
+    maxAgeMs: 30 * 24 * 60 * 60 * 1000, // 30 hari
+  },
+
+  // Conversation history storage
+  conversation: {
+    store: process.env.CONVERSATION_STORE || "memory", // memory | sqlite | redis
+    maxLength: 50, // Batas keras 50 exchange (100 messages); normalnya history diringkas lebih dulu
+    contextWindow: process.env.CONVERSATION_CONTEXT_WINDOW
+      ? parseInt(process.env.CONVERSATION_CONTEXT_WINDOW, 10)
+      : 8, // Maks. pesan dikirim ke model (0 = hanya dibatasi token)
+    tokenBudget: parseInt(process.env.CONVERSATION_TOKEN_BUDGET, 10) || 2000, // Estimasi token untuk ringkasan + history
+    summaryMaxTokens: 300, // Panjang maksimal ringkasan
+    ttlMs: 30 * 60 * 1000, // Hapus percakapan yang tidak aktif 30 menit
+    cleanupIntervalMs: 5 * 60 * 1000, // Cek percakapan kadaluarsa tiap 5 menit
+    sqlitePath: process.env.SQLITE_PATH || "data/conversations.db",
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    redisConnectTimeoutMs: 5000, // Batas waktu satu percobaan koneksi Redis
+    redisConnectRetries: 3, // Percobaan ulang saat start sebelum server menyerah
+  },
+
+  // Knowledge base lokal untuk jawaban berbasis referensi (npm run ingest)
+  knowledge: {
+    enabled: process.env.KNOWLEDGE_ENABLED !== "false",
+    sourceDir: process.env.KNOWLEDGE_DIR || "knowledge", // Folder Markdown/teks, relatif ke backend/
+    indexPath: process.env.KNOWLEDGE_INDEX_PATH || "data/knowledge-index.json",
+    chunkMaxChars: 800, // Panjang maksimal satu potongan
+    topK: 3, // Jumlah potongan yang disisipkan ke system instruction
+    minScore: 1.5, // Skor BM25 minimal agar potongan dianggap relevan
+    // Opsional: gabungkan BM25 dengan kemiripan embedding (indeks harus dibuat dengan --embeddings)
+    embeddings: {
+      enabled: process.env.KNOWLEDGE_EMBEDDINGS === "true",
+      provider: process.env.KNOWLEDGE_EMBEDDING_PROVIDER || "gemini",
+      model: process.env.KNOWLEDGE_EMBEDDING_MODEL || "gemini-embedding-001",
+      minSimilarity: 0.6, // Cosine similarity minimal untuk hasil dari embedding
+    },
+  },
+
+  // Penilaian jawaban (👍/👎) untuk evaluasi model dan prompt (npm run feedback:report)
+  feedback: {
+    store: process.env.FEEDBACK_STORE || "file", // file | sqlite
+    filePath: process.env.FEEDBACK_FILE_PATH || "data/feedback.jsonl",
+    sqlitePath: process.env.FEEDBACK_SQLITE_PATH || "data/feedback.db",
+    ratings: ["up", "down"],
+    maxCommentLength: 500,
+    maxReplyLength: 20000, // Hanya untuk giliran yang sudah tidak ada di conversation store
+  },
+
+  // Debug endpoints (/api/debug/*), default aktif kecuali di production
+  debug: {
+    enableEndpoints:
+      process.env.ENABLE_DEBUG_ENDPOINTS === "true" ||
+      (process.env.ENABLE_DEBUG_ENDPOINTS === undefined && process.env.NODE_ENV !== "production"),
   },
 
   // Environment
@@ -49,7 +269,23 @@ const config = {
  * Validate required environment variables
  */
 function validateConfig() {
-  const required = ["GEMINI_API_KEY"];
+  const required = [];
+
+  // API key Gemini hanya wajib jika ada model aktif yang memakai Gemini
+  const usesGemini = config.ai.models.some(
+    (model) =>
+      model.enabled !== false &&
+      config.ai.providers[model.provider]?.type === "gemini"
+  );
+  if (usesGemini) {
+    required.push("GEMINI_API_KEY");
+  }
+
+  // Di production session harus bertahan saat restart
+  if (config.env === "production") {
+    required.push("SESSION_SECRET");
+  }
+
   const missing = required.filter((key) => !process.env[key]);
 
   if (missing.length > 0) {
@@ -57,6 +293,12 @@ function validateConfig() {
       `Missing required environment variables: ${missing.join(", ")}`
     );
   }
+
+  if (!config.session.secret) {
+    console.warn(
+      "SESSION_SECRET tidak diset, session cookie akan tidak valid setelah server restart."
+    );
+  }
 }
 
 module.exports = {
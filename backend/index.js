@@ -16,9 +16,47 @@ const { config, validateConfig } = require("./config/app");
 const { rateLimitMiddleware } = require("./middleware/rateLimit");
 const {
   validateMessageMiddleware,
+  validateConversationMiddleware,
+  validateTurnMiddleware,
+  validateGenerationMiddleware,
+  validateStructuredOutputMiddleware,
+  validateImageAttachmentMiddleware,
+  validateQuizMiddleware,
+  validatePronunciationMiddleware,
+  validateFeedbackMiddleware,
   securityHeadersMiddleware,
 } = require("./middleware/security");
-const { handleChatRequest, handleHealthCheck, handleClearConversation } = require("./routes/chat");
+const { sessionMiddleware } = require("./middleware/session");
+const { formFieldsMiddleware, createUploadMiddleware } = require("./middleware/upload");
+const { createStoreAvailabilityMiddleware } = require("./middleware/storeAvailability");
+const { StoreUnavailableError } = require("./stores/conversationStore");
+const {
+  conversationStore,
+  handleChatRequest,
+  handleChatStreamRequest,
+  handleHealthCheck,
+  handleClearConversation,
+  handleDeleteTurn,
+  handleMemoryDebug,
+} = require("./routes/chat");
+const { handleModelsRequest } = require("./routes/models");
+const { handleModesRequest } = require("./routes/modes");
+const { handleSchemasRequest } = require("./routes/schemas");
+const { handleVocabularySuggest } = require("./routes/vocabulary");
+const { handleQuizRequest } = require("./routes/quiz");
+const { handlePronunciationRequest } = require("./routes/pronunciation");
+const { handleFeedback } = require("./routes/feedback");
+const {
+  handleDocumentUpload,
+  handleDocumentList,
+  handleDocumentDelete,
+} = require("./routes/documents");
+const {
+  handleGenerateText,
+  handleGenerateFromImage,
+  handleGenerateFromAudio,
+  handleGenerateFromDocument,
+} = require("./routes/generate");
 
 // Validate configuration
 try {
@@ -31,23 +69,143 @@ try {
 // Initialize Express app
 const app = express();
 
+// Route yang membaca/menulis riwayat percakapan membalas 503 saat store tidak tersedia
+const requireConversationStore = createStoreAvailabilityMiddleware(conversationStore);
+
 // Global middleware
 app.use(securityHeadersMiddleware);
 app.use(cors(config.cors));
-app.use(express.json({ limit: "1mb" }));
+app.use(sessionMiddleware);
+// Batas cukup untuk gambar base64 yang dilampirkan ke /api/chat (lihat config.uploads.image)
+app.use(express.json({ limit: "8mb" }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "../public")));
 
 // API Routes
 app.get("/api/health", handleHealthCheck);
+app.get("/api/models", handleModelsRequest);
+app.get("/api/modes", handleModesRequest);
+app.get("/api/schemas", handleSchemasRequest);
 app.post(
   "/api/chat",
   rateLimitMiddleware,
   validateMessageMiddleware,
+  validateConversationMiddleware,
+  requireConversationStore,
+  validateTurnMiddleware,
+  validateGenerationMiddleware,
+  validateStructuredOutputMiddleware,
+  validateImageAttachmentMiddleware,
   handleChatRequest
 );
-app.post("/api/clear-conversation", handleClearConversation);
+app.post(
+  "/api/chat/stream",
+  rateLimitMiddleware,
+  validateMessageMiddleware,
+  validateConversationMiddleware,
+  requireConversationStore,
+  validateTurnMiddleware,
+  validateGenerationMiddleware,
+  validateStructuredOutputMiddleware,
+  validateImageAttachmentMiddleware,
+  handleChatStreamRequest
+);
+app.post("/api/vocabulary/suggest", rateLimitMiddleware, handleVocabularySuggest);
+app.post("/api/quiz", rateLimitMiddleware, validateQuizMiddleware, handleQuizRequest);
+app.post(
+  "/api/pronunciation",
+  rateLimitMiddleware,
+  createUploadMiddleware("audio"),
+  validatePronunciationMiddleware,
+  handlePronunciationRequest
+);
+
+// Multimodal generate endpoints (satu kali, tanpa riwayat percakapan)
+app.post(
+  "/api/generate-text",
+  rateLimitMiddleware,
+  formFieldsMiddleware,
+  validateGenerationMiddleware,
+  handleGenerateText
+);
+app.post(
+  "/api/generate-from-image",
+  rateLimitMiddleware,
+  createUploadMiddleware("image"),
+  validateGenerationMiddleware,
+  handleGenerateFromImage
+);
+app.post(
+  "/api/generate-from-audio",
+  rateLimitMiddleware,
+  createUploadMiddleware("audio"),
+  validateGenerationMiddleware,
+  handleGenerateFromAudio
+);
+app.post(
+  "/api/generate-from-document",
+  rateLimitMiddleware,
+  createUploadMiddleware("document"),
+  validateGenerationMiddleware,
+  handleGenerateFromDocument
+);
+
+// Dokumen bacaan yang terikat ke percakapan (dipakai otomatis oleh /api/chat)
+app.post(
+  "/api/documents",
+  rateLimitMiddleware,
+  createUploadMiddleware("document"),
+  validateConversationMiddleware,
+  requireConversationStore,
+  handleDocumentUpload
+);
+app.get(
+  "/api/documents",
+  validateConversationMiddleware,
+  requireConversationStore,
+  handleDocumentList
+);
+app.delete(
+  "/api/documents/:documentId",
+  validateConversationMiddleware,
+  requireConversationStore,
+  handleDocumentDelete
+);
+
+app.post(
+  "/api/clear-conversation",
+  validateConversationMiddleware,
+  requireConversationStore,
+  handleClearConversation
+);
+app.delete(
+  "/api/conversation/turns/:turnId",
+  validateConversationMiddleware,
+  requireConversationStore,
+  validateTurnMiddleware,
+  handleDeleteTurn
+);
+
+// Penilaian 👍/👎 untuk balasan bot
+app.post(
+  "/api/feedback",
+  rateLimitMiddleware,
+  validateConversationMiddleware,
+  requireConversationStore,
+  validateFeedbackMiddleware,
+  handleFeedback
+);
+
+// Debug endpoints (nonaktif di production kecuali ENABLE_DEBUG_ENDPOINTS=true)
+if (config.debug.enableEndpoints) {
+  app.get(
+    "/api/debug/memory",
+    validateConversationMiddleware,
+    requireConversationStore,
+    handleMemoryDebug
+  );
+}
 
 // Serve index.html for root path
 app.get("/", (req, res) => {
@@ -72,15 +230,26 @@ app.use((req, res, next) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof StoreUnavailableError) {
+    return res.status(503).json({ error: "Penyimpanan percakapan sedang tidak tersedia." });
+  }
   console.error("Unhandled error:", err);
   res.status(500).json({ error: "Internal server error" });
 });
 
-// Start server
+// Start server setelah conversation store terhubung; gagal lebih awal jika tidak bisa dihubungi
 const port = config.server.port;
-app.listen(port, () => {
-  console.log(`🚀 Server berjalan di http://localhost:${port}`);
-  console.log(`📊 Health check: http://localhost:${port}/health`);
-  console.log(`🛡️  Security: Rate limiting & input validation enabled`);
-  console.log(`🤖 AI Model: ${config.ai.model}`);
-});
+conversationStore
+  .connect()
+  .then(() => {
+    app.listen(port, () => {
+      console.log(`🚀 Server berjalan di http://localhost:${port}`);
+      console.log(`📊 Health check: http://localhost:${port}/health`);
+      console.log(`🛡️  Security: Rate limiting & input validation enabled`);
+      console.log(`🤖 AI Model: ${config.ai.model}`);
+    });
+  })
+  .catch((error) => {
+    console.error(`Conversation store '${config.conversation.store}' tidak bisa dipakai:`, error.message);
+    process.exit(1);
+  });
@@ -39,7 +39,11 @@ function rateLimitMiddleware(req, res, next) {
   }
   
   // Inisialisasi atau update counter
-  updateRequestCounter(clientIP, now, res);
+  if (!updateRequestCounter(clientIP, now)) {
+    return res.status(429).json({ 
+      error: "Terlalu banyak permintaan. Anda diblokir sementara." 
+    });
+  }
   
   next();
 }
@@ -60,9 +64,9 @@ function cleanupOldEntries(now) {
  * Update request counter untuk IP
  * @param {string} clientIP - IP address
  * @param {number} now - Current timestamp
- * @param {object} res - Express response object
+ * @returns {boolean} - False jika IP melebihi limit dan diblokir
  */
-function updateRequestCounter(clientIP, now, res) {
+function updateRequestCounter(clientIP, now) {
   if (!rateLimitStore.has(clientIP)) {
     rateLimitStore.set(clientIP, {
       count: 1,
@@ -70,19 +74,19 @@ function updateRequestCounter(clientIP, now, res) {
       blocked: false,
       blockedUntil: 0
     });
-  } else {
-    const data = rateLimitStore.get(clientIP);
-    data.count++;
-    
-    // Cek apakah melebihi limit
-    if (data.count > RATE_LIMIT_CONFIG.maxRequests) {
-      data.blocked = true;
-      data.blockedUntil = now + RATE_LIMIT_CONFIG.blockDuration;
-      return res.status(429).json({ 
-        error: "Terlalu banyak permintaan. Anda diblokir sementara." 
-      });
-    }
+    return true;
+  }
+
+  const data = rateLimitStore.get(clientIP);
+  data.count++;
+  
+  // Cek apakah melebihi limit
+  if (data.count > RATE_LIMIT_CONFIG.maxRequests) {
+    data.blocked = true;
+    data.blockedUntil = now + RATE_LIMIT_CONFIG.blockDuration;
+    return false;
   }
+  return true;
 }
 
 /**
@@ -2,12 +2,18 @@
  * Security middleware dan utilities untuk backend
  */
 
+const { config } = require("../config/app");
+const { findModel } = require("../providers/registry");
+const { resolveStructuredOutput } = require("../services/structuredOutput");
+const { matchesFileSignature, measureAudioDuration } = require("./upload");
+
 /**
  * Validasi dan sanitasi input pesan
  * @param {any} userMessage - Input dari user
+ * @param {number} maxLength - Panjang maksimal pesan
  * @returns {object} - {isValid: boolean, sanitizedMessage?: string, error?: string}
  */
-function validateAndSanitizeMessage(userMessage) {
+function validateAndSanitizeMessage(userMessage, maxLength = config.security.maxMessageLength) {
   // Validasi input untuk keamanan
   if (!userMessage) {
     return {
@@ -24,11 +30,11 @@ function validateAndSanitizeMessage(userMessage) {
     };
   }
 
-  // Validasi panjang pesan (maksimal 1000 karakter)
-  if (userMessage.length > 1000) {
+  // Validasi panjang pesan (default maksimal 1000 karakter)
+  if (userMessage.length > maxLength) {
     return {
       isValid: false,
-      error: "Pesan terlalu panjang. Maksimal 1000 karakter."
+      error: `Pesan terlalu panjang. Maksimal ${maxLength} karakter.`
     };
   }
 
@@ -61,7 +67,11 @@ function validateAndSanitizeMessage(userMessage) {
  * @param {function} next - Express next function
  */
 function validateMessageMiddleware(req, res, next) {
-  const validation = validateAndSanitizeMessage(req.body.message);
+  // Batas panjang pesan mengikuti model yang dipilih
+  const model = findModel(req.body.model);
+  const maxLength = model?.maxInputLength || config.security.maxMessageLength;
+
+  const validation = validateAndSanitizeMessage(req.body.message, maxLength);
   
   if (!validation.isValid) {
     return res.status(400).json({ error: validation.error });
@@ -72,6 +82,458 @@ function validateMessageMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Validasi ID percakapan (thread) dari client
+ * @param {any} conversationId - ID dari request body
+ * @returns {object} - {isValid: boolean, conversationId?: string, error?: string}
+ */
+function validateConversationId(conversationId) {
+  // ID bersifat opsional, percakapan default dipakai jika tidak dikirim
+  if (conversationId === undefined || conversationId === null || conversationId === '') {
+    return {
+      isValid: true,
+      conversationId: 'default'
+    };
+  }
+
+  if (typeof conversationId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(conversationId)) {
+    return {
+      isValid: false,
+      error: "ID percakapan tidak valid."
+    };
+  }
+
+  return {
+    isValid: true,
+    conversationId
+  };
+}
+
+/**
+ * Middleware untuk validasi ID percakapan
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateConversationMiddleware(req, res, next) {
+  const validation = validateConversationId(req.body?.conversationId ?? req.query?.conversationId);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.conversationId = validation.conversationId;
+  next();
+}
+
+/**
+ * Validasi ID giliran (pasangan pesan user + balasan) dari client
+ * @param {any} turnId - ID dari URL atau request body
+ * @returns {object} - {isValid: boolean, turnId?: string|null, error?: string}
+ */
+function validateTurnId(turnId) {
+  // ID bersifat opsional di /api/chat (hanya dikirim saat mengganti giliran)
+  if (turnId === undefined || turnId === null || turnId === '') {
+    return {
+      isValid: true,
+      turnId: null
+    };
+  }
+
+  if (typeof turnId !== 'string' || !/^turn_[A-Za-z0-9-]{1,64}$/.test(turnId)) {
+    return {
+      isValid: false,
+      error: "ID giliran tidak valid."
+    };
+  }
+
+  return {
+    isValid: true,
+    turnId
+  };
+}
+
+/**
+ * Middleware untuk validasi ID giliran (req.params.turnId atau replaceTurnId di body)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateTurnMiddleware(req, res, next) {
+  const validation = validateTurnId(req.params?.turnId ?? req.body?.replaceTurnId);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.turnId = validation.turnId;
+  next();
+}
+
+/**
+ * Validasi override parameter generation dari client
+ * Nilai yang tidak dikirim memakai default dari config.ai
+ * @param {any} overrides - req.body.generation
+ * @returns {object} - {isValid: boolean, settings?: object, error?: string}
+ */
+function validateGenerationSettings(overrides) {
+  const { generation, maxTokens } = config.ai;
+  const limits = generation.limits;
+
+  const settings = {
+    maxOutputTokens: maxTokens,
+    temperature: generation.temperature,
+    topP: generation.topP,
+    safetyThreshold: generation.safetyThreshold
+  };
+
+  if (overrides === undefined || overrides === null) {
+    return { isValid: true, settings };
+  }
+
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return {
+      isValid: false,
+      error: "Format pengaturan generation tidak valid."
+    };
+  }
+
+  const numericFields = ['maxOutputTokens', 'temperature', 'topP'];
+  for (const field of numericFields) {
+    if (overrides[field] === undefined) continue;
+
+    const value = overrides[field];
+    const { min, max } = limits[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return {
+        isValid: false,
+        error: `${field} harus berupa angka antara ${min} dan ${max}.`
+      };
+    }
+
+    settings[field] = field === 'maxOutputTokens' ? Math.floor(value) : value;
+  }
+
+  if (overrides.safetyThreshold !== undefined) {
+    if (!limits.safetyThresholds.includes(overrides.safetyThreshold)) {
+      return {
+        isValid: false,
+        error: `safetyThreshold harus salah satu dari: ${limits.safetyThresholds.join(', ')}.`
+      };
+    }
+    settings.safetyThreshold = overrides.safetyThreshold;
+  }
+
+  return { isValid: true, settings };
+}
+
+/**
+ * Middleware untuk validasi parameter generation
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateGenerationMiddleware(req, res, next) {
+  let overrides = req.body?.generation;
+
+  // Form multipart (endpoint generate) mengirim field sebagai teks JSON
+  if (typeof overrides === 'string') {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (error) {
+      return res.status(400).json({ error: "Format pengaturan generation tidak valid." });
+    }
+  }
+
+  const validation = validateGenerationSettings(overrides);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.generationSettings = validation.settings;
+  next();
+}
+
+/**
+ * Middleware untuk validasi permintaan structured output (schema / responseSchema)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateStructuredOutputMiddleware(req, res, next) {
+  const validation = resolveStructuredOutput(req.body?.schema, req.body?.responseSchema);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.structuredOutput = validation.output;
+  next();
+}
+
+/**
+ * Validasi gambar yang dilampirkan ke pesan chat
+ * @param {any} image - req.body.image {mimeType, data (base64)}
+ * @param {object|null} model - Model config dari findModel()
+ * @returns {object} - {isValid: boolean, image?: object|null, error?: string}
+ */
+function validateImageAttachment(image, model) {
+  if (image === undefined || image === null) {
+    return { isValid: true, image: null };
+  }
+
+  if (model && !model.supportsImages) {
+    return { isValid: false, error: "Model yang dipilih tidak mendukung gambar." };
+  }
+
+  const { maxBytes, mimeTypes } = config.uploads.image;
+
+  if (typeof image !== 'object' || typeof image.data !== 'string' || !mimeTypes.includes(image.mimeType)) {
+    return {
+      isValid: false,
+      error: `Format gambar tidak valid. Gunakan: ${mimeTypes.join(', ')}.`
+    };
+  }
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(image.data)) {
+    return { isValid: false, error: "Data gambar harus berupa base64." };
+  }
+
+  const buffer = Buffer.from(image.data, 'base64');
+  if (buffer.length > maxBytes) {
+    return {
+      isValid: false,
+      error: `Gambar terlalu besar. Maksimal ${Math.round(maxBytes / (1024 * 1024))} MB.`
+    };
+  }
+
+  if (!matchesFileSignature(buffer, image.mimeType)) {
+    return { isValid: false, error: "Isi gambar tidak sesuai dengan tipenya." };
+  }
+
+  return {
+    isValid: true,
+    image: { mimeType: image.mimeType, data: image.data }
+  };
+}
+
+/**
+ * Middleware untuk validasi gambar lampiran chat
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateImageAttachmentMiddleware(req, res, next) {
+  // Model tidak dikenal jatuh ke model default, sama seperti resolveModel()
+  const model = findModel(req.body?.model) || findModel(config.ai.model);
+  const validation = validateImageAttachment(req.body?.image, model);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.imageAttachment = validation.image;
+  next();
+}
+
+/**
+ * Validasi permintaan kuis
+ * @param {object} body - req.body {topic, difficulty?, count?}
+ * @returns {object} - {isValid: boolean, quiz?: object, error?: string}
+ */
+function validateQuizRequest(body) {
+  const { defaultCount, maxCount, maxTopicLength, difficulties } = config.ai.quiz;
+
+  const topicValidation = validateAndSanitizeMessage(body?.topic, maxTopicLength);
+  if (!topicValidation.isValid) {
+    return {
+      isValid: false,
+      error: `Topik kuis tidak valid: ${topicValidation.error}`
+    };
+  }
+
+  const difficulty = body.difficulty ?? difficulties[0];
+  if (!difficulties.includes(difficulty)) {
+    return {
+      isValid: false,
+      error: `difficulty harus salah satu dari: ${difficulties.join(', ')}.`
+    };
+  }
+
+  const count = body.count ?? defaultCount;
+  if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+    return {
+      isValid: false,
+      error: `count harus berupa bilangan bulat antara 1 dan ${maxCount}.`
+    };
+  }
+
+  return {
+    isValid: true,
+    quiz: { topic: topicValidation.sanitizedMessage, difficulty, count }
+  };
+}
+
+/**
+ * Middleware untuk validasi permintaan kuis
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateQuizMiddleware(req, res, next) {
+  const validation = validateQuizRequest(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.quizRequest = validation.quiz;
+  next();
+}
+
+/**
+ * Validasi penilaian jawaban bot
+ * prompt/reply/model/mode hanya dipakai jika giliran sudah tidak ada di conversation store
+ * @param {object} body - req.body {turnId, rating, comment?, prompt?, reply?, model?, mode?}
+ * @returns {object} - {isValid: boolean, feedback?: object, error?: string}
+ */
+function validateFeedbackRequest(body) {
+  const { ratings, maxCommentLength, maxReplyLength } = config.feedback;
+
+  const turnValidation = validateTurnId(body?.turnId);
+  if (!turnValidation.isValid || !turnValidation.turnId) {
+    return { isValid: false, error: "ID giliran tidak valid." };
+  }
+
+  if (!ratings.includes(body.rating)) {
+    return {
+      isValid: false,
+      error: `rating harus salah satu dari: ${ratings.join(', ')}.`
+    };
+  }
+
+  let comment = "";
+  if (body.comment !== undefined && body.comment !== null && body.comment !== '') {
+    const commentValidation = validateAndSanitizeMessage(body.comment, maxCommentLength);
+    if (!commentValidation.isValid) {
+      return {
+        isValid: false,
+        error: `Komentar tidak valid: ${commentValidation.error}`
+      };
+    }
+    comment = commentValidation.sanitizedMessage;
+  }
+
+  let exchange = null;
+  if (body.prompt && body.reply) {
+    const promptValidation = validateAndSanitizeMessage(body.prompt);
+    const replyValidation = validateAndSanitizeMessage(body.reply, maxReplyLength);
+    if (!promptValidation.isValid || !replyValidation.isValid) {
+      return { isValid: false, error: "Pesan yang dinilai tidak valid." };
+    }
+
+    exchange = {
+      prompt: promptValidation.sanitizedMessage,
+      reply: replyValidation.sanitizedMessage,
+      model: findModel(body.model)?.id || null,
+      mode: typeof body.mode === 'string' && /^[a-z0-9-]{1,64}$/.test(body.mode) ? body.mode : null
+    };
+  }
+
+  return {
+    isValid: true,
+    feedback: { turnId: turnValidation.turnId, rating: body.rating, comment, exchange }
+  };
+}
+
+/**
+ * Middleware untuk validasi penilaian jawaban
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validateFeedbackMiddleware(req, res, next) {
+  const validation = validateFeedbackRequest(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.feedback = validation.feedback;
+  next();
+}
+
+/**
+ * Validasi permintaan latihan pelafalan (setelah createUploadMiddleware("audio"))
+ * Durasi dibaca dari header jika bisa (WAV); selain itu durasi dari client
+ * dicocokkan dengan ukuran file agar rekaman panjang tidak lolos
+ * @param {object} body - req.body {targetText, duration}
+ * @param {object} file - req.file dari multer
+ * @param {object} model - Model config dari findModel()
+ * @returns {object} - {isValid: boolean, pronunciation?: object, error?: string}
+ */
+function validatePronunciationRequest(body, file, model) {
+  const {
+    maxTargetLength,
+    minDurationSeconds,
+    maxDurationSeconds,
+    maxBytesPerSecond
+  } = config.ai.pronunciation;
+
+  if (model && !model.supportsAudio) {
+    return { isValid: false, error: "Model yang dipilih tidak mendukung audio." };
+  }
+
+  const targetValidation = validateAndSanitizeMessage(body?.targetText, maxTargetLength);
+  if (!targetValidation.isValid) {
+    return {
+      isValid: false,
+      error: `Teks yang dibaca tidak valid: ${targetValidation.error}`
+    };
+  }
+
+  const measuredDuration = measureAudioDuration(file.buffer, file.mimetype);
+  const duration = measuredDuration ?? Number(body?.duration);
+
+  if (!Number.isFinite(duration) || duration < minDurationSeconds || duration > maxDurationSeconds) {
+    return {
+      isValid: false,
+      error: `Durasi rekaman harus antara ${minDurationSeconds} dan ${maxDurationSeconds} detik.`
+    };
+  }
+
+  if (measuredDuration === null && file.size > duration * maxBytesPerSecond) {
+    return { isValid: false, error: "Ukuran rekaman tidak sesuai dengan durasinya." };
+  }
+
+  return {
+    isValid: true,
+    pronunciation: {
+      targetText: targetValidation.sanitizedMessage,
+      duration: Math.round(duration * 10) / 10
+    }
+  };
+}
+
+/**
+ * Middleware untuk validasi permintaan latihan pelafalan
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function validatePronunciationMiddleware(req, res, next) {
+  const model = findModel(req.body?.model) || findModel(config.ai.model);
+  const validation = validatePronunciationRequest(req.body, req.file, model);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  req.pronunciationRequest = validation.pronunciation;
+  next();
+}
+
 /**
  * Security headers middleware
  * @param {object} req - Express request object
@@ -101,6 +563,21 @@ function logSecurityEvent(event, details) {
 module.exports = {
   validateAndSanitizeMessage,
   validateMessageMiddleware,
+  validateConversationId,
+  validateConversationMiddleware,
+  validateTurnId,
+  validateTurnMiddleware,
+  validateGenerationSettings,
+  validateGenerationMiddleware,
+  validateStructuredOutputMiddleware,
+  validateImageAttachment,
+  validateImageAttachmentMiddleware,
+  validateQuizRequest,
+  validateQuizMiddleware,
+  validateFeedbackRequest,
+  validateFeedbackMiddleware,
+  validatePronunciationRequest,
+  validatePronunciationMiddleware,
   securityHeadersMiddleware,
   logSecurityEvent
 };
@@ -0,0 +1,125 @@
+/**
+ * Session middleware - identitas session lewat cookie HttpOnly yang ditandatangani
+ */
+
+const crypto = require("crypto");
+const { config } = require("../config/app");
+
+// Tanpa SESSION_SECRET, secret acak dibuat saat start (session hilang setiap restart)
+const SESSION_SECRET =
+  config.session.secret || crypto.randomBytes(32).toString("hex");
+
+/**
+ * Buat signature HMAC untuk nilai cookie
+ * @param {string} value - Nilai yang ditandatangani
+ * @returns {string} - Signature base64url
+ */
+function sign(value) {
+  return crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(value)
+    .digest("base64url");
+}
+
+/**
+ * Buat nilai cookie bertanda tangan dari session ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Nilai cookie "<id>.<signature>"
+ */
+function createSignedSessionValue(sessionId) {
+  return `${sessionId}.${sign(sessionId)}`;
+}
+
+/**
+ * Verifikasi nilai cookie dan ambil session ID-nya
+ * @param {string} value - Nilai cookie
+ * @returns {string|null} - Session ID jika signature valid
+ */
+function verifySignedSessionValue(value) {
+  if (typeof value !== "string") return null;
+
+  const separatorIndex = value.lastIndexOf(".");
+  if (separatorIndex <= 0) return null;
+
+  const sessionId = value.substring(0, separatorIndex);
+  const signature = Buffer.from(value.substring(separatorIndex + 1));
+  const expected = Buffer.from(sign(sessionId));
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected)
+  ) {
+    return null;
+  }
+
+  return sessionId;
+}
+
+/**
+ * Parse header Cookie menjadi object
+ * @param {string} header - Nilai header Cookie
+ * @returns {object} - Map nama cookie ke nilai
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(";").forEach((part) => {
+    const index = part.indexOf("=");
+    if (index < 0) return;
+
+    const name = part.substring(0, index).trim();
+    const value = part.substring(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Middleware yang menetapkan req.sessionId
+ * Request tanpa cookie valid langsung memakai session ID baru yang sama
+ * dengan cookie yang diterbitkan, sehingga giliran pertama dan berikutnya
+ * masuk ke percakapan yang sama dan client di balik satu NAT tidak berbagi session.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function sessionMiddleware(req, res, next) {
+  const cookies = parseCookies(req.get("Cookie"));
+  const sessionId = verifySignedSessionValue(cookies[config.session.cookieName]);
+
+  if (sessionId) {
+    req.sessionId = sessionId;
+    req.sessionSource = "cookie";
+    return next();
+  }
+
+  // Terbitkan cookie baru; request ini sudah memakai session tersebut
+  const newSessionId = crypto.randomUUID();
+  res.cookie(
+    config.session.cookieName,
+    createSignedSessionValue(newSessionId),
+    {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.env === "production",
+      maxAge: config.session.maxAgeMs,
+      path: "/",
+    }
+  );
+
+  req.sessionId = newSessionId;
+  req.sessionSource = "new";
+  next();
+}
+
+module.exports = {
+  sessionMiddleware,
+  createSignedSessionValue,
+  verifySignedSessionValue,
+};
@@ -0,0 +1,24 @@
+/**
+ * Store availability middleware - balas 503 saat conversation store tidak bisa dipakai
+ * (mis. koneksi Redis putus), daripada request menggantung sampai timeout
+ */
+
+/**
+ * Buat middleware yang mengecek ketersediaan store sebelum handler dijalankan
+ * @param {ConversationStore} store - Conversation store
+ * @returns {function} - Express middleware
+ */
+function createStoreAvailabilityMiddleware(store) {
+  return (req, res, next) => {
+    if (!store.isAvailable()) {
+      return res.status(503).json({
+        error: "Penyimpanan percakapan sedang tidak tersedia. Coba lagi sebentar lagi.",
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createStoreAvailabilityMiddleware,
+};
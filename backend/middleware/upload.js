@@ -0,0 +1,146 @@
+/**
+ * Upload middleware - menerima satu file multipart dan memvalidasi tipe & ukurannya
+ */
+
+const multer = require("multer");
+const { config } = require("../config/app");
+
+// Tanda tangan byte awal untuk tipe yang sering dipalsukan lewat Content-Type
+const FILE_SIGNATURES = {
+  "image/jpeg": (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/png": (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (buffer) => buffer.subarray(0, 4).toString("ascii") === "GIF8",
+  "image/webp": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WEBP",
+  "application/pdf": (buffer) => buffer.subarray(0, 5).toString("ascii") === "%PDF-",
+  "audio/wav": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WAVE",
+  "audio/x-wav": (buffer) =>
+    buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WAVE",
+  "audio/ogg": (buffer) => buffer.subarray(0, 4).toString("ascii") === "OggS",
+  "audio/webm": (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+  "audio/flac": (buffer) => buffer.subarray(0, 4).toString("ascii") === "fLaC",
+  "audio/mp4": (buffer) => buffer.subarray(4, 8).toString("ascii") === "ftyp",
+};
+
+/**
+ * Cek isi file sesuai tipe yang diklaim (untuk tipe yang punya tanda tangan)
+ * @param {Buffer} buffer - Isi file
+ * @param {string} mimeType - MIME type dari client
+ * @returns {boolean} - True jika cocok atau tipe tidak punya tanda tangan
+ */
+function matchesFileSignature(buffer, mimeType) {
+  const check = FILE_SIGNATURES[mimeType];
+  return !check || check(buffer);
+}
+
+/**
+ * Hitung durasi audio dari header file
+ * Hanya WAV yang durasinya pasti tercatat di header; rekaman MediaRecorder (WebM/Ogg)
+ * biasanya tidak menyimpan durasi sehingga hasilnya null
+ * @param {Buffer} buffer - Isi file
+ * @param {string} mimeType - MIME type file
+ * @returns {number|null} - Durasi dalam detik, atau null jika tidak diketahui
+ */
+function measureAudioDuration(buffer, mimeType) {
+  if (mimeType !== "audio/wav" && mimeType !== "audio/x-wav") return null;
+  if (!FILE_SIGNATURES[mimeType](buffer)) return null;
+
+  let byteRate = null;
+  let offset = 12;
+
+  // Telusuri chunk RIFF: "fmt " berisi byte rate, "data" berisi sampel audio
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.subarray(offset, offset + 4).toString("ascii");
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === "fmt " && offset + 20 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === "data") {
+      if (!byteRate) return null;
+      // Header dari rekaman yang terpotong bisa mengklaim data lebih panjang dari isinya
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return dataSize / byteRate;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Middleware untuk form multipart tanpa file (JSON tetap ditangani express.json)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function formFieldsMiddleware(req, res, next) {
+  const parse = multer({ limits: { fields: 10 } }).none();
+
+  parse(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: "Endpoint ini tidak menerima file." });
+    }
+    next(error);
+  });
+}
+
+/**
+ * Buat middleware upload untuk satu jenis file di config.uploads
+ * @param {string} kind - 'image' | 'audio' | 'document'
+ * @param {object} options - {required: boolean} file wajib ada (default true)
+ * @returns {function} - Express middleware; file tersedia di req.file
+ */
+function createUploadMiddleware(kind, options = {}) {
+  const { field, maxBytes, mimeTypes } = config.uploads[kind];
+  const required = options.required !== false;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({
+            error: `File terlalu besar. Maksimal ${Math.round(maxBytes / (1024 * 1024))} MB.`
+          });
+        }
+        if (error instanceof multer.MulterError) {
+          return res.status(400).json({ error: `Upload tidak valid. Kirim satu file di field "${field}".` });
+        }
+        return next(error);
+      }
+
+      if (!req.file) {
+        if (!required) return next();
+        return res.status(400).json({ error: `File wajib dikirim di field "${field}".` });
+      }
+
+      // Buang parameter seperti "audio/webm;codecs=opus" dari MediaRecorder
+      req.file.mimetype = req.file.mimetype.split(";")[0].trim().toLowerCase();
+
+      if (!mimeTypes.includes(req.file.mimetype)) {
+        return res.status(415).json({
+          error: `Tipe file tidak didukung. Gunakan: ${mimeTypes.join(', ')}.`
+        });
+      }
+
+      if (!matchesFileSignature(req.file.buffer, req.file.mimetype)) {
+        return res.status(415).json({ error: "Isi file tidak sesuai dengan tipenya." });
+      }
+
+      next();
+    });
+  };
+}
+
+module.exports = {
+  formFieldsMiddleware,
+  createUploadMiddleware,
+  matchesFileSignature,
+  measureAudioDuration,
+};
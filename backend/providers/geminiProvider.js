@@ -0,0 +1,136 @@
+/**
+ * Gemini provider - adapter untuk Google Gemini lewat @google/genai
+ */
+
+const { GoogleGenAI } = require("@google/genai");
+const { LLMProvider, normalizeMessages } = require("./llmProvider");
+
+const FALLBACK_TEXT = "Maaf, terjadi kesalahan dalam memproses permintaan Anda.";
+
+// Kategori yang threshold-nya diatur lewat safetyThreshold
+const SAFETY_CATEGORIES = [
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+];
+
+class GeminiProvider extends LLMProvider {
+  /**
+   * @param {object} options - {apiKey}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.client = new GoogleGenAI({ apiKey: options.apiKey });
+  }
+
+  /**
+   * Ubah request netral menjadi parameter generateContent
+   * @param {object} request - Request netral
+   * @returns {object} - Parameter untuk @google/genai
+   */
+  buildParams(request) {
+    const contents = normalizeMessages(request.contents).map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: message.parts,
+    }));
+
+    const config = {};
+    if (request.signal) {
+      config.abortSignal = request.signal;
+    }
+    if (request.systemInstruction) {
+      config.systemInstruction = request.systemInstruction;
+    }
+
+    const generation = request.generation || {};
+    if (generation.maxOutputTokens !== undefined) {
+      config.maxOutputTokens = generation.maxOutputTokens;
+    }
+    if (generation.temperature !== undefined) {
+      config.temperature = generation.temperature;
+    }
+    if (generation.topP !== undefined) {
+      config.topP = generation.topP;
+    }
+    if (generation.safetyThreshold) {
+      config.safetySettings = SAFETY_CATEGORIES.map((category) => ({
+        category,
+        threshold: generation.safetyThreshold,
+      }));
+    }
+
+    // Structured output: Gemini membatasi balasan ke JSON sesuai schema
+    if (request.responseFormat) {
+      config.responseMimeType = "application/json";
+      config.responseJsonSchema = request.responseFormat.schema;
+    }
+
+    return { model: request.model, contents, config };
+  }
+
+  async generate(request) {
+    const resp = await this.client.models.generateContent(this.buildParams(request));
+    return { text: extractResponseText(resp) };
+  }
+
+  async *stream(request) {
+    const stream = await this.client.models.generateContentStream(
+      this.buildParams(request)
+    );
+
+    for await (const chunk of stream) {
+      const text = joinPartsText(chunk?.candidates?.[0]);
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async countTokens(request) {
+    const { model, contents } = this.buildParams(request);
+    const resp = await this.client.models.countTokens({ model, contents });
+    return resp.totalTokens;
+  }
+
+  async embed(request) {
+    const resp = await this.client.models.embedContent({
+      model: request.model,
+      contents: request.texts,
+      config: request.signal ? { abortSignal: request.signal } : undefined,
+    });
+    return (resp.embeddings || []).map((embedding) => embedding.values);
+  }
+}
+
+/**
+ * Gabungkan teks semua part satu candidate
+ * Gemini bisa memecah satu jawaban (mis. JSON) ke beberapa part; part "thought" dilewati
+ * @param {object} candidate - Candidate dari Gemini response
+ * @returns {string|null} - Teks gabungan, null jika tidak ada part berisi teks
+ */
+function joinPartsText(candidate) {
+  const parts = candidate?.content?.parts;
+  if (!Array.isArray(parts)) return null;
+
+  const textParts = parts.filter((part) => typeof part.text === "string" && !part.thought);
+  if (textParts.length === 0) return null;
+  return textParts.map((part) => part.text).join("");
+}
+
+/**
+ * Extract response text dari Gemini response
+ * @param {object} resp - Response dari Gemini API
+ * @returns {string} - Extracted text
+ */
+function extractResponseText(resp) {
+  return joinPartsText(resp?.response?.candidates?.[0]) ?? 
+         joinPartsText(resp?.candidates?.[0]) ?? 
+         resp?.response?.candidates?.[0]?.content?.text ?? 
+         FALLBACK_TEXT;
+}
+
+module.exports = {
+  GeminiProvider,
+  extractResponseText,
+};
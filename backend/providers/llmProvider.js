@@ -0,0 +1,134 @@
+/**
+ * LLM provider - interface dasar untuk semua penyedia model AI
+ *
+ * Format request yang netral terhadap provider:
+ * {
+ *   model: string,                 // Nama model di sisi provider
+ *   systemInstruction?: string,    // Persona / instruksi sistem
+ *   contents: string | Array,      // Prompt teks, atau daftar message
+ *   generation?: {                 // Parameter generation (lihat config.ai.generation)
+ *     maxOutputTokens, temperature, topP, safetyThreshold
+ *   },
+ *   responseFormat?: {             // Minta balasan JSON sesuai schema (jika provider mendukung)
+ *     name: string, schema: object
+ *   },
+ *   signal?: AbortSignal           // Untuk membatalkan request
+ * }
+ *
+ * Setiap message: { role: 'user' | 'assistant', content: string | Array<part> }
+ * Part mengikuti bentuk Gemini: { text } atau { inlineData: { mimeType, data } }
+ */
+
+class LLMProvider {
+  /**
+   * @param {object} options - Opsi dari config.ai.providers
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Generate respons lengkap
+   * @param {object} request - Request netral (lihat komentar di atas)
+   * @returns {Promise<object>} - {text: string}
+   */
+  async generate(request) {
+    throw new Error(`${this.constructor.name}.generate() belum diimplementasikan`);
+  }
+
+  /**
+   * Generate respons secara streaming
+   * @param {object} request - Request netral
+   * @returns {AsyncGenerator<string>} - Potongan teks
+   */
+  async *stream(request) {
+    throw new Error(`${this.constructor.name}.stream() belum diimplementasikan`);
+  }
+
+  /**
+   * Hitung jumlah token untuk contents
+   * Default: estimasi kasar 4 karakter per token
+   * @param {object} request - {model, contents}
+   * @returns {Promise<number>} - Jumlah token
+   */
+  async countTokens(request) {
+    return estimateTokens(contentsToText(request.contents));
+  }
+
+  /**
+   * Buat embedding untuk beberapa teks (dipakai retrieval knowledge base)
+   * Tidak semua provider mendukung; pemanggil harus siap menangani error
+   * @param {object} request - {model, texts: Array<string>, signal?}
+   * @returns {Promise<Array<Array<number>>>} - Satu vektor per teks
+   */
+  async embed(request) {
+    throw new Error(`${this.constructor.name}.embed() tidak didukung`);
+  }
+}
+
+/**
+ * Normalisasi contents menjadi daftar message
+ * @param {string|Array} contents - Prompt teks atau daftar message
+ * @returns {Array} - Array of {role, parts}
+ */
+function normalizeMessages(contents) {
+  if (typeof contents === "string") {
+    return [{ role: "user", parts: [{ text: contents }] }];
+  }
+
+  return contents.map((message) => ({
+    role: message.role === "assistant" ? "assistant" : "user",
+    parts:
+      typeof message.content === "string"
+        ? [{ text: message.content }]
+        : message.content,
+  }));
+}
+
+/**
+ * Gabungkan semua bagian teks dari contents
+ * @param {string|Array} contents - Prompt teks atau daftar message
+ * @returns {string} - Teks gabungan
+ */
+function contentsToText(contents) {
+  return normalizeMessages(contents)
+    .flatMap((message) => message.parts)
+    .map((part) => part.text || "")
+    .join("\n");
+}
+
+/**
+ * Estimasi jumlah token dari teks (sekitar 4 karakter per token)
+ * @param {string} text - Teks
+ * @returns {number} - Estimasi token
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Ambil objek JSON dari teks model (boleh dibungkus code fence atau teks lain)
+ * @param {string} text - Teks dari provider
+ * @returns {object|null} - Objek hasil parse, atau null jika bukan JSON
+ */
+function extractJson(text) {
+  if (!text) return null;
+
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  normalizeMessages,
+  contentsToText,
+  estimateTokens,
+  extractJson,
+};
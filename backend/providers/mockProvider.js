@@ -0,0 +1,63 @@
+/**
+ * Mock provider - balasan deterministik untuk development dan test offline
+ */
+
+const { LLMProvider, normalizeMessages } = require("./llmProvider");
+
+class MockProvider extends LLMProvider {
+  /**
+   * Balasan selalu sama untuk input yang sama
+   * @param {object} request - Request netral
+   * @returns {string} - Teks balasan
+   */
+  buildReply(request) {
+    const messages = normalizeMessages(request.contents);
+    const lastUserMessage = [...messages].reverse().find((message) => message.role === "user");
+    const text = lastUserMessage
+      ? lastUserMessage.parts.map((part) => part.text || "").join(" ").trim()
+      : "";
+
+    return `Echo: ${text}`;
+  }
+
+  async generate(request) {
+    return { text: this.buildReply(request) };
+  }
+
+  /**
+   * Embedding deterministik dari hash kata (bag of words), cukup untuk test offline
+   * @param {object} request - {texts}
+   * @returns {Promise<Array<Array<number>>>} - Vektor 64 dimensi per teks
+   */
+  async embed(request) {
+    return request.texts.map((text) => {
+      const vector = new Array(64).fill(0);
+      text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .forEach((word) => {
+          let hash = 0;
+          for (const char of word) {
+            hash = (hash * 31 + char.codePointAt(0)) % 64;
+          }
+          vector[hash] += 1;
+        });
+      return vector;
+    });
+  }
+
+  async *stream(request) {
+    const words = this.buildReply(request).split(/(\s+)/);
+    for (const word of words) {
+      if (request.signal?.aborted) return;
+      if (word) {
+        yield word;
+      }
+    }
+  }
+}
+
+module.exports = {
+  MockProvider,
+};
@@ -0,0 +1,168 @@
+/**
+ * OpenAI-compatible provider - adapter HTTP untuk endpoint /chat/completions
+ * Bisa dipakai dengan server lokal seperti llama.cpp atau Ollama
+ */
+
+const { LLMProvider, normalizeMessages } = require("./llmProvider");
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {object} options - {baseUrl, apiKey}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (options.baseUrl || "http://localhost:11434/v1").replace(/\/$/, "");
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Ubah message netral menjadi format OpenAI
+   * @param {object} request - Request netral
+   * @returns {Array} - Array of {role, content}
+   */
+  buildMessages(request) {
+    const messages = normalizeMessages(request.contents).map((message) => {
+      const hasInlineData = message.parts.some((part) => part.inlineData);
+
+      // Teks saja cukup dikirim sebagai string
+      if (!hasInlineData) {
+        return {
+          role: message.role,
+          content: message.parts.map((part) => part.text || "").join("\n"),
+        };
+      }
+
+      return {
+        role: message.role,
+        content: message.parts.map((part) =>
+          part.inlineData
+            ? {
+                type: "image_url",
+                image_url: {
+                  url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`,
+                },
+              }
+            : { type: "text", text: part.text || "" }
+        ),
+      };
+    });
+
+    if (request.systemInstruction) {
+      messages.unshift({ role: "system", content: request.systemInstruction });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Kirim request ke /chat/completions
+   * @param {object} request - Request netral
+   * @param {boolean} stream - True untuk mode streaming
+   * @returns {Promise<Response>} - Fetch response
+   */
+  async post(request, stream) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    // Safety threshold tidak punya padanan di API OpenAI-compatible
+    const generation = request.generation || {};
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: request.model,
+        messages: this.buildMessages(request),
+        max_tokens: generation.maxOutputTokens,
+        temperature: generation.temperature,
+        top_p: generation.topP,
+        response_format: request.responseFormat
+          ? {
+              type: "json_schema",
+              json_schema: {
+                name: request.responseFormat.name,
+                schema: request.responseFormat.schema,
+              },
+            }
+          : undefined,
+        stream,
+      }),
+      signal: request.signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `OpenAI-compatible provider error ${response.status}: ${body.substring(0, 200)}`
+      );
+    }
+
+    return response;
+  }
+
+  async embed(request) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model: request.model, input: request.texts }),
+      signal: request.signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `OpenAI-compatible provider error ${response.status}: ${body.substring(0, 200)}`
+      );
+    }
+
+    const data = await response.json();
+    return (data?.data || []).map((item) => item.embedding);
+  }
+
+  async generate(request) {
+    const response = await this.post(request, false);
+    const data = await response.json();
+    return { text: data?.choices?.[0]?.message?.content ?? "" };
+  }
+
+  async *stream(request) {
+    const response = await this.post(request, true);
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === "[DONE]") return;
+
+        try {
+          const text = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (text) {
+            yield text;
+          }
+        } catch (error) {
+          // Abaikan baris yang tidak lengkap / bukan JSON
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+};
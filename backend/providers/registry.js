@@ -0,0 +1,131 @@
+/**
+ * Provider registry - memetakan model ID ke provider sesuai config/app.js
+ */
+
+const { config } = require("../config/app");
+
+// Instance provider dibuat sekali per nama provider
+const providerInstances = new Map();
+
+/**
+ * Buat instance provider dari konfigurasinya
+ * @param {object} providerConfig - {type, ...opsi}
+ * @returns {LLMProvider} - Instance provider
+ */
+function createProvider(providerConfig) {
+  switch (providerConfig.type) {
+    case "gemini": {
+      const { GeminiProvider } = require("./geminiProvider");
+      return new GeminiProvider(providerConfig);
+    }
+    case "openai": {
+      const { OpenAICompatibleProvider } = require("./openaiCompatibleProvider");
+      return new OpenAICompatibleProvider(providerConfig);
+    }
+    case "mock": {
+      const { MockProvider } = require("./mockProvider");
+      return new MockProvider(providerConfig);
+    }
+    default:
+      throw new Error(`Tipe provider tidak dikenal: ${providerConfig.type}`);
+  }
+}
+
+/**
+ * Ambil instance provider berdasarkan nama di config.ai.providers
+ * @param {string} name - Nama provider
+ * @returns {LLMProvider} - Instance provider
+ */
+function getProvider(name) {
+  if (!providerInstances.has(name)) {
+    const providerConfig = config.ai.providers[name];
+    if (!providerConfig) {
+      throw new Error(`Provider tidak terdaftar: ${name}`);
+    }
+    providerInstances.set(name, createProvider(providerConfig));
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * Daftar model yang aktif
+ * @returns {Array} - Array of model config
+ */
+function getEnabledModels() {
+  return config.ai.models.filter((model) => model.enabled !== false);
+}
+
+/**
+ * Cari model aktif berdasarkan ID
+ * @param {string} modelId - Model ID
+ * @returns {object|null} - Model config atau null
+ */
+function findModel(modelId) {
+  return getEnabledModels().find((model) => model.id === modelId) || null;
+}
+
+/**
+ * Cek apakah provider punya kredensial yang dibutuhkan
+ * @param {string} name - Nama provider
+ * @returns {boolean} - True jika provider bisa dipakai
+ */
+function isProviderAvailable(name) {
+  const providerConfig = config.ai.providers[name];
+  if (!providerConfig) return false;
+
+  if (providerConfig.type === "gemini") {
+    return Boolean(providerConfig.apiKey);
+  }
+  return true;
+}
+
+/**
+ * Katalog model untuk ditampilkan di UI
+ * @returns {Array} - Array of {id, label, description, maxInputLength, supportsImages, supportsAudio, supportsDocuments, available, isDefault}
+ */
+function getModelCatalogue() {
+  const defaultModel = resolveModel(config.ai.model).id;
+
+  return getEnabledModels().map((model) => ({
+    id: model.id,
+    label: model.label || model.id,
+    description: model.description || "",
+    maxInputLength: model.maxInputLength || config.security.maxMessageLength,
+    supportsImages: model.supportsImages === true,
+    supportsAudio: model.supportsAudio === true,
+    supportsDocuments: model.supportsDocuments === true,
+    available: isProviderAvailable(model.provider),
+    isDefault: model.id === defaultModel,
+  }));
+}
+
+/**
+ * Resolve model ID menjadi model config + provider
+ * Model yang tidak dikenal atau nonaktif jatuh ke model default
+ * @param {string} modelId - Model ID dari user
+ * @returns {object} - {id, providerModel, provider, config}
+ */
+function resolveModel(modelId) {
+  const modelConfig =
+    findModel(modelId) || findModel(config.ai.model) || getEnabledModels()[0];
+
+  if (!modelConfig) {
+    throw new Error("Tidak ada model AI yang aktif di konfigurasi");
+  }
+
+  return {
+    id: modelConfig.id,
+    providerModel: modelConfig.providerModel || modelConfig.id,
+    provider: getProvider(modelConfig.provider),
+    config: modelConfig,
+  };
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  getEnabledModels,
+  findModel,
+  getModelCatalogue,
+  resolveModel,
+};
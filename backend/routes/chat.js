@@ -2,142 +2,240 @@
  * Chat routes untuk handling chat requests
  */
 
-const { GoogleGenAI } = require("@google/genai");
+const crypto = require("crypto");
+const { config } = require("../config/app");
+const { createConversationStore } = require("../stores/conversationStore");
+const { resolveModel } = require("../providers/registry");
+const {
+  selectContextMessages,
+  condenseHistoryInBackground,
+  describeMemory,
+} = require("../services/historyManager");
+const { getMode } = require("../services/modes");
+const { analyzeGrammar } = require("../services/grammarCorrection");
+const { buildSchemaInstruction, parseStructuredReply } = require("../services/structuredOutput");
+const { buildDocumentParts } = require("../services/documents");
+const {
+  retrievePassages,
+  buildKnowledgeInstruction,
+  toCitations,
+} = require("../services/knowledgeBase");
 
-// Inisialisasi Gemini Client
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-const GEMINI_MODEL = "gemini-2.5-flash";
-
-// Memory storage untuk conversation history
-// Dalam production, gunakan database seperti Redis atau MongoDB
-const conversationMemory = new Map();
-const MAX_CONVERSATION_LENGTH = 10; // Maksimal 10 exchange (20 messages)
-const MEMORY_CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 menit
+// Conversation history storage (memory, sqlite, atau redis sesuai config)
+const conversationStore = createConversationStore(config.conversation);
 
 /**
- * System prompt untuk Sahabat Nusantara
- */
-const SYSTEM_PROMPT = `
-Kamu adalah "Sahabat Nusantara", seorang asisten AI yang ramah dan ahli tentang Indonesia.
-Tugasmu adalah membantu pengguna belajar bahasa Indonesia dan mengenal budaya, sejarah, kuliner, serta pariwisata Indonesia.
-- Jawablah selalu dalam bahasa Indonesia yang baik dan benar, kecuali jika pengguna memintamu untuk menerjemahkan atau menggunakan bahasa lain.
-- Gunakan gaya bahasa yang santai dan bersahabat, seperti berbicara dengan teman.
-- Jika kamu tidak tahu jawabannya, katakan terus terang bahwa kamu tidak tahu, jangan mengarang.
-- Jaga agar jawaban tetap relevan dengan konteks Indonesia.
-`;
-
-/**
- * Generate session ID dari IP dan User-Agent
- * @param {object} req - Express request object
- * @returns {string} - Session ID
+ * Key penyimpanan percakapan: satu session bisa punya banyak thread
+ * @param {object} req - Express request object (sudah melewati session & conversation middleware)
+ * @returns {string} - Key untuk conversation store
  */
-function generateSessionId(req) {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const userAgent = req.get('User-Agent') || 'unknown';
-  return Buffer.from(`${ip}-${userAgent}`).toString('base64').substring(0, 16);
-}
-
-/**
- * Get conversation history untuk session
- * @param {string} sessionId - Session ID
- * @returns {Array} - Array of conversation messages
- */
-function getConversationHistory(sessionId) {
-  if (!conversationMemory.has(sessionId)) {
-    conversationMemory.set(sessionId, {
-      messages: [],
-      lastActivity: Date.now()
-    });
-  }
-  return conversationMemory.get(sessionId);
+function getConversationKey(req) {
+  return `${req.sessionId}:${req.conversationId || 'default'}`;
 }
 
 /**
  * Add message ke conversation history
- * @param {string} sessionId - Session ID
+ * @param {string} conversationKey - Key dari getConversationKey()
  * @param {string} role - 'user' atau 'assistant'
  * @param {string} content - Message content
+ * @param {object} extra - Metadata tambahan, mis. {turnId, image: {mimeType}} (optional)
  */
-function addToConversationHistory(sessionId, role, content) {
-  const conversation = getConversationHistory(sessionId);
-  
-  conversation.messages.push({
+async function addToConversationHistory(conversationKey, role, content, extra = {}) {
+  // Store yang membatasi panjang percakapan
+  await conversationStore.append(conversationKey, {
     role: role,
     content: content,
+    ...extra,
     timestamp: Date.now()
   });
-  
-  // Limit conversation length
-  if (conversation.messages.length > MAX_CONVERSATION_LENGTH * 2) {
-    conversation.messages = conversation.messages.slice(-MAX_CONVERSATION_LENGTH * 2);
-  }
-  
-  conversation.lastActivity = Date.now();
 }
 
 /**
- * Build conversation context untuk Gemini
- * @param {Array} messages - Array of conversation messages
- * @returns {string} - Formatted conversation context
- */
-function buildConversationContext(messages) {
-  if (messages.length === 0) return '';
-  
-  let context = '\n\nKonteks percakapan sebelumnya:\n';
-  
-  // Ambil maksimal 8 pesan terakhir untuk konteks
-  const recentMessages = messages.slice(-8);
-  
-  recentMessages.forEach(msg => {
-    if (msg.role === 'user') {
-      context += `Pengguna: ${msg.content}\n`;
-    } else {
-      context += `Sahabat Nusantara: ${msg.content}\n`;
-    }
-  });
-  
-  context += '\nPertanyaan pengguna saat ini: ';
-  return context;
+ * Ambil history tanpa giliran yang akan diganti beserta semua giliran setelahnya
+ * Giliran yang sudah diringkas atau kadaluarsa tidak ada di history; history dipakai utuh
+ * @param {Array} messages - Message dari conversation store
+ * @param {string} turnId - ID giliran (optional)
+ * @returns {Array} - Message sebelum giliran tersebut
+ */
+function messagesBeforeTurn(messages, turnId) {
+  if (!turnId) return messages;
+
+  const index = messages.findIndex((message) => message.turnId === turnId);
+  return index === -1 ? messages : messages.slice(0, index);
 }
 
 /**
- * Cleanup old conversations
+ * Build contents multi-turn untuk provider
+ * History dikirim sebagai giliran ber-role, bukan teks gabungan, sehingga
+ * user tidak bisa menyamar sebagai asisten dengan mengetik "Sahabat Nusantara:"
+ * Gambar hanya dikirim untuk pesan saat ini; di history cukup ditandai agar
+ * store tidak menyimpan data base64 yang besar
+ * @param {Array} messages - Array of conversation messages
+ * @param {string} userMessage - Pesan user saat ini
+ * @param {object} image - Gambar lampiran {mimeType, data} (optional)
+ * @param {Array} documentParts - Part dokumen percakapan dari buildDocumentParts() (optional)
+ * @param {string} summary - Ringkasan percakapan, ikut dihitung dalam token budget (optional)
+ * @returns {Array} - Array of {role, content}
  */
-function cleanupOldConversations() {
-  const now = Date.now();
-  const cutoff = now - MEMORY_CLEANUP_INTERVAL;
-  
-  for (const [sessionId, conversation] of conversationMemory.entries()) {
-    if (conversation.lastActivity < cutoff) {
-      conversationMemory.delete(sessionId);
-    }
+function buildConversationContents(messages, userMessage, image = null, documentParts = [], summary = "") {
+  // Pesan terbaru yang muat dalam token budget
+  const recentMessages = selectContextMessages(messages, summary);
+
+  const contents = recentMessages.map((msg) => ({
+    role: msg.role === 'user' ? 'user' : 'assistant',
+    content: msg.image ? `[Pengguna melampirkan gambar] ${msg.content}` : msg.content
+  }));
+
+  // Dokumen ikut dikirim ulang setiap giliran, sebelum pertanyaan user
+  const parts = [...documentParts, { text: userMessage }];
+  if (image) {
+    parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
   }
+
+  contents.push({
+    role: 'user',
+    content: parts.length > 1 ? parts : userMessage
+  });
+  return contents;
 }
 
 /**
- * Extract response text dari Gemini response
- * @param {object} resp - Response dari Gemini API
- * @returns {string} - Extracted text
+ * Build system instruction: persona mode + ringkasan percakapan lama + bahan referensi
+ * @param {object} mode - Mode dari getMode()
+ * @param {string} summary - Ringkasan dari conversation store
+ * @param {Array} passages - Potongan dari knowledge base (optional)
+ * @returns {string} - System instruction
  */
-function extractResponseText(resp) {
-  return resp?.response?.candidates?.[0]?.content?.parts?.[0]?.text ?? 
-         resp?.candidates?.[0]?.content?.parts?.[0]?.text ?? 
-         resp?.response?.candidates?.[0]?.content?.text ?? 
-         "Maaf, terjadi kesalahan dalam memproses permintaan Anda.";
+function buildSystemInstruction(mode, summary, passages = []) {
+  let instruction = mode.systemPrompt;
+  if (summary) {
+    instruction += `\n\nRingkasan percakapan sebelumnya dengan pengguna ini:\n${summary}\n`;
+  }
+  const knowledge = buildKnowledgeInstruction(passages);
+  if (knowledge) {
+    instruction += `\n${knowledge}`;
+  }
+  return instruction;
 }
 
 /**
  * Validasi model yang dipilih
  * @param {string} model - Model yang dipilih user
- * @returns {string} - Model yang valid
+ * @returns {object} - Model yang valid beserta provider-nya (lihat resolveModel)
  */
 function validateSelectedModel(model) {
-  const validModels = [
-    "gemini-2.5-flash",
-    "gemini-2.5-pro"
-  ];
-  
-  return validModels.includes(model) ? model : GEMINI_MODEL;
+  return resolveModel(model);
+}
+
+/**
+ * Siapkan data yang dibutuhkan untuk satu giliran chat
+ * @param {object} req - Express request object
+ * @returns {object} - {sanitizedMessage, selectedModel, mode, conversationKey, contents, systemInstruction, wantsCorrection, citations, replaceTurnId}
+ *   selectedModel berbentuk {id, providerModel, provider}
+ */
+async function prepareChatTurn(req) {
+  // Gunakan sanitized message dari security middleware
+  const sanitizedMessage = req.sanitizedMessage;
+
+  // Ambil model yang dipilih user (default ke config.ai.model)
+  const selectedModel = validateSelectedModel(req.body.model);
+
+  // Key session + thread untuk conversation tracking
+  const conversationKey = getConversationKey(req);
+
+  // Persona sesuai learning mode yang dipilih user
+  const mode = getMode(req.body.mode);
+
+  // Get conversation history, dokumen yang diunggah ke percakapan ini, dan referensi knowledge base
+  const [conversation, documents, passages] = await Promise.all([
+    conversationStore.get(conversationKey),
+    conversationStore.getDocuments(conversationKey),
+    mode.knowledge ? retrievePassages(sanitizedMessage) : [],
+  ]);
+
+  // Regenerate / edit: giliran yang diganti (dan setelahnya) tidak ikut jadi konteks
+  const replaceTurnId = req.turnId || null;
+
+  // Build contents multi-turn dengan pesan user saat ini (beserta dokumen dan gambarnya) di akhir
+  const contents = buildConversationContents(
+    messagesBeforeTurn(conversation.messages, replaceTurnId),
+    sanitizedMessage,
+    req.imageAttachment,
+    buildDocumentParts(documents, selectedModel.config),
+    conversation.summary
+  );
+
+  const systemInstruction = buildSystemInstruction(mode, conversation.summary, passages);
+
+  // Analisis tata bahasa hanya jika diminta client
+  const wantsCorrection = req.body.correction === true;
+
+  return {
+    sanitizedMessage,
+    selectedModel,
+    mode,
+    conversationKey,
+    contents,
+    systemInstruction,
+    wantsCorrection,
+    citations: toCitations(passages),
+    replaceTurnId,
+  };
+}
+
+/**
+ * Hapus satu giliran (atau giliran beserta semua giliran setelahnya) dari history
+ * @param {string} conversationKey - Key dari getConversationKey()
+ * @param {string} turnId - ID giliran
+ * @param {boolean} following - Ikut hapus giliran setelahnya
+ * @returns {Promise<boolean>} - True jika giliran ditemukan
+ */
+async function removeTurn(conversationKey, turnId, following = false) {
+  const conversation = await conversationStore.get(conversationKey);
+  const remaining = following
+    ? messagesBeforeTurn(conversation.messages, turnId)
+    : conversation.messages.filter((message) => message.turnId !== turnId);
+  if (remaining.length === conversation.messages.length) return false;
+
+  await conversationStore.replaceMessages(conversationKey, remaining);
+  return true;
+}
+
+/**
+ * Simpan satu giliran chat yang sudah selesai ke conversation history
+ * Jika history melebihi token budget, giliran lama diringkas di background
+ * @param {string} conversationKey - Key dari getConversationKey()
+ * @param {string} userMessage - Pesan user
+ * @param {string} botMessage - Balasan bot
+ * @param {object} selectedModel - Model yang dipakai, juga untuk membuat ringkasan
+ * @param {object} options - {mode, image, replaceTurnId}: mode percakapan, gambar lampiran
+ *   (hanya tipenya yang disimpan) dan giliran yang diganti oleh giliran ini (optional)
+ * @returns {Promise<string>} - ID giliran baru
+ */
+async function completeChatTurn(conversationKey, userMessage, botMessage, selectedModel, options = {}) {
+  const { mode = null, image = null, replaceTurnId = null } = options;
+
+  // Giliran lama baru dibuang setelah balasan baru berhasil dibuat
+  if (replaceTurnId) {
+    await removeTurn(conversationKey, replaceTurnId, true);
+  }
+
+  const turnId = `turn_${crypto.randomUUID()}`;
+  await addToConversationHistory(
+    conversationKey,
+    'user',
+    userMessage,
+    image ? { turnId, image: { mimeType: image.mimeType } } : { turnId }
+  );
+  // Model dan mode disimpan untuk penilaian jawaban (/api/feedback)
+  await addToConversationHistory(conversationKey, 'assistant', botMessage, {
+    turnId,
+    model: selectedModel.id,
+    mode: mode ? mode.id : null
+  });
+
+  condenseHistoryInBackground(conversationStore, conversationKey, selectedModel);
+  return turnId;
 }
 
 /**
@@ -147,46 +245,74 @@ function validateSelectedModel(model) {
  */
 async function handleChatRequest(req, res) {
   try {
-    // Gunakan sanitized message dari security middleware
-    const sanitizedMessage = req.sanitizedMessage;
-    
-    // Ambil model yang dipilih user (default ke GEMINI_MODEL)
-    const selectedModel = validateSelectedModel(req.body.model);
-
-    // Generate session ID untuk conversation tracking
-    const sessionId = generateSessionId(req);
-    
-    // Get conversation history
-    const conversation = getConversationHistory(sessionId);
-    
-    // Build conversation context
-    const conversationContext = buildConversationContext(conversation.messages);
-    
-    // Build full prompt dengan conversation context
-    const fullPrompt = SYSTEM_PROMPT + conversationContext + sanitizedMessage;
+    const {
+      sanitizedMessage,
+      selectedModel,
+      mode,
+      conversationKey,
+      contents,
+      systemInstruction,
+      wantsCorrection,
+      citations,
+      replaceTurnId,
+    } = await prepareChatTurn(req);
 
-    const resp = await genAI.models.generateContent({
-      model: selectedModel,
-      contents: fullPrompt,
-    });
+    // Schema dari validateStructuredOutputMiddleware (null jika tidak diminta)
+    const structuredOutput = req.structuredOutput;
 
-    // Extract response text
-    const botMessage = extractResponseText(resp);
+    // Balasan dan analisis tata bahasa dibuat bersamaan
+    const [{ text: botMessage }, correction] = await Promise.all([
+      selectedModel.provider.generate({
+        model: selectedModel.providerModel,
+        systemInstruction: structuredOutput
+          ? `${systemInstruction}\n\n${buildSchemaInstruction(structuredOutput)}`
+          : systemInstruction,
+        contents: contents,
+        generation: req.generationSettings,
+        responseFormat: structuredOutput
+          ? { name: structuredOutput.name, schema: structuredOutput.schema }
+          : undefined,
+      }),
+      wantsCorrection ? analyzeGrammar(selectedModel, sanitizedMessage) : null,
+    ]);
 
-    // Add messages to conversation history
-    addToConversationHistory(sessionId, 'user', sanitizedMessage);
-    addToConversationHistory(sessionId, 'assistant', botMessage);
+    let data = null;
+    if (structuredOutput) {
+      const parsed = parseStructuredReply(botMessage, structuredOutput);
 
-    // Cleanup old conversations periodically
-    if (Math.random() < 0.1) { // 10% chance
-      cleanupOldConversations();
+      // Balasan yang tidak sesuai schema tidak disimpan ke history
+      if (!parsed.isValid) {
+        return res.status(422).json({
+          error: "Balasan model tidak sesuai schema.",
+          details: parsed.errors,
+          reply: botMessage,
+          model: selectedModel.id,
+          schema: structuredOutput.name
+        });
+      }
+      data = parsed.data;
     }
 
-    // Kirim balasan dari Gemini ke frontend dengan info model
+    const turnId = await completeChatTurn(
+      conversationKey,
+      sanitizedMessage,
+      botMessage,
+      selectedModel,
+      { mode, image: req.imageAttachment, replaceTurnId }
+    );
+
+    // Kirim balasan ke frontend dengan info model
     res.json({ 
       reply: botMessage,
-      model: selectedModel,
-      sessionId: sessionId // Optional: untuk debugging
+      turnId: turnId,
+      model: selectedModel.id,
+      mode: mode.id,
+      generation: req.generationSettings,
+      correction: correction,
+      data: data,
+      citations: citations,
+      sessionId: req.sessionId, // Optional: untuk debugging
+      conversationId: req.conversationId
     });
   } catch (error) {
     console.error("Error in chat handler:", error);
@@ -195,22 +321,146 @@ async function handleChatRequest(req, res) {
 }
 
 /**
- * Clear conversation history untuk session
+ * Tulis satu event Server-Sent Events ke response
+ * @param {object} res - Express response object
+ * @param {string} event - Nama event ('chunk', 'done', 'error')
+ * @param {object} data - Payload event
+ */
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Handle chat request dengan streaming (Server-Sent Events)
+ * Potongan teks dikirim ke client begitu diterima dari provider
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
-function handleClearConversation(req, res) {
+async function handleChatStreamRequest(req, res) {
+  const abortController = new AbortController();
+
+  // Jika client menutup koneksi sebelum selesai, batalkan juga generation di provider
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  // Objek JSON hanya bisa divalidasi setelah balasan lengkap
+  if (req.structuredOutput) {
+    return res.status(400).json({ error: "Structured output hanya tersedia di /api/chat." });
+  }
+
   try {
-    const sessionId = generateSessionId(req);
-    
-    if (conversationMemory.has(sessionId)) {
-      conversationMemory.delete(sessionId);
+    const {
+      sanitizedMessage,
+      selectedModel,
+      mode,
+      conversationKey,
+      contents,
+      systemInstruction,
+      wantsCorrection,
+      citations,
+      replaceTurnId,
+    } = await prepareChatTurn(req);
+
+    // Analisis tata bahasa berjalan selama balasan di-stream, hasilnya dikirim di event 'done'
+    const correctionPromise = wantsCorrection
+      ? analyzeGrammar(selectedModel, sanitizedMessage, abortController.signal)
+      : Promise.resolve(null);
+
+    const stream = selectedModel.provider.stream({
+      model: selectedModel.providerModel,
+      systemInstruction: systemInstruction,
+      contents: contents,
+      generation: req.generationSettings,
+      signal: abortController.signal,
+    });
+
+    // Ambil potongan pertama sebelum header dikirim agar error awal tetap jadi JSON 500
+    const first = await stream.next();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    let botMessage = '';
+    const sendChunk = (text) => {
+      botMessage += text;
+      writeSseEvent(res, 'chunk', { text });
+    };
+
+    if (!first.done) {
+      sendChunk(first.value);
+    }
+
+    for await (const text of stream) {
+      if (abortController.signal.aborted) break;
+      sendChunk(text);
     }
+
+    // Percakapan yang dibatalkan tidak disimpan ke history
+    if (abortController.signal.aborted) return;
+
+    if (!botMessage) {
+      botMessage = "Maaf, terjadi kesalahan dalam memproses permintaan Anda.";
+    }
+
+    const turnId = await completeChatTurn(
+      conversationKey,
+      sanitizedMessage,
+      botMessage,
+      selectedModel,
+      { mode, image: req.imageAttachment, replaceTurnId }
+    );
+
+    const correction = await correctionPromise;
+    if (abortController.signal.aborted) return;
+
+    writeSseEvent(res, 'done', {
+      reply: botMessage,
+      turnId: turnId,
+      model: selectedModel.id,
+      mode: mode.id,
+      generation: req.generationSettings,
+      correction: correction,
+      citations: citations,
+      sessionId: req.sessionId,
+      conversationId: req.conversationId
+    });
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) return;
+
+    console.error("Error in chat stream handler:", error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Terjadi kesalahan di server." });
+    }
+
+    writeSseEvent(res, 'error', { error: "Terjadi kesalahan di server." });
+    res.end();
+  }
+}
+
+/**
+ * Clear conversation history untuk session
+ * Ringkasan dan dokumen yang diunggah ke percakapan ikut terhapus
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleClearConversation(req, res) {
+  try {
+    await conversationStore.delete(getConversationKey(req));
     
     res.json({ 
       success: true,
       message: "Conversation history cleared",
-      sessionId: sessionId
+      sessionId: req.sessionId,
+      conversationId: req.conversationId
     });
   } catch (error) {
     console.error("Error clearing conversation:", error);
@@ -218,24 +468,84 @@ function handleClearConversation(req, res) {
   }
 }
 
+/**
+ * Hapus satu giliran (pesan user + balasannya) dari history percakapan
+ * Dengan ?following=true semua giliran setelahnya ikut dihapus
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleDeleteTurn(req, res) {
+  try {
+    const following = req.query.following === "true";
+    const removed = await removeTurn(getConversationKey(req), req.turnId, following);
+
+    if (!removed) {
+      return res.status(404).json({ error: "Giliran tidak ditemukan." });
+    }
+
+    res.json({
+      success: true,
+      turnId: req.turnId,
+      conversationId: req.conversationId
+    });
+  } catch (error) {
+    console.error("Error deleting turn:", error);
+    res.status(500).json({ error: "Gagal menghapus giliran percakapan." });
+  }
+}
+
+/**
+ * Debug: tampilkan apa yang "diingat" bot untuk percakapan ini
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleMemoryDebug(req, res) {
+  try {
+    const conversation = await conversationStore.get(getConversationKey(req));
+
+    res.json({
+      sessionId: req.sessionId,
+      conversationId: req.conversationId,
+      ...describeMemory(conversation)
+    });
+  } catch (error) {
+    console.error("Error reading conversation memory:", error);
+    res.status(500).json({ error: "Terjadi kesalahan saat membaca riwayat percakapan." });
+  }
+}
+
 /**
  * Health check endpoint
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
-function handleHealthCheck(req, res) {
-  res.json({ 
-    status: "OK", 
+async function handleHealthCheck(req, res) {
+  const storeAvailable = conversationStore.isAvailable();
+  let activeConversations = null;
+  if (storeAvailable) {
+    try {
+      activeConversations = await conversationStore.size();
+    } catch (error) {
+      console.error("Error reading conversation store:", error);
+    }
+  }
+
+  res.status(storeAvailable ? 200 : 503).json({
+    status: storeAvailable ? "OK" : "DEGRADED",
     timestamp: new Date().toISOString(),
     service: "Sahabat Nusantara Chat API",
-    activeConversations: conversationMemory.size
+    conversationStore: config.conversation.store,
+    activeConversations: activeConversations
   });
 }
 
 module.exports = {
+  conversationStore,
+  getConversationKey,
   handleChatRequest,
+  handleChatStreamRequest,
   handleHealthCheck,
   handleClearConversation,
-  SYSTEM_PROMPT,
-  GEMINI_MODEL
+  handleDeleteTurn,
+  handleMemoryDebug
 };
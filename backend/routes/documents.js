@@ -0,0 +1,111 @@
+/**
+ * Document routes - unggah bacaan ke percakapan untuk dijadikan bahan tanya jawab di /api/chat
+ */
+
+const { config } = require("../config/app");
+const { conversationStore, getConversationKey } = require("./chat");
+const { createDocument, describeDocument } = require("../services/documents");
+const { DocumentLimitError } = require("../stores/conversationStore");
+
+/**
+ * Balasan untuk DocumentLimitError
+ * @param {object} res - Express response object
+ * @param {string} limit - "conversation" atau "store"
+ */
+function sendDocumentLimitError(res, limit) {
+  if (limit === "conversation") {
+    const { maxPerConversation } = config.uploads.document;
+    return res.status(409).json({
+      error: `Maksimal ${maxPerConversation} dokumen per percakapan. Hapus salah satu dulu.`
+    });
+  }
+
+  // Batas total dokumen di store; PDF disimpan utuh sebagai base64
+  return res.status(503).json({
+    error: "Penyimpanan dokumen server sedang penuh. Coba lagi nanti."
+  });
+}
+
+/**
+ * Handle upload dokumen ke percakapan
+ * Multipart: document (file), conversationId?
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleDocumentUpload(req, res) {
+  try {
+    const conversationKey = getConversationKey(req);
+    const { maxPerConversation, maxStoreBytes } = config.uploads.document;
+
+    // Cek awal agar file tidak diproses percuma; batas dicek ulang secara atomik saat disimpan
+    const existing = await conversationStore.getDocuments(conversationKey);
+    if (existing.length >= maxPerConversation) {
+      return sendDocumentLimitError(res, "conversation");
+    }
+
+    const result = createDocument(req.file);
+    if (!result.isValid) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await conversationStore.addDocument(conversationKey, result.document, {
+      maxPerConversation,
+      maxStoreBytes,
+    });
+
+    res.status(201).json({
+      document: describeDocument(result.document),
+      conversationId: req.conversationId
+    });
+  } catch (error) {
+    if (error instanceof DocumentLimitError) {
+      return sendDocumentLimitError(res, error.limit);
+    }
+    console.error("Error uploading document:", error);
+    res.status(500).json({ error: "Gagal menyimpan dokumen." });
+  }
+}
+
+/**
+ * Handle daftar dokumen percakapan
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleDocumentList(req, res) {
+  try {
+    const documents = await conversationStore.getDocuments(getConversationKey(req));
+
+    res.json({
+      documents: documents.map(describeDocument),
+      conversationId: req.conversationId
+    });
+  } catch (error) {
+    console.error("Error listing documents:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar dokumen." });
+  }
+}
+
+/**
+ * Handle hapus satu dokumen dari percakapan
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleDocumentDelete(req, res) {
+  try {
+    const deleted = await conversationStore.deleteDocument(getConversationKey(req), req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({ error: "Dokumen tidak ditemukan." });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting document:", error);
+    res.status(500).json({ error: "Gagal menghapus dokumen." });
+  }
+}
+
+module.exports = {
+  handleDocumentUpload,
+  handleDocumentList,
+  handleDocumentDelete,
+};
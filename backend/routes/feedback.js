@@ -0,0 +1,89 @@
+/**
+ * Feedback routes - penilaian 👍/👎 untuk balasan bot
+ * Laporan per model dan ekspor giliran bernilai rendah: npm run feedback:report
+ */
+
+const crypto = require("crypto");
+const { config } = require("../config/app");
+const { createFeedbackStore } = require("../stores/feedbackStore");
+const { conversationStore, getConversationKey } = require("./chat");
+
+// Penyimpanan penilaian (file JSONL atau sqlite sesuai config)
+const feedbackStore = createFeedbackStore(config.feedback);
+
+/**
+ * Cari pesan user dan balasan bot dari satu giliran
+ * @param {Array} messages - Message dari conversation store
+ * @param {string} turnId - ID giliran
+ * @returns {object|null} - {prompt, reply, model, mode} atau null jika tidak lengkap
+ */
+function findExchange(messages, turnId) {
+  const userMessage = messages.find((message) => message.turnId === turnId && message.role === "user");
+  const botMessage = messages.find((message) => message.turnId === turnId && message.role === "assistant");
+  if (!userMessage || !botMessage) return null;
+
+  return {
+    prompt: userMessage.content,
+    reply: botMessage.content,
+    model: botMessage.model || null,
+    mode: botMessage.mode || null,
+  };
+}
+
+/**
+ * Key penilaian: satu penilaian per giliran dalam satu session
+ * Session ID di-hash agar tidak ikut tersimpan di file/ekspor penilaian
+ * @param {string} sessionId - req.sessionId
+ * @param {string} turnId - ID giliran
+ * @returns {string} - Key penilaian
+ */
+function getFeedbackKey(sessionId, turnId) {
+  return crypto.createHash("sha256").update(`${sessionId}:${turnId}`).digest("hex").substring(0, 32);
+}
+
+/**
+ * Handle penilaian jawaban bot
+ * Isi giliran diambil dari conversation store; teks dari client hanya dipakai
+ * jika giliran sudah diringkas atau percakapannya kadaluarsa, dan ditandai
+ * source "client" agar laporan memisahkannya dari penilaian terverifikasi
+ * Body: {turnId, rating, comment?, conversationId?, prompt?, reply?, model?, mode?}
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleFeedback(req, res) {
+  try {
+    const { turnId, rating, comment, exchange } = req.feedback;
+    const conversation = await conversationStore.get(getConversationKey(req));
+    const storedExchange = findExchange(conversation.messages, turnId);
+    const ratedExchange = storedExchange
+      ? { ...storedExchange, source: "server" }
+      : exchange && { ...exchange, source: "client" };
+
+    if (!ratedExchange) {
+      return res.status(404).json({ error: "Giliran tidak ditemukan." });
+    }
+
+    const entry = await feedbackStore.save({
+      key: getFeedbackKey(req.sessionId, turnId),
+      turnId: turnId,
+      conversationId: req.conversationId || "default",
+      rating: rating,
+      comment: comment,
+      ...ratedExchange,
+    });
+
+    res.json({
+      success: true,
+      turnId: entry.turnId,
+      rating: entry.rating,
+      comment: entry.comment
+    });
+  } catch (error) {
+    console.error("Error saving feedback:", error);
+    res.status(500).json({ error: "Gagal menyimpan penilaian." });
+  }
+}
+
+module.exports = {
+  handleFeedback,
+};
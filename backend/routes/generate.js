@@ -0,0 +1,151 @@
+/**
+ * Generate routes - endpoint multimodal satu kali (tanpa riwayat percakapan)
+ * Sebelumnya dijalankan sebagai server terpisah di command-index.js
+ */
+
+const { resolveModel } = require("../providers/registry");
+const { validateAndSanitizeMessage } = require("../middleware/security");
+const { createDocument, buildDocumentParts } = require("../services/documents");
+
+// Kemampuan model yang dibutuhkan untuk setiap jenis file upload
+const REQUIRED_CAPABILITIES = {
+  image: { flag: "supportsImages", label: "gambar" },
+  audio: { flag: "supportsAudio", label: "audio" },
+  document: { flag: "supportsDocuments", label: "dokumen PDF" },
+};
+
+/**
+ * Validasi prompt; prompt kosong memakai default jika ada
+ * @param {any} prompt - req.body.prompt
+ * @param {string} defaultPrompt - Prompt pengganti (optional)
+ * @returns {object} - Hasil validateAndSanitizeMessage()
+ */
+function validatePrompt(prompt, defaultPrompt = null) {
+  if ((prompt === undefined || prompt === "") && defaultPrompt) {
+    return { isValid: true, sanitizedMessage: defaultPrompt };
+  }
+  return validateAndSanitizeMessage(prompt);
+}
+
+/**
+ * Susun part untuk file upload sesuai kemampuan model
+ * Dokumen teks dikirim sebagai teks sehingga bisa dipakai semua model
+ * @param {object} file - req.file dari multer
+ * @param {string} kind - 'image' | 'audio' | 'document'
+ * @param {object} modelConfig - Config model yang dipakai (resolveModel().config)
+ * @returns {object} - {isValid: boolean, parts?: Array, status?: number, error?: string}
+ */
+function buildFileParts(file, kind, modelConfig) {
+  let document = null;
+  if (kind === "document") {
+    const result = createDocument(file);
+    if (!result.isValid) {
+      return { isValid: false, status: result.status, error: result.error };
+    }
+    document = result.document;
+  }
+
+  const isText = document !== null && document.text !== undefined;
+  const capability = REQUIRED_CAPABILITIES[kind];
+  if (!isText && capability && !modelConfig[capability.flag]) {
+    return {
+      isValid: false,
+      status: 400,
+      error: `Model yang dipilih tidak mendukung ${capability.label}.`
+    };
+  }
+
+  if (document) {
+    return { isValid: true, parts: buildDocumentParts([document], modelConfig) };
+  }
+
+  return {
+    isValid: true,
+    parts: [{ inlineData: { mimeType: file.mimetype, data: file.buffer.toString("base64") } }],
+  };
+}
+
+/**
+ * Kirim prompt (dan file, jika ada) ke model lalu balas {result, model}
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} defaultPrompt - Prompt jika user tidak mengirim prompt (optional)
+ * @param {string} kind - Jenis file upload: 'image' | 'audio' | 'document' (optional)
+ */
+async function generateFromRequest(req, res, defaultPrompt = null, kind = null) {
+  const validation = validatePrompt(req.body.prompt, defaultPrompt);
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const selectedModel = resolveModel(req.body.model);
+
+    const parts = [{ text: validation.sanitizedMessage }];
+    if (req.file) {
+      const fileParts = buildFileParts(req.file, kind, selectedModel.config);
+      if (!fileParts.isValid) {
+        return res.status(fileParts.status).json({ error: fileParts.error });
+      }
+      parts.push(...fileParts.parts);
+    }
+
+    // Pengaturan generation sama seperti /api/chat (default config.ai + override dari request)
+    const { text } = await selectedModel.provider.generate({
+      model: selectedModel.providerModel,
+      contents: [{ role: "user", content: parts }],
+      generation: req.generationSettings,
+    });
+
+    res.json({
+      result: text,
+      model: selectedModel.id
+    });
+  } catch (error) {
+    console.error("Error in generate handler:", error);
+    res.status(500).json({ error: "Terjadi kesalahan di server." });
+  }
+}
+
+/**
+ * Generate teks dari prompt
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleGenerateText(req, res) {
+  return generateFromRequest(req, res);
+}
+
+/**
+ * Generate dari gambar (field "image")
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleGenerateFromImage(req, res) {
+  return generateFromRequest(req, res, "Jelaskan gambar berikut:", "image");
+}
+
+/**
+ * Generate dari audio (field "audio")
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleGenerateFromAudio(req, res) {
+  return generateFromRequest(req, res, "Transkrip audio berikut:", "audio");
+}
+
+/**
+ * Generate dari dokumen (field "document")
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleGenerateFromDocument(req, res) {
+  return generateFromRequest(req, res, "Ringkas dokumen berikut:", "document");
+}
+
+module.exports = {
+  handleGenerateText,
+  handleGenerateFromImage,
+  handleGenerateFromAudio,
+  handleGenerateFromDocument,
+};
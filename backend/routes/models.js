@@ -0,0 +1,23 @@
+/**
+ * Model routes - katalog model AI untuk pemilih model di frontend
+ */
+
+const { getModelCatalogue } = require("../providers/registry");
+
+/**
+ * Handle request daftar model
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function handleModelsRequest(req, res) {
+  try {
+    res.json({ models: getModelCatalogue() });
+  } catch (error) {
+    console.error("Error listing models:", error);
+    res.status(500).json({ error: "Gagal memuat daftar model." });
+  }
+}
+
+module.exports = {
+  handleModelsRequest,
+};
@@ -0,0 +1,23 @@
+/**
+ * Mode routes - daftar learning mode untuk pemilih mode di frontend
+ */
+
+const { listModes } = require("../services/modes");
+
+/**
+ * Handle request daftar mode
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function handleModesRequest(req, res) {
+  try {
+    res.json({ modes: listModes() });
+  } catch (error) {
+    console.error("Error listing modes:", error);
+    res.status(500).json({ error: "Gagal memuat daftar mode." });
+  }
+}
+
+module.exports = {
+  handleModesRequest,
+};
@@ -0,0 +1,41 @@
+/**
+ * Pronunciation routes - latihan pelafalan dari rekaman suara
+ */
+
+const { resolveModel } = require("../providers/registry");
+const { assessPronunciation } = require("../services/pronunciation");
+
+/**
+ * Handle penilaian pelafalan
+ * Multipart: audio (file), targetText, duration, model? (divalidasi oleh validatePronunciationMiddleware)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handlePronunciationRequest(req, res) {
+  try {
+    // Pemilihan model sama dengan /api/chat (default ke config.ai.model)
+    const selectedModel = resolveModel(req.body.model);
+    const { targetText, duration } = req.pronunciationRequest;
+
+    const assessment = await assessPronunciation(selectedModel, targetText, {
+      mimeType: req.file.mimetype,
+      buffer: req.file.buffer,
+    });
+    if (!assessment) {
+      return res.status(502).json({ error: "Model tidak menghasilkan penilaian yang valid. Coba lagi." });
+    }
+
+    res.json({
+      ...assessment,
+      duration: duration,
+      model: selectedModel.id
+    });
+  } catch (error) {
+    console.error("Error assessing pronunciation:", error);
+    res.status(500).json({ error: "Gagal menilai pelafalan." });
+  }
+}
+
+module.exports = {
+  handlePronunciationRequest,
+};
@@ -0,0 +1,40 @@
+/**
+ * Quiz routes - kuis pilihan ganda untuk kelas
+ */
+
+const { resolveModel } = require("../providers/registry");
+const { generateQuiz } = require("../services/quiz");
+
+/**
+ * Handle request pembuatan kuis
+ * Body: {topic, difficulty?, count?, model?} (divalidasi oleh validateQuizMiddleware)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleQuizRequest(req, res) {
+  try {
+    // Pemilihan model sama dengan /api/chat (default ke config.ai.model)
+    const selectedModel = resolveModel(req.body.model);
+    const { topic, difficulty, count } = req.quizRequest;
+
+    const questions = await generateQuiz(selectedModel, req.quizRequest);
+    if (!questions) {
+      return res.status(502).json({ error: "Model tidak menghasilkan kuis yang valid. Coba lagi." });
+    }
+
+    res.json({
+      topic: topic,
+      difficulty: difficulty,
+      count: count,
+      questions: questions,
+      model: selectedModel.id
+    });
+  } catch (error) {
+    console.error("Error generating quiz:", error);
+    res.status(500).json({ error: "Gagal membuat kuis." });
+  }
+}
+
+module.exports = {
+  handleQuizRequest,
+};
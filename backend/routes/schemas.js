@@ -0,0 +1,23 @@
+/**
+ * Schema routes - daftar schema bernama untuk structured output di /api/chat
+ */
+
+const { listNamedSchemas } = require("../services/structuredOutput");
+
+/**
+ * Handle request daftar schema
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function handleSchemasRequest(req, res) {
+  try {
+    res.json({ schemas: listNamedSchemas() });
+  } catch (error) {
+    console.error("Error listing schemas:", error);
+    res.status(500).json({ error: "Gagal memuat daftar schema." });
+  }
+}
+
+module.exports = {
+  handleSchemasRequest,
+};
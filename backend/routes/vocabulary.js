@@ -0,0 +1,39 @@
+/**
+ * Vocabulary routes - usulan kosakata dari balasan bot
+ * Buku kosakata sendiri disimpan di client (public/js/vocabularyStorage.js)
+ */
+
+const { config } = require("../config/app");
+const { resolveModel } = require("../providers/registry");
+const { validateAndSanitizeMessage } = require("../middleware/security");
+const { suggestVocabulary } = require("../services/vocabulary");
+
+/**
+ * Handle request usulan kosakata
+ * Body: {text, model?}
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleVocabularySuggest(req, res) {
+  const validation = validateAndSanitizeMessage(req.body.text, config.ai.vocabulary.maxTextLength);
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const selectedModel = resolveModel(req.body.model);
+    const words = await suggestVocabulary(selectedModel, validation.sanitizedMessage);
+
+    res.json({
+      words: words,
+      model: selectedModel.id
+    });
+  } catch (error) {
+    console.error("Error suggesting vocabulary:", error);
+    res.status(500).json({ error: "Gagal membuat usulan kosakata." });
+  }
+}
+
+module.exports = {
+  handleVocabularySuggest,
+};
@@ -0,0 +1,111 @@
+/**
+ * Laporan penilaian jawaban - ringkasan 👍/👎 per model dan ekspor giliran bernilai rendah
+ * Pemakaian: npm run feedback:report -- [--since=2026-01-31] [--model=gemini-2.5-flash] [--export[=file.jsonl]]
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/app");
+const { createFeedbackStore } = require("../stores/feedbackStore");
+const {
+  filterFeedback,
+  splitBySource,
+  summarizeByModel,
+  selectLowRated,
+} = require("../services/feedback");
+
+// File ekspor default jika --export tanpa nama file, relatif ke backend/
+const DEFAULT_EXPORT_PATH = "data/feedback-low-rated.jsonl";
+
+/**
+ * Baca opsi --nama=nilai dari argumen command line
+ * @param {Array<string>} args - Argumen command line
+ * @param {string} name - Nama opsi tanpa "--"
+ * @returns {string|boolean|undefined} - Nilai opsi, true jika tanpa nilai
+ */
+function readOption(args, name) {
+  const arg = args.find((item) => item === `--${name}` || item.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : true;
+}
+
+/**
+ * Cetak tabel ringkasan per model
+ * @param {Array} entries - Entry dari feedback store
+ */
+function printSummary(entries) {
+  console.table(
+    summarizeByModel(entries).map((summary) => ({
+      Model: summary.model,
+      Total: summary.total,
+      "👍": summary.up,
+      "👎": summary.down,
+      "% 👍": `${Math.round(summary.upRate * 100)}%`,
+      Komentar: summary.comments,
+    }))
+  );
+}
+
+/**
+ * Jalankan laporan
+ * @param {Array<string>} args - Argumen command line
+ */
+async function main(args) {
+  const since = readOption(args, "since");
+  const model = readOption(args, "model");
+  const exportOption = readOption(args, "export");
+
+  const sinceTime = since ? Date.parse(since) : null;
+  if (since && Number.isNaN(sinceTime)) {
+    throw new Error(`Tanggal --since tidak valid: ${since}`);
+  }
+
+  const store = createFeedbackStore(config.feedback);
+  let entries;
+  try {
+    entries = filterFeedback(await store.list(), {
+      since: sinceTime,
+      model: typeof model === "string" ? model : null,
+    });
+  } finally {
+    await store.close();
+  }
+
+  if (entries.length === 0) {
+    console.log("📭 Belum ada penilaian yang cocok.");
+    return;
+  }
+
+  // Isi giliran dari client tidak terverifikasi, jadi tidak dicampur dengan ringkasan utama
+  const { verified, client } = splitBySource(entries);
+
+  console.log(`📊 ${verified.length} penilaian terverifikasi\n`);
+  if (verified.length > 0) {
+    printSummary(verified);
+  }
+
+  if (client.length > 0) {
+    console.log(`\n⚠️  ${client.length} penilaian dengan isi giliran dari client (tidak terverifikasi)\n`);
+    printSummary(client);
+  }
+
+  if (exportOption) {
+    const exportPath =
+      typeof exportOption === "string"
+        ? path.resolve(exportOption)
+        : path.resolve(__dirname, "..", DEFAULT_EXPORT_PATH);
+    const lowRated = selectLowRated(entries);
+
+    fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+    fs.writeFileSync(exportPath, lowRated.map((item) => `${JSON.stringify(item)}\n`).join(""));
+    console.log(`\n📝 ${lowRated.length} giliran bernilai 👎 diekspor ke ${exportPath}`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error("❌ Laporan gagal:", error.message);
+  process.exit(1);
+});
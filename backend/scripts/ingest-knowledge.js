@@ -0,0 +1,59 @@
+/**
+ * Ingest knowledge base - potong dan indeks file Markdown/teks menjadi indeks lokal
+ * Pemakaian: npm run ingest -- [folder] [--embeddings]
+ */
+
+// Load environment variables
+require("dotenv").config();
+
+const path = require("path");
+const { config } = require("../config/app");
+const {
+  collectChunks,
+  buildIndex,
+  embedTexts,
+  writeIndex,
+  resolveBackendPath,
+} = require("../services/knowledgeBase");
+
+// Jumlah teks per request embedding
+const EMBEDDING_BATCH_SIZE = 50;
+
+/**
+ * Jalankan ingest
+ * @param {Array<string>} args - Argumen command line
+ */
+async function main(args) {
+  const folderArg = args.find((arg) => !arg.startsWith("--"));
+  const withEmbeddings = args.includes("--embeddings") || config.knowledge.embeddings.enabled;
+
+  const sourceDir = folderArg ? path.resolve(folderArg) : resolveBackendPath(config.knowledge.sourceDir);
+  const indexPath = resolveBackendPath(config.knowledge.indexPath);
+
+  const { files, chunks } = collectChunks(sourceDir);
+  if (chunks.length === 0) {
+    throw new Error(`Tidak ada file .md/.txt yang bisa diindeks di ${sourceDir}`);
+  }
+
+  const index = buildIndex(chunks);
+
+  if (withEmbeddings) {
+    const { provider, model } = config.knowledge.embeddings;
+    console.log(`🧠 Membuat embedding dengan ${provider}/${model}...`);
+
+    const vectors = [];
+    for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+      vectors.push(...(await embedTexts(batch.map((chunk) => `${chunk.title}\n${chunk.text}`))));
+    }
+    index.embeddings = { model, vectors };
+  }
+
+  writeIndex(index, indexPath);
+  console.log(`📚 ${files} file, ${chunks.length} potongan diindeks ke ${indexPath}`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error("❌ Ingest gagal:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+/**
+ * Documents - bacaan yang diunggah sekali lalu dipakai sebagai konteks tanya jawab
+ * Dokumen teks disimpan sebagai teks; PDF disimpan utuh (base64) dan dikirim
+ * sebagai inlineData ke model yang mendukungnya
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { config } = require("../config/app");
+const { estimateTokens } = require("../providers/llmProvider");
+
+const TEXT_MIME_TYPES = ["text/plain", "text/markdown", "text/csv"];
+
+/**
+ * Rapikan nama file dari client agar aman ditampilkan
+ * @param {string} originalName - Nama file asli
+ * @returns {string} - Nama file
+ */
+function sanitizeFileName(originalName) {
+  const name = path
+    .basename(String(originalName || ""))
+    .replace(/[\u0000-\u001f\u007f<>]/g, "")
+    .trim()
+    .substring(0, 100);
+
+  return name || "dokumen";
+}
+
+/**
+ * Buat record dokumen dari file upload (req.file dari multer)
+ * @param {object} file - {originalname, mimetype, size, buffer}
+ * @returns {object} - {isValid: boolean, document?: object, status?: number, error?: string}
+ */
+function createDocument(file) {
+  const { maxTextLength } = config.uploads.document;
+
+  const document = {
+    id: `doc_${crypto.randomUUID()}`,
+    name: sanitizeFileName(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size,
+    createdAt: Date.now(),
+  };
+
+  if (!TEXT_MIME_TYPES.includes(file.mimetype)) {
+    return { isValid: true, document: { ...document, data: file.buffer.toString("base64") } };
+  }
+
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(file.buffer);
+  } catch (error) {
+    return { isValid: false, status: 415, error: "Dokumen teks harus berenkoding UTF-8." };
+  }
+
+  text = text.replace(/^﻿/, "").trim();
+  if (!text) {
+    return { isValid: false, status: 400, error: "Dokumen kosong." };
+  }
+
+  if (text.length > maxTextLength) {
+    return {
+      isValid: false,
+      status: 413,
+      error: `Dokumen teks terlalu panjang. Maksimal ${maxTextLength} karakter.`
+    };
+  }
+
+  return { isValid: true, document: { ...document, text } };
+}
+
+/**
+ * Data dokumen yang aman dikirim ke client (tanpa isi)
+ * @param {object} document - Record dokumen
+ * @returns {object} - {id, name, mimeType, size, createdAt}
+ */
+function describeDocument(document) {
+  return {
+    id: document.id,
+    name: document.name,
+    mimeType: document.mimeType,
+    size: document.size,
+    createdAt: document.createdAt,
+  };
+}
+
+/**
+ * Potong teks dokumen agar muat dalam sisa token budget
+ * @param {string} text - Isi dokumen
+ * @param {number} tokenBudget - Sisa estimasi token
+ * @returns {string} - Teks utuh, atau potongan awalnya
+ */
+function truncateDocumentText(text, tokenBudget) {
+  if (estimateTokens(text) <= tokenBudget) return text;
+  return text.substring(0, Math.max(0, tokenBudget * 4));
+}
+
+/**
+ * Susun part konteks dari dokumen percakapan untuk pesan user saat ini
+ * Dokumen dikirim ulang setiap giliran, jadi dibatasi config.uploads.document:
+ * teks dipotong sesuai maxContextTokens, PDF yang melebihi maxContextPdfBytes dilewati
+ * @param {Array} documents - Record dokumen dari conversation store
+ * @param {object} modelConfig - Config model yang dipakai (resolveModel().config)
+ * @returns {Array} - Array of part {text} / {inlineData}; kosong jika tidak ada dokumen
+ */
+function buildDocumentParts(documents, modelConfig) {
+  if (!documents || documents.length === 0) return [];
+
+  const { maxContextTokens, maxContextPdfBytes } = config.uploads.document;
+  let remainingTokens = maxContextTokens;
+  let remainingPdfBytes = maxContextPdfBytes;
+
+  const parts = [];
+  documents.forEach((document) => {
+    if (document.text !== undefined) {
+      const text = truncateDocumentText(document.text, remainingTokens);
+      remainingTokens -= estimateTokens(text);
+      const note = text.length < document.text.length ? "\n[Dokumen terpotong: bagian selanjutnya tidak dikirim]" : "";
+      parts.push({ text: `[Dokumen "${document.name}"]\n${text}${note}\n[Akhir dokumen "${document.name}"]` });
+    } else if (modelConfig && modelConfig.supportsDocuments) {
+      if (document.size > remainingPdfBytes) {
+        parts.push({ text: `[Dokumen "${document.name}" terlalu besar untuk dikirim bersama dokumen lain]` });
+        return;
+      }
+      remainingPdfBytes -= document.size;
+      parts.push({ text: `[Dokumen "${document.name}"]` });
+      parts.push({ inlineData: { mimeType: document.mimeType, data: document.data } });
+    } else {
+      parts.push({ text: `[Dokumen "${document.name}" tidak bisa dibaca oleh model ini]` });
+    }
+  });
+
+  parts.push({
+    text: "Gunakan dokumen di atas sebagai bahan bacaan. Jika jawabannya ada di dokumen, jawab berdasarkan dokumen dan sebutkan bagiannya; jika tidak ada, katakan bahwa dokumen tidak membahasnya.",
+  });
+  return parts;
+}
+
+module.exports = {
+  createDocument,
+  describeDocument,
+  buildDocumentParts,
+};
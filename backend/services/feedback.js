@@ -0,0 +1,82 @@
+/**
+ * Feedback service - ringkasan penilaian jawaban untuk evaluasi model dan prompt
+ */
+
+/**
+ * Saring penilaian berdasarkan waktu dan model
+ * @param {Array} entries - Entry dari feedback store
+ * @param {object} filters - {since: number (timestamp), model: string} (optional)
+ * @returns {Array} - Entry yang lolos filter
+ */
+function filterFeedback(entries, filters = {}) {
+  return entries.filter(
+    (entry) =>
+      (!filters.since || entry.updatedAt >= filters.since) &&
+      (!filters.model || entry.model === filters.model)
+  );
+}
+
+/**
+ * Pisahkan penilaian terverifikasi (isi giliran dari conversation store) dari
+ * penilaian yang isinya dikirim client
+ * @param {Array} entries - Entry dari feedback store
+ * @returns {object} - {verified: Array, client: Array}
+ */
+function splitBySource(entries) {
+  return {
+    verified: entries.filter((entry) => entry.source !== "client"),
+    client: entries.filter((entry) => entry.source === "client"),
+  };
+}
+
+/**
+ * Ringkas penilaian per model
+ * @param {Array} entries - Entry dari feedback store
+ * @returns {Array} - Array of {model, total, up, down, upRate, comments}, urut dari yang terbanyak
+ */
+function summarizeByModel(entries) {
+  const summaries = new Map();
+
+  entries.forEach((entry) => {
+    const model = entry.model || "(tidak diketahui)";
+    if (!summaries.has(model)) {
+      summaries.set(model, { model, total: 0, up: 0, down: 0, upRate: 0, comments: 0 });
+    }
+
+    const summary = summaries.get(model);
+    summary.total++;
+    summary[entry.rating === "up" ? "up" : "down"]++;
+    if (entry.comment) summary.comments++;
+  });
+
+  return Array.from(summaries.values())
+    .map((summary) => ({ ...summary, upRate: summary.up / summary.total }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Ambil giliran bernilai rendah dalam bentuk yang siap dipakai untuk tuning prompt
+ * @param {Array} entries - Entry dari feedback store
+ * @returns {Array} - Array of {prompt, reply, comment, model, mode, turnId, source, ratedAt}
+ */
+function selectLowRated(entries) {
+  return entries
+    .filter((entry) => entry.rating === "down")
+    .map((entry) => ({
+      prompt: entry.prompt,
+      reply: entry.reply,
+      comment: entry.comment || "",
+      model: entry.model,
+      mode: entry.mode,
+      turnId: entry.turnId,
+      source: entry.source,
+      ratedAt: new Date(entry.updatedAt).toISOString(),
+    }));
+}
+
+module.exports = {
+  filterFeedback,
+  splitBySource,
+  summarizeByModel,
+  selectLowRated,
+};
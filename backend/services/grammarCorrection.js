@@ -0,0 +1,83 @@
+/**
+ * Grammar correction - analisis tata bahasa pesan user untuk pelajar bahasa Indonesia
+ * Hasilnya dikirim bersama balasan bot, bukan sebagai bagian dari percakapan
+ */
+
+const { config } = require("../config/app");
+const { extractJson } = require("../providers/llmProvider");
+
+const ERROR_TYPES = ["imbuhan", "baku", "ejaan", "kata-depan", "struktur", "lainnya"];
+
+const CORRECTION_PROMPT = `
+Kamu adalah pemeriksa tata bahasa Indonesia untuk pelajar.
+Periksa kalimat pengguna dan balas HANYA dengan JSON tanpa teks lain, dengan bentuk:
+{"corrected": "kalimat yang sudah benar", "errors": [{"type": "...", "original": "bagian yang salah", "correction": "perbaikannya", "explanation": "penjelasan singkat"}]}
+- "type" salah satu dari: ${ERROR_TYPES.join(", ")}.
+- "imbuhan" untuk awalan/akhiran yang salah, "baku" untuk kata tidak baku yang punya padanan baku.
+- Jika kalimat sudah benar, isi "corrected" dengan kalimat aslinya dan "errors" dengan array kosong.
+- Jika pesan bukan berbahasa Indonesia, kembalikan "errors" kosong.
+- Penjelasan ditulis dalam bahasa Indonesia sederhana, satu kalimat per kesalahan.
+- Jangan mengoreksi gaya bahasa percakapan yang wajar, hanya kesalahan yang jelas.
+`;
+
+/**
+ * Ubah jawaban model menjadi analisis yang bentuknya terjamin
+ * @param {string} text - Teks dari provider
+ * @param {string} original - Pesan user yang dianalisis
+ * @returns {object|null} - {original, corrected, errors, isCorrect}, atau null jika tidak valid
+ */
+function parseCorrection(text, original) {
+  const parsed = extractJson(text);
+  if (!parsed || typeof parsed.corrected !== "string") return null;
+
+  const errors = (Array.isArray(parsed.errors) ? parsed.errors : [])
+    .filter((item) => item && typeof item.explanation === "string")
+    .slice(0, 10)
+    .map((item) => ({
+      type: ERROR_TYPES.includes(item.type) ? item.type : "lainnya",
+      original: String(item.original || ""),
+      correction: String(item.correction || ""),
+      explanation: item.explanation,
+    }));
+
+  const corrected = parsed.corrected.trim() || original;
+
+  return {
+    original: original,
+    corrected: corrected,
+    errors: errors,
+    isCorrect: errors.length === 0,
+  };
+}
+
+/**
+ * Analisis tata bahasa satu pesan user
+ * Kegagalan tidak menggagalkan chat; hasilnya cukup null
+ * @param {object} model - Model dari resolveModel()
+ * @param {string} message - Pesan user (sudah disanitasi)
+ * @param {AbortSignal} signal - Signal untuk membatalkan request (optional)
+ * @returns {Promise<object|null>} - Hasil parseCorrection()
+ */
+async function analyzeGrammar(model, message, signal = undefined) {
+  try {
+    const { text } = await model.provider.generate({
+      model: model.providerModel,
+      systemInstruction: CORRECTION_PROMPT,
+      contents: message,
+      generation: config.ai.correction,
+      signal: signal,
+    });
+
+    return parseCorrection(text, message);
+  } catch (error) {
+    if (signal && signal.aborted) return null;
+
+    console.error("Error analyzing grammar:", error);
+    return null;
+  }
+}
+
+module.exports = {
+  analyzeGrammar,
+  parseCorrection,
+};
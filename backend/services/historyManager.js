@@ -0,0 +1,215 @@
+/**
+ * History manager - memilih konteks berdasarkan token budget dan
+ * memadatkan giliran lama menjadi ringkasan (running summary)
+ */
+
+const { config } = require("../config/app");
+const { estimateTokens } = require("../providers/llmProvider");
+
+const SUMMARY_PROMPT = `
+Kamu meringkas percakapan antara pengguna dan "Sahabat Nusantara" untuk dipakai sebagai ingatan jangka panjang.
+- Tulis ringkasan singkat dalam bahasa Indonesia, maksimal beberapa kalimat padat.
+- Pertahankan fakta penting: nama, preferensi, topik yang dibahas, pertanyaan yang belum terjawab.
+- Gabungkan ringkasan lama (jika ada) dengan percakapan baru menjadi satu ringkasan.
+- Jangan menambahkan informasi yang tidak ada di percakapan.
+`;
+
+// Key yang sedang diringkas, agar tidak ada dua proses ringkasan bersamaan
+const condensingKeys = new Set();
+
+/**
+ * Estimasi token satu message
+ * @param {object} message - {role, content}
+ * @returns {number} - Estimasi token
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content);
+}
+
+/**
+ * Pilih message terbaru yang muat dalam token budget
+ * Ringkasan ikut dikirim ke model, jadi tokennya dihitung lebih dulu
+ * @param {Array} messages - Semua message percakapan
+ * @param {string} summary - Ringkasan percakapan (optional)
+ * @param {number} tokenBudget - Budget token untuk ringkasan + history
+ * @returns {Array} - Message terpilih (urutan kronologis, diawali giliran user)
+ */
+function selectContextMessages(messages, summary = "", tokenBudget = config.conversation.tokenBudget) {
+  const maxCount = config.conversation.contextWindow || messages.length;
+  const selected = [];
+  let tokens = estimateTokens(summary);
+
+  for (let i = messages.length - 1; i >= 0 && selected.length < maxCount; i--) {
+    const messageTokens = estimateMessageTokens(messages[i]);
+    if (tokens + messageTokens > tokenBudget) break;
+
+    tokens += messageTokens;
+    selected.unshift(messages[i]);
+  }
+
+  // Giliran pertama harus dari user
+  while (selected.length > 0 && selected[0].role !== "user") {
+    selected.shift();
+  }
+
+  return selected;
+}
+
+/**
+ * Hitung berapa message terbaru yang tetap disimpan utuh
+ * Separuh budget disisakan untuk giliran terbaru, sisanya untuk ringkasan dan giliran baru
+ * @param {Array} messages - Semua message percakapan
+ * @returns {number} - Jumlah message yang disimpan
+ */
+function countMessagesToKeep(messages) {
+  const keepBudget = Math.floor(config.conversation.tokenBudget / 2);
+  let keep = 0;
+  let tokens = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const messageTokens = estimateMessageTokens(messages[i]);
+    // Minimal satu giliran terakhir (user + asisten) selalu disimpan
+    if (keep >= 2 && tokens + messageTokens > keepBudget) break;
+
+    tokens += messageTokens;
+    keep++;
+  }
+
+  // Bagian yang disimpan diawali giliran user
+  while (keep > 0 && messages[messages.length - keep].role !== "user") {
+    keep--;
+  }
+
+  return keep;
+}
+
+/**
+ * Cari posisi message pertama yang tidak ikut diringkas
+ * History bisa berubah selama ringkasan dibuat (giliran baru, diganti atau dihapus),
+ * jadi posisinya dicari ulang dari giliran message tersebut, bukan dari jumlah message
+ * @param {Array} messages - Message terbaru dari store
+ * @param {object|null} firstKept - Message pertama yang disimpan saat ringkasan dimulai
+ * @param {object} lastSummarized - Message terakhir yang diringkas
+ * @returns {number} - Index message pertama yang tetap disimpan
+ */
+function findFirstKeptIndex(messages, firstKept, lastSummarized) {
+  if (firstKept) {
+    const turnIndex = firstKept.turnId
+      ? messages.findIndex((msg) => msg.turnId === firstKept.turnId)
+      : -1;
+    if (turnIndex !== -1) return turnIndex;
+
+    // Giliran tersebut sudah dihapus/diganti: simpan semua yang tidak lebih lama darinya
+    const index = messages.findIndex((msg) => msg.timestamp >= firstKept.timestamp);
+    return index === -1 ? messages.length : index;
+  }
+
+  const index = messages.findIndex((msg) => msg.timestamp > lastSummarized.timestamp);
+  return index === -1 ? messages.length : index;
+}
+
+/**
+ * Format message menjadi transkrip untuk diringkas
+ * @param {string} previousSummary - Ringkasan sebelumnya
+ * @param {Array} messages - Message yang akan diringkas
+ * @returns {string} - Teks transkrip
+ */
+function buildSummaryInput(previousSummary, messages) {
+  const transcript = messages
+    .map((msg) => `${msg.role === "user" ? "Pengguna" : "Asisten"}: ${msg.content}`)
+    .join("\n");
+
+  return previousSummary
+    ? `Ringkasan sebelumnya:\n${previousSummary}\n\nPercakapan baru:\n${transcript}`
+    : `Percakapan:\n${transcript}`;
+}
+
+/**
+ * Padatkan giliran lama menjadi ringkasan jika history melebihi token budget
+ * @param {ConversationStore} store - Conversation store
+ * @param {string} conversationKey - Key percakapan
+ * @param {object} model - Model dari resolveModel() untuk membuat ringkasan
+ * @returns {Promise<boolean>} - True jika ringkasan diperbarui
+ */
+async function condenseHistory(store, conversationKey, model) {
+  if (condensingKeys.has(conversationKey)) return false;
+  condensingKeys.add(conversationKey);
+
+  try {
+    const conversation = await store.get(conversationKey);
+    const totalTokens =
+      estimateTokens(conversation.summary) +
+      conversation.messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+    if (totalTokens <= config.conversation.tokenBudget) return false;
+
+    const keep = countMessagesToKeep(conversation.messages);
+    const toSummarize = conversation.messages.slice(0, conversation.messages.length - keep);
+    if (toSummarize.length === 0) return false;
+
+    // Catat batas ringkasan sebelum memanggil model
+    const firstKept = conversation.messages[toSummarize.length] || null;
+    const lastSummarized = toSummarize[toSummarize.length - 1];
+
+    const { text: summary } = await model.provider.generate({
+      model: model.providerModel,
+      systemInstruction: SUMMARY_PROMPT,
+      contents: buildSummaryInput(conversation.summary, toSummarize),
+      generation: {
+        maxOutputTokens: config.conversation.summaryMaxTokens,
+        temperature: 0.2,
+      },
+    });
+
+    // Buang hanya message sebelum batas ringkasan
+    const latest = await store.get(conversationKey);
+    const firstKeptIndex = findFirstKeptIndex(latest.messages, firstKept, lastSummarized);
+    await store.setSummary(conversationKey, summary.trim());
+    await store.trim(conversationKey, latest.messages.length - firstKeptIndex);
+
+    return true;
+  } finally {
+    condensingKeys.delete(conversationKey);
+  }
+}
+
+/**
+ * Jalankan condenseHistory tanpa menahan response ke client
+ * @param {ConversationStore} store - Conversation store
+ * @param {string} conversationKey - Key percakapan
+ * @param {object} model - Model dari resolveModel()
+ */
+function condenseHistoryInBackground(store, conversationKey, model) {
+  condenseHistory(store, conversationKey, model).catch((error) => {
+    console.error("Error summarizing conversation:", error);
+  });
+}
+
+/**
+ * Gambaran isi ingatan percakapan (untuk endpoint debug)
+ * @param {object} conversation - Hasil store.get()
+ * @returns {object} - Ringkasan, message, dan estimasi token
+ */
+function describeMemory(conversation) {
+  const context = selectContextMessages(conversation.messages, conversation.summary);
+
+  return {
+    summary: conversation.summary,
+    messages: conversation.messages,
+    contextMessageCount: context.length,
+    estimatedTokens: {
+      summary: estimateTokens(conversation.summary),
+      messages: conversation.messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0),
+      context: context.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0),
+    },
+    tokenBudget: config.conversation.tokenBudget,
+    lastActivity: conversation.lastActivity,
+  };
+}
+
+module.exports = {
+  selectContextMessages,
+  condenseHistory,
+  condenseHistoryInBackground,
+  describeMemory,
+};
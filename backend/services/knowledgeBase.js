@@ -0,0 +1,422 @@
+/**
+ * Knowledge base - potongan referensi dari file Markdown/teks lokal
+ * Retrieval memakai BM25 sehingga tetap jalan offline; jika indeks dibuat
+ * dengan embedding, hasilnya digabung dengan kemiripan vektor (reciprocal rank fusion)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/app");
+const { getProvider } = require("../providers/registry");
+
+const INDEX_VERSION = 1;
+const SUPPORTED_EXTENSIONS = [".md", ".markdown", ".txt"];
+
+// Parameter BM25 yang umum dipakai
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Konstanta reciprocal rank fusion
+const RRF_K = 60;
+// Potongan dengan skor di bawah fraksi ini dari skor teratas dianggap kebetulan cocok
+const MIN_RELATIVE_SCORE = 0.5;
+
+const STOPWORDS = new Set([
+  "yang", "dan", "di", "ke", "dari", "ini", "itu", "untuk", "dengan", "adalah",
+  "pada", "dalam", "atau", "juga", "tidak", "ada", "apa", "bagaimana", "siapa",
+  "kapan", "mana", "berapa", "saya", "aku", "kamu", "anda", "bisa", "akan",
+  "sudah", "tentang", "seperti", "oleh", "karena", "jadi", "lebih", "sangat",
+  "para", "sebagai", "bahwa", "saat", "agar", "tapi", "tetapi", "kah", "dong",
+  "nya", "sih", "ya", "jelaskan", "ceritakan", "tolong",
+]);
+
+// Cache indeks; dimuat ulang jika file indeks berubah
+let cachedIndex = null;
+let cachedMtimeMs = null;
+
+/**
+ * Resolve path relatif terhadap folder backend/
+ * @param {string} target - Path dari config
+ * @returns {string} - Path absolut
+ */
+function resolveBackendPath(target) {
+  return path.resolve(__dirname, "..", target);
+}
+
+/**
+ * Pecah teks menjadi term untuk BM25 (huruf kecil, tanpa tanda baca dan stopword)
+ * @param {string} text - Teks
+ * @returns {Array<string>} - Daftar term
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Potong teks panjang per paragraf (lalu per kalimat) hingga maxChars
+ * @param {string} text - Isi satu bagian
+ * @param {number} maxChars - Panjang maksimal potongan
+ * @returns {Array<string>} - Potongan teks
+ */
+function splitIntoPassages(text, maxChars) {
+  const pieces = text
+    .split(/\n\s*\n/)
+    .flatMap((paragraph) =>
+      paragraph.length <= maxChars ? [paragraph] : paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]
+    )
+    .map((piece) => piece.trim())
+    .filter(Boolean);
+
+  const passages = [];
+  let current = "";
+  pieces.forEach((piece) => {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      passages.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  });
+  if (current) {
+    passages.push(current);
+  }
+
+  return passages;
+}
+
+/**
+ * Potong satu file menjadi passage; Markdown dipotong per heading
+ * @param {string} text - Isi file
+ * @param {string} source - Nama file relatif terhadap folder sumber
+ * @param {number} maxChars - Panjang maksimal potongan
+ * @returns {Array<object>} - Array of {source, title, text}
+ */
+function chunkDocument(text, source, maxChars = config.knowledge.chunkMaxChars) {
+  const fallbackTitle = path.basename(source, path.extname(source));
+  const headings = [];
+  const sections = [];
+  let lines = [];
+
+  const flush = () => {
+    const body = lines.join("\n").trim();
+    if (body) {
+      sections.push({ title: headings.filter(Boolean).join(" › ") || fallbackTitle, body });
+    }
+    lines = [];
+  };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      lines.push(line);
+      return;
+    }
+
+    flush();
+    const level = heading[1].length;
+    headings.length = level - 1;
+    headings[level - 1] = heading[2];
+  });
+  flush();
+
+  return sections.flatMap((section) =>
+    splitIntoPassages(section.body, maxChars).map((passage) => ({
+      source,
+      title: section.title,
+      text: passage,
+    }))
+  );
+}
+
+/**
+ * Bangun indeks BM25 dari daftar passage
+ * @param {Array<object>} chunks - Hasil chunkDocument()
+ * @returns {object} - Indeks {version, createdAt, avgLength, df, chunks}
+ */
+function buildIndex(chunks) {
+  const df = {};
+  let totalLength = 0;
+
+  const indexedChunks = chunks.map((chunk, position) => {
+    // Judul ikut diindeks agar pertanyaan "resep rendang" cocok dengan heading "Rendang"
+    const terms = tokenize(`${chunk.title} ${chunk.text}`);
+    const frequencies = {};
+    terms.forEach((term) => {
+      frequencies[term] = (frequencies[term] || 0) + 1;
+    });
+    Object.keys(frequencies).forEach((term) => {
+      df[term] = (df[term] || 0) + 1;
+    });
+    totalLength += terms.length;
+
+    return {
+      id: `chunk_${position + 1}`,
+      source: chunk.source,
+      title: chunk.title,
+      text: chunk.text,
+      length: terms.length,
+      terms: frequencies,
+    };
+  });
+
+  return {
+    version: INDEX_VERSION,
+    createdAt: new Date().toISOString(),
+    avgLength: indexedChunks.length > 0 ? totalLength / indexedChunks.length : 0,
+    df,
+    chunks: indexedChunks,
+  };
+}
+
+/**
+ * Baca semua file Markdown/teks di folder (rekursif) lalu potong
+ * @param {string} sourceDir - Folder sumber (absolut)
+ * @returns {object} - {files: number, chunks: Array}
+ */
+function collectChunks(sourceDir) {
+  const files = [];
+
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(fullPath);
+        }
+      });
+  };
+  walk(sourceDir);
+
+  const chunks = files.flatMap((file) => {
+    const source = path.relative(sourceDir, file).split(path.sep).join("/");
+    return chunkDocument(fs.readFileSync(file, "utf8"), source);
+  });
+
+  return { files: files.length, chunks };
+}
+
+/**
+ * Buat embedding untuk teks dengan provider di config.knowledge.embeddings
+ * @param {Array<string>} texts - Teks yang di-embed
+ * @param {AbortSignal} signal - Signal untuk membatalkan request (optional)
+ * @returns {Promise<Array<Array<number>>>} - Vektor per teks
+ */
+async function embedTexts(texts, signal = undefined) {
+  const { provider, model } = config.knowledge.embeddings;
+  return getProvider(provider).embed({ model, texts, signal });
+}
+
+/**
+ * Simpan indeks ke file (folder dibuat jika belum ada)
+ * @param {object} index - Hasil buildIndex()
+ * @param {string} indexPath - Path file indeks (absolut)
+ */
+function writeIndex(index, indexPath) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+}
+
+/**
+ * Muat indeks dari config.knowledge.indexPath
+ * @returns {object|null} - Indeks, atau null jika belum dibuat / tidak valid
+ */
+function loadIndex() {
+  const indexPath = resolveBackendPath(config.knowledge.indexPath);
+
+  let stat;
+  try {
+    stat = fs.statSync(indexPath);
+  } catch (error) {
+    cachedIndex = null;
+    cachedMtimeMs = null;
+    return null;
+  }
+
+  if (cachedIndex && cachedMtimeMs === stat.mtimeMs) {
+    return cachedIndex;
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    if (index.version !== INDEX_VERSION || !Array.isArray(index.chunks)) {
+      console.warn(`Indeks knowledge base tidak dikenali, jalankan ulang: npm run ingest`);
+      return null;
+    }
+
+    cachedIndex = index;
+    cachedMtimeMs = stat.mtimeMs;
+    return index;
+  } catch (error) {
+    console.error("Error loading knowledge index:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Peringkat potongan dengan BM25
+ * @param {object} index - Indeks dari loadIndex()
+ * @param {string} query - Pertanyaan user
+ * @returns {Array<object>} - Array of {chunk, score}, skor tertinggi di depan
+ */
+function searchBm25(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const totalChunks = index.chunks.length;
+  if (queryTerms.length === 0 || totalChunks === 0) return [];
+
+  return index.chunks
+    .map((chunk) => {
+      let score = 0;
+      queryTerms.forEach((term) => {
+        const frequency = chunk.terms[term];
+        if (!frequency) return;
+
+        const documentFrequency = index.df[term] || 0;
+        const idf = Math.log(1 + (totalChunks - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = 1 - BM25_B + BM25_B * (chunk.length / (index.avgLength || 1));
+        score += idf * ((frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm));
+      });
+      return { chunk, score };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Cosine similarity dua vektor
+ * @param {Array<number>} a - Vektor
+ * @param {Array<number>} b - Vektor
+ * @returns {number} - Nilai -1..1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Peringkat potongan dengan kemiripan embedding
+ * @param {object} index - Indeks yang punya embeddings
+ * @param {string} query - Pertanyaan user
+ * @returns {Promise<Array<object>>} - Array of {chunk, score}, skor tertinggi di depan
+ */
+async function searchEmbeddings(index, query) {
+  const { minSimilarity } = config.knowledge.embeddings;
+  const [queryVector] = await embedTexts([query]);
+
+  return index.chunks
+    .map((chunk, position) => ({
+      chunk,
+      score: cosineSimilarity(queryVector, index.embeddings.vectors[position]),
+    }))
+    .filter((result) => result.score >= minSimilarity)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Cari potongan referensi yang relevan dengan pertanyaan
+ * Kegagalan retrieval tidak menggagalkan chat; hasilnya cukup array kosong
+ * @param {string} query - Pertanyaan user (sudah disanitasi)
+ * @returns {Promise<Array<object>>} - Array of {id, source, title, text, score}
+ */
+async function retrievePassages(query) {
+  const { enabled, topK, minScore, embeddings } = config.knowledge;
+  if (!enabled) return [];
+
+  const index = loadIndex();
+  if (!index) return [];
+
+  const bm25Results = searchBm25(index, query);
+  const topScore = bm25Results.length > 0 ? bm25Results[0].score : 0;
+  const lexical = bm25Results.filter(
+    (result) => result.score >= minScore && result.score >= topScore * MIN_RELATIVE_SCORE
+  );
+
+  let ranked = lexical;
+  if (embeddings.enabled && index.embeddings && index.embeddings.model === embeddings.model) {
+    try {
+      const semantic = await searchEmbeddings(index, query);
+
+      // Reciprocal rank fusion: potongan yang tinggi di kedua daftar naik ke atas
+      const fused = new Map();
+      [lexical, semantic].forEach((results) => {
+        results.forEach((result, rank) => {
+          const entry = fused.get(result.chunk.id) || { chunk: result.chunk, score: 0 };
+          entry.score += 1 / (RRF_K + rank + 1);
+          fused.set(result.chunk.id, entry);
+        });
+      });
+      ranked = [...fused.values()].sort((a, b) => b.score - a.score);
+    } catch (error) {
+      // Offline atau provider tidak mendukung embedding: cukup BM25
+      console.warn("Embedding knowledge base gagal, memakai BM25 saja:", error.message);
+    }
+  }
+
+  return ranked.slice(0, topK).map(({ chunk, score }) => ({
+    id: chunk.id,
+    source: chunk.source,
+    title: chunk.title,
+    text: chunk.text,
+    score: Math.round(score * 1000) / 1000,
+  }));
+}
+
+/**
+ * Bagian system instruction berisi potongan referensi bernomor
+ * @param {Array<object>} passages - Hasil retrievePassages()
+ * @returns {string} - Instruksi, atau string kosong jika tidak ada referensi
+ */
+function buildKnowledgeInstruction(passages) {
+  if (!passages || passages.length === 0) return "";
+
+  const references = passages
+    .map((passage, position) => `[${position + 1}] ${passage.title} (${passage.source})\n${passage.text}`)
+    .join("\n\n");
+
+  return `
+Bahan referensi dari basis pengetahuan Sahabat Nusantara:
+${references}
+
+- Jika bahan referensi menjawab pertanyaan, utamakan informasi dari bahan tersebut dan sebut nomornya, mis. [1].
+- Jika bahan referensi tidak relevan, abaikan dan jangan menyebut nomornya.
+`;
+}
+
+/**
+ * Ringkasan sumber untuk dikirim ke client bersama balasan
+ * @param {Array<object>} passages - Hasil retrievePassages()
+ * @returns {Array<object>} - Array of {number, source, title, excerpt}
+ */
+function toCitations(passages) {
+  return passages.map((passage, position) => ({
+    number: position + 1,
+    source: passage.source,
+    title: passage.title,
+    excerpt: passage.text.length > 200 ? `${passage.text.substring(0, 200).trim()}…` : passage.text,
+  }));
+}
+
+module.exports = {
+  tokenize,
+  chunkDocument,
+  buildIndex,
+  collectChunks,
+  embedTexts,
+  writeIndex,
+  loadIndex,
+  searchBm25,
+  retrievePassages,
+  buildKnowledgeInstruction,
+  toCitations,
+  resolveBackendPath,
+};
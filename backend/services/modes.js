@@ -0,0 +1,86 @@
+/**
+ * Learning modes - persona yang bisa dipilih user
+ * Didefinisikan di config/modes.json agar mode baru bisa ditambah tanpa mengubah kode route
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MODES_FILE = path.join(__dirname, "../config/modes.json");
+const DEFAULT_MODE_ID = "umum";
+
+/**
+ * Baca dan validasi definisi mode dari file
+ * @returns {Array} - Array of mode
+ */
+function loadModes() {
+  const raw = JSON.parse(fs.readFileSync(MODES_FILE, "utf8"));
+
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error("config/modes.json harus berisi array mode yang tidak kosong");
+  }
+
+  const ids = new Set();
+  return raw.map((mode) => {
+    if (!mode.id || !mode.name || !mode.systemPrompt) {
+      throw new Error(`Mode tidak lengkap (id, name, systemPrompt wajib): ${JSON.stringify(mode.id)}`);
+    }
+    if (ids.has(mode.id)) {
+      throw new Error(`ID mode duplikat: ${mode.id}`);
+    }
+    ids.add(mode.id);
+
+    return {
+      id: mode.id,
+      name: mode.name,
+      description: mode.description || "",
+      // systemPrompt boleh ditulis sebagai array baris agar file mudah dibaca
+      systemPrompt: Array.isArray(mode.systemPrompt)
+        ? mode.systemPrompt.join("\n")
+        : mode.systemPrompt,
+      greeting: mode.greeting || "",
+      starters: Array.isArray(mode.starters) ? mode.starters : [],
+      // Mode tersembunyi dipakai fitur lain (mis. sesi ulasan), tidak tampil di pemilih mode
+      hidden: mode.hidden === true,
+      // Referensi knowledge base disisipkan kecuali dimatikan per mode
+      knowledge: mode.knowledge !== false,
+    };
+  });
+}
+
+const modes = loadModes();
+
+/**
+ * Ambil mode berdasarkan ID; ID tidak dikenal jatuh ke mode default
+ * @param {string} modeId - ID mode dari user
+ * @returns {object} - Mode
+ */
+function getMode(modeId) {
+  return (
+    modes.find((mode) => mode.id === modeId) ||
+    modes.find((mode) => mode.id === DEFAULT_MODE_ID) ||
+    modes[0]
+  );
+}
+
+/**
+ * Daftar mode untuk frontend (tanpa system prompt)
+ * @returns {Array} - Array of {id, name, description, greeting, starters, isDefault}
+ */
+function listModes() {
+  const defaultMode = getMode(DEFAULT_MODE_ID);
+
+  return modes.filter((mode) => !mode.hidden).map((mode) => ({
+    id: mode.id,
+    name: mode.name,
+    description: mode.description,
+    greeting: mode.greeting,
+    starters: mode.starters,
+    isDefault: mode.id === defaultMode.id,
+  }));
+}
+
+module.exports = {
+  getMode,
+  listModes,
+};
@@ -0,0 +1,122 @@
+/**
+ * Pronunciation - menilai rekaman pelajar yang membaca kalimat bahasa Indonesia
+ * Model mentranskripsi dan memberi masukan; skor kemiripan dihitung di server
+ * dari transkrip agar konsisten antar model
+ */
+
+const { config } = require("../config/app");
+const { extractJson } = require("../providers/llmProvider");
+
+const PRONUNCIATION_PROMPT = `
+Kamu adalah pelatih pelafalan bahasa Indonesia untuk pelajar.
+Kamu menerima teks yang seharusnya dibaca dan rekaman suara pelajar.
+Balas HANYA dengan JSON tanpa teks lain, dengan bentuk:
+{"transcript": "apa yang benar-benar terdengar", "words": [{"word": "kata di teks", "heard": "yang terdengar", "tip": "cara melafalkan yang benar"}], "feedback": "masukan umum"}
+- "transcript" ditulis persis seperti yang terdengar, jangan dibetulkan mengikuti teks.
+- "words" hanya berisi kata yang salah dilafalkan atau terlewat; kosongkan jika semuanya sudah tepat.
+- "tip" menjelaskan bunyi yang benar secara sederhana, mis. "e" pepet pada "sekolah" atau "r" yang digetarkan.
+- "feedback" satu sampai tiga kalimat yang menyemangati, ditulis dalam bahasa Indonesia sederhana.
+- Jika rekaman tidak berisi suara yang jelas, isi "transcript" dengan string kosong.
+`;
+
+/**
+ * Pecah teks menjadi kata yang bisa dibandingkan (huruf kecil, tanpa tanda baca)
+ * @param {string} text - Teks
+ * @returns {Array<string>} - Daftar kata
+ */
+function normalizeWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Skor kemiripan transkrip dengan teks target berbasis edit distance per kata
+ * @param {string} targetText - Teks yang seharusnya dibaca
+ * @param {string} transcript - Teks yang terdengar
+ * @returns {number} - Skor 0-100
+ */
+function scoreSimilarity(targetText, transcript) {
+  const target = normalizeWords(targetText);
+  const heard = normalizeWords(transcript);
+  if (target.length === 0 || heard.length === 0) return 0;
+
+  // Levenshtein per kata dengan satu baris DP
+  let previous = Array.from({ length: heard.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= target.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= heard.length; j++) {
+      const cost = target[i - 1] === heard[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  const distance = previous[heard.length];
+  return Math.round((1 - distance / Math.max(target.length, heard.length)) * 100);
+}
+
+/**
+ * Ubah jawaban model menjadi penilaian yang bentuknya terjamin
+ * @param {string} text - Teks dari provider
+ * @param {string} targetText - Teks yang seharusnya dibaca
+ * @returns {object|null} - {targetText, transcript, score, words, feedback}, atau null jika tidak valid
+ */
+function parsePronunciation(text, targetText) {
+  const parsed = extractJson(text);
+  if (!parsed || typeof parsed.transcript !== "string") return null;
+
+  const transcript = parsed.transcript.trim();
+  const words = (Array.isArray(parsed.words) ? parsed.words : [])
+    .filter((item) => item && typeof item.word === "string" && item.word.trim())
+    .slice(0, 20)
+    .map((item) => ({
+      word: item.word.trim(),
+      heard: String(item.heard || ""),
+      tip: String(item.tip || ""),
+    }));
+
+  return {
+    targetText: targetText,
+    transcript: transcript,
+    score: scoreSimilarity(targetText, transcript),
+    words: words,
+    feedback: typeof parsed.feedback === "string" ? parsed.feedback.trim() : "",
+  };
+}
+
+/**
+ * Nilai pelafalan satu rekaman
+ * @param {object} model - Model dari resolveModel()
+ * @param {string} targetText - Teks yang dibaca pelajar (sudah disanitasi)
+ * @param {object} audio - {mimeType, buffer}
+ * @returns {Promise<object|null>} - Hasil parsePronunciation(), atau null jika output tidak valid
+ */
+async function assessPronunciation(model, targetText, audio) {
+  const { maxOutputTokens, temperature } = config.ai.pronunciation;
+
+  const { text } = await model.provider.generate({
+    model: model.providerModel,
+    systemInstruction: PRONUNCIATION_PROMPT,
+    contents: [
+      {
+        role: "user",
+        content: [
+          { text: `Teks yang seharusnya dibaca: "${targetText}"` },
+          { inlineData: { mimeType: audio.mimeType, data: audio.buffer.toString("base64") } },
+        ],
+      },
+    ],
+    generation: { maxOutputTokens, temperature },
+  });
+
+  return parsePronunciation(text, targetText);
+}
+
+module.exports = {
+  assessPronunciation,
+  parsePronunciation,
+  scoreSimilarity,
+};
@@ -0,0 +1,100 @@
+/**
+ * Quiz - kuis pilihan ganda tentang budaya, sejarah, dan kuliner Indonesia
+ * Output model selalu divalidasi; kuis yang formatnya rusak tidak pernah dikirim ke client
+ */
+
+const { config } = require("../config/app");
+const { extractJson } = require("../providers/llmProvider");
+
+/**
+ * Buat system instruction kuis
+ * @param {number} optionCount - Jumlah pilihan per soal
+ * @returns {string} - System instruction
+ */
+function buildQuizPrompt(optionCount) {
+  return `
+Kamu adalah "Sahabat Nusantara" yang menyusun kuis pilihan ganda tentang Indonesia untuk kelas mingguan.
+Balas HANYA dengan JSON tanpa teks lain, dengan bentuk:
+{"questions": [{"question": "...", "options": ["...", "..."], "answerIndex": 0, "explanation": "..."}]}
+- Setiap soal punya tepat ${optionCount} pilihan yang berbeda dan hanya satu jawaban benar.
+- "answerIndex" adalah indeks (mulai dari 0) pilihan yang benar; sebarkan posisi jawaban benar secara acak.
+- "explanation" satu atau dua kalimat yang menjelaskan mengapa jawaban itu benar.
+- Tulis dalam bahasa Indonesia yang baik dan benar.
+- Hanya gunakan fakta yang sudah mapan; jangan membuat soal yang jawabannya diperdebatkan.
+`;
+}
+
+/**
+ * Validasi satu soal
+ * @param {any} item - Soal dari output model
+ * @param {number} optionCount - Jumlah pilihan yang diharapkan
+ * @returns {object|null} - Soal yang sudah dirapikan, atau null jika tidak valid
+ */
+function normalizeQuestion(item, optionCount) {
+  if (!item || typeof item.question !== "string" || !item.question.trim()) return null;
+  if (!Array.isArray(item.options) || item.options.length !== optionCount) return null;
+
+  const options = item.options.map((option) => (typeof option === "string" ? option.trim() : ""));
+  if (options.some((option) => !option)) return null;
+  if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) return null;
+
+  if (!Number.isInteger(item.answerIndex) || item.answerIndex < 0 || item.answerIndex >= optionCount) {
+    return null;
+  }
+
+  return {
+    question: item.question.trim(),
+    options: options,
+    answerIndex: item.answerIndex,
+    explanation: typeof item.explanation === "string" ? item.explanation.trim() : "",
+  };
+}
+
+/**
+ * Ubah output model menjadi daftar soal yang valid
+ * Output ditolak seluruhnya jika ada soal yang rusak atau jumlahnya kurang
+ * @param {string} text - Teks dari provider
+ * @param {number} count - Jumlah soal yang diminta
+ * @returns {Array|null} - Array of soal, atau null jika tidak valid
+ */
+function parseQuiz(text, count) {
+  const { optionCount } = config.ai.quiz;
+  const parsed = extractJson(text);
+  if (!parsed || !Array.isArray(parsed.questions) || parsed.questions.length < count) return null;
+
+  const questions = parsed.questions.slice(0, count).map((item) => normalizeQuestion(item, optionCount));
+  if (questions.some((question) => !question)) return null;
+
+  return questions;
+}
+
+/**
+ * Buat kuis; output yang tidak valid diminta ulang hingga config.ai.quiz.maxAttempts
+ * @param {object} model - Model dari resolveModel()
+ * @param {object} quiz - {topic, difficulty, count}
+ * @returns {Promise<Array|null>} - Array of soal, atau null jika semua percobaan gagal
+ */
+async function generateQuiz(model, { topic, difficulty, count }) {
+  const { maxOutputTokens, temperature, optionCount, maxAttempts } = config.ai.quiz;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { text } = await model.provider.generate({
+      model: model.providerModel,
+      systemInstruction: buildQuizPrompt(optionCount),
+      contents: `Buat ${count} soal kuis tingkat kesulitan "${difficulty}" tentang: ${topic}`,
+      generation: { maxOutputTokens, temperature },
+    });
+
+    const questions = parseQuiz(text, count);
+    if (questions) return questions;
+
+    console.warn(`Output kuis tidak valid (percobaan ${attempt}/${maxAttempts})`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  generateQuiz,
+  parseQuiz,
+};
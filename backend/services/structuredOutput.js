@@ -0,0 +1,234 @@
+/**
+ * Structured output - balasan /api/chat dalam bentuk JSON yang divalidasi terhadap schema
+ * Schema bisa dipilih dari config/schemas.json atau dikirim langsung oleh caller
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const { config } = require("../config/app");
+const { extractJson } = require("../providers/llmProvider");
+
+const SCHEMAS_FILE = path.join(__dirname, "../config/schemas.json");
+
+const AJV_OPTIONS = { allErrors: true, strict: false };
+
+// Schema dari caller tidak dipercaya: berhenti di error pertama
+const CUSTOM_AJV_OPTIONS = { allErrors: false, strict: false };
+
+// Keyword yang menjalankan regex dari caller (risiko backtracking yang memblokir event loop)
+const UNSAFE_KEYWORDS = ["pattern", "patternProperties", "format"];
+
+// Keyword yang nilainya map nama -> schema (nama property boleh "pattern" dsb.)
+const SCHEMA_MAP_KEYWORDS = ["properties", "$defs", "definitions", "dependentSchemas"];
+
+// Keyword yang nilainya data, bukan schema
+const DATA_KEYWORDS = ["enum", "const", "default", "examples"];
+
+// Instance bersama hanya untuk schema bernama dari file
+const ajv = new Ajv(AJV_OPTIONS);
+
+// Validator responseSchema: hash schema -> validate (urutan Map dipakai untuk LRU)
+const customValidators = new Map();
+
+/**
+ * Baca dan compile schema bernama dari file
+ * @returns {Map} - name -> {name, description, schema, validate}
+ */
+function loadNamedSchemas() {
+  const raw = JSON.parse(fs.readFileSync(SCHEMAS_FILE, "utf8"));
+  const schemas = new Map();
+
+  Object.entries(raw).forEach(([name, entry]) => {
+    if (!entry || typeof entry.schema !== "object") {
+      throw new Error(`Schema tidak lengkap di config/schemas.json: ${name}`);
+    }
+    schemas.set(name, {
+      name: name,
+      description: entry.description || "",
+      schema: entry.schema,
+      validate: ajv.compile(entry.schema),
+    });
+  });
+
+  return schemas;
+}
+
+const namedSchemas = loadNamedSchemas();
+
+/**
+ * Daftar schema bernama (untuk dokumentasi/caller)
+ * @returns {Array} - Array of {name, description, schema}
+ */
+function listNamedSchemas() {
+  return Array.from(namedSchemas.values()).map(({ name, description, schema }) => ({
+    name,
+    description,
+    schema,
+  }));
+}
+
+/**
+ * Cari keyword yang tidak diizinkan di schema dari caller
+ * @param {any} schema - JSON schema (atau bagiannya)
+ * @returns {string|null} - Nama keyword pertama yang ditemukan, null jika aman
+ */
+function findUnsafeKeyword(schema) {
+  if (Array.isArray(schema)) {
+    for (const item of schema) {
+      const found = findUnsafeKeyword(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!schema || typeof schema !== "object") return null;
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (UNSAFE_KEYWORDS.includes(key)) return key;
+    if (DATA_KEYWORDS.includes(key)) continue;
+
+    const children =
+      SCHEMA_MAP_KEYWORDS.includes(key) && value && typeof value === "object"
+        ? Object.values(value)
+        : [value];
+    for (const child of children) {
+      const found = findUnsafeKeyword(child);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile schema dari caller, memakai cache berdasarkan hash schema
+ * Tiap schema di-compile di instance sendiri agar $id tidak bentrok antar request
+ * @param {object} schema - JSON schema dari caller
+ * @returns {function} - Fungsi validate dari Ajv
+ * @throws {Error} - Jika schema tidak valid
+ */
+function compileCustomSchema(schema) {
+  const hash = crypto.createHash("sha256").update(JSON.stringify(schema)).digest("hex");
+
+  let validate = customValidators.get(hash);
+  if (validate) {
+    // Pindahkan ke akhir sebagai yang terbaru dipakai
+    customValidators.delete(hash);
+  } else {
+    validate = new Ajv(CUSTOM_AJV_OPTIONS).compile(schema);
+  }
+  customValidators.set(hash, validate);
+
+  if (customValidators.size > config.ai.structuredOutput.maxCachedSchemas) {
+    customValidators.delete(customValidators.keys().next().value);
+  }
+  return validate;
+}
+
+/**
+ * Tentukan schema yang diminta caller
+ * @param {any} schemaName - req.body.schema (nama schema bernama)
+ * @param {any} responseSchema - req.body.responseSchema (JSON schema langsung)
+ * @returns {object} - {isValid: boolean, output?: object|null, error?: string}
+ *   output berbentuk {name, schema, validate}, null jika tidak diminta
+ */
+function resolveStructuredOutput(schemaName, responseSchema) {
+  if (schemaName === undefined && responseSchema === undefined) {
+    return { isValid: true, output: null };
+  }
+
+  if (schemaName !== undefined && responseSchema !== undefined) {
+    return { isValid: false, error: "Gunakan salah satu: schema atau responseSchema." };
+  }
+
+  if (schemaName !== undefined) {
+    const output = namedSchemas.get(schemaName);
+    if (!output) {
+      return {
+        isValid: false,
+        error: `Schema tidak dikenal. Pilihan: ${Array.from(namedSchemas.keys()).join(", ")}.`
+      };
+    }
+    return { isValid: true, output };
+  }
+
+  if (!responseSchema || typeof responseSchema !== "object" || Array.isArray(responseSchema)) {
+    return { isValid: false, error: "responseSchema harus berupa objek JSON schema." };
+  }
+
+  if (JSON.stringify(responseSchema).length > config.ai.structuredOutput.maxSchemaLength) {
+    return {
+      isValid: false,
+      error: `responseSchema terlalu besar. Maksimal ${config.ai.structuredOutput.maxSchemaLength} karakter.`
+    };
+  }
+
+  const unsafeKeyword = findUnsafeKeyword(responseSchema);
+  if (unsafeKeyword) {
+    return {
+      isValid: false,
+      error: `responseSchema tidak boleh memakai "${unsafeKeyword}". Gunakan schema bernama jika perlu.`
+    };
+  }
+
+  try {
+    return {
+      isValid: true,
+      output: {
+        name: "custom",
+        schema: responseSchema,
+        validate: compileCustomSchema(responseSchema)
+      }
+    };
+  } catch (error) {
+    return { isValid: false, error: `responseSchema tidak valid: ${error.message}` };
+  }
+}
+
+/**
+ * Instruksi tambahan agar model membalas dengan JSON sesuai schema
+ * Tetap dikirim walau provider punya structured output, untuk provider yang tidak mendukungnya
+ * @param {object} output - Hasil resolveStructuredOutput()
+ * @returns {string} - Teks instruksi
+ */
+function buildSchemaInstruction(output) {
+  return [
+    "Balas HANYA dengan satu objek JSON yang valid terhadap JSON schema berikut, tanpa teks lain dan tanpa code fence:",
+    JSON.stringify(output.schema),
+  ].join("\n");
+}
+
+/**
+ * Parse dan validasi balasan model
+ * @param {string} text - Teks dari provider
+ * @param {object} output - Hasil resolveStructuredOutput()
+ * @returns {object} - {isValid: boolean, data?: any, errors?: Array<string>}
+ */
+function parseStructuredReply(text, output) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = extractJson(text);
+  }
+
+  if (data === null || data === undefined) {
+    return { isValid: false, errors: ["Balasan model bukan JSON yang valid."] };
+  }
+
+  if (!output.validate(data)) {
+    return {
+      isValid: false,
+      errors: output.validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`)
+    };
+  }
+
+  return { isValid: true, data };
+}
+
+module.exports = {
+  listNamedSchemas,
+  resolveStructuredOutput,
+  buildSchemaInstruction,
+  parseStructuredReply,
+};
@@ -0,0 +1,70 @@
+/**
+ * Vocabulary - usulan kosakata penting dari balasan bot untuk buku kosakata pelajar
+ */
+
+const { config } = require("../config/app");
+const { extractJson } = require("../providers/llmProvider");
+
+const PARTS_OF_SPEECH = ["nomina", "verba", "adjektiva", "adverbia", "numeralia", "pronomina", "lainnya"];
+
+const VOCABULARY_PROMPT = `
+Kamu membantu pelajar bahasa Indonesia memilih kosakata penting dari sebuah teks.
+Balas HANYA dengan JSON tanpa teks lain, dengan bentuk:
+{"words": [{"word": "...", "meaning": "...", "example": "...", "partOfSpeech": "..."}]}
+- Pilih paling banyak ${config.ai.vocabulary.maxSuggestions} kata atau frasa yang paling berguna untuk dipelajari, urutkan dari yang paling penting.
+- "word" ditulis dalam bentuk dasar yang baku; "meaning" berupa arti singkat dalam bahasa Indonesia sederhana.
+- "example" satu kalimat contoh pendek yang memakai kata tersebut.
+- "partOfSpeech" salah satu dari: ${PARTS_OF_SPEECH.join(", ")}.
+- Lewati nama orang, nama tempat, dan kata yang sangat umum (dan, yang, di, ini).
+`;
+
+/**
+ * Ubah jawaban model menjadi daftar kosakata yang bentuknya terjamin
+ * @param {string} text - Teks dari provider
+ * @returns {Array} - Array of {word, meaning, example, partOfSpeech}
+ */
+function parseVocabulary(text) {
+  const parsed = extractJson(text);
+  if (!parsed || !Array.isArray(parsed.words)) return [];
+
+  const seen = new Set();
+  return parsed.words
+    .filter((item) => item && typeof item.word === "string" && item.word.trim())
+    .map((item) => ({
+      word: item.word.trim(),
+      meaning: String(item.meaning || "").trim(),
+      example: String(item.example || "").trim(),
+      partOfSpeech: PARTS_OF_SPEECH.includes(item.partOfSpeech) ? item.partOfSpeech : "lainnya",
+    }))
+    .filter((item) => {
+      const key = item.word.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, config.ai.vocabulary.maxSuggestions);
+}
+
+/**
+ * Minta model mengusulkan kosakata dari sebuah teks
+ * @param {object} model - Model dari resolveModel()
+ * @param {string} text - Teks balasan bot
+ * @returns {Promise<Array>} - Hasil parseVocabulary()
+ */
+async function suggestVocabulary(model, text) {
+  const { maxOutputTokens, temperature } = config.ai.vocabulary;
+
+  const { text: output } = await model.provider.generate({
+    model: model.providerModel,
+    systemInstruction: VOCABULARY_PROMPT,
+    contents: text,
+    generation: { maxOutputTokens, temperature },
+  });
+
+  return parseVocabulary(output);
+}
+
+module.exports = {
+  suggestVocabulary,
+  parseVocabulary,
+};
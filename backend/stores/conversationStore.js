@@ -0,0 +1,278 @@
+/**
+ * Conversation store - interface dan factory untuk penyimpanan riwayat percakapan
+ */
+
+/**
+ * Error saat backend penyimpanan (mis. Redis) tidak bisa dihubungi
+ * Route membalas 503 untuk error ini
+ */
+class StoreUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StoreUnavailableError";
+  }
+}
+
+/**
+ * Error saat dokumen baru melewati batas dokumen
+ * limit: "conversation" (jumlah per percakapan) atau "store" (total byte di store)
+ */
+class DocumentLimitError extends Error {
+  constructor(limit) {
+    super(`Batas dokumen terlampaui: ${limit}`);
+    this.name = "DocumentLimitError";
+    this.limit = limit;
+  }
+}
+
+/**
+ * Ukuran satu record dokumen saat disimpan, untuk batas penyimpanan dokumen
+ * @param {object} document - Record dokumen
+ * @returns {number} - Byte
+ */
+function measureDocumentBytes(document) {
+  return Buffer.byteLength(JSON.stringify(document));
+}
+
+/**
+ * Cek batas dokumen sebelum dokumen baru disimpan
+ * Dipanggil adapter di dalam operasi yang sama dengan penyimpanannya
+ * @param {number} count - Jumlah dokumen percakapan saat ini
+ * @param {number} storedBytes - Total byte dokumen di store saat ini
+ * @param {number} documentBytes - Byte dokumen baru
+ * @param {object} limits - {maxPerConversation, maxStoreBytes} (optional)
+ * @throws {DocumentLimitError} - Jika salah satu batas terlampaui
+ */
+function assertDocumentLimits(count, storedBytes, documentBytes, limits = {}) {
+  if (limits.maxPerConversation !== undefined && count >= limits.maxPerConversation) {
+    throw new DocumentLimitError("conversation");
+  }
+  if (limits.maxStoreBytes !== undefined && storedBytes + documentBytes > limits.maxStoreBytes) {
+    throw new DocumentLimitError("store");
+  }
+}
+
+/**
+ * Interface dasar conversation store
+ * Semua adapter (memory, sqlite, redis) mengimplementasikan method berikut.
+ * Setiap message berbentuk {role, content, timestamp}, ditambah turnId yang
+ * sama untuk pesan user dan balasan asisten dalam satu giliran. Balasan
+ * asisten juga mencatat model dan mode yang dipakai.
+ * Selain message, tiap percakapan bisa menyimpan ringkasan (summary) dari
+ * giliran lama yang sudah dipadatkan, dan dokumen yang diunggah untuk
+ * dijadikan bahan tanya jawab. Keduanya ikut terhapus bersama percakapan.
+ */
+class ConversationStore {
+  /**
+   * @param {object} options - {maxMessages, ttlMs}
+   */
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 20;
+    this.ttlMs = options.ttlMs || 30 * 60 * 1000;
+  }
+
+  /**
+   * Buka koneksi ke backend penyimpanan; dipanggil sekali saat server start
+   * Reject jika backend tidak bisa dihubungi sehingga server gagal start lebih awal
+   */
+  async connect() {}
+
+  /**
+   * Apakah store bisa melayani operasi saat ini
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Ambil percakapan untuk session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object>} - {messages: Array, summary: string, lastActivity: number|null}
+   */
+  async get(sessionId) {
+    throw new Error("ConversationStore.get() belum diimplementasikan");
+  }
+
+  /**
+   * Tambah message ke percakapan lalu trim sesuai maxMessages
+   * @param {string} sessionId - Session ID
+   * @param {object} message - {role, content, timestamp}
+   */
+  async append(sessionId, message) {
+    throw new Error("ConversationStore.append() belum diimplementasikan");
+  }
+
+  /**
+   * Ganti seluruh message percakapan (dipakai saat giliran dihapus atau diganti)
+   * Ringkasan dan dokumen tidak berubah
+   * @param {string} sessionId - Session ID
+   * @param {Array} messages - Message pengganti, urut dari yang terlama
+   */
+  async replaceMessages(sessionId, messages) {
+    throw new Error("ConversationStore.replaceMessages() belum diimplementasikan");
+  }
+
+  /**
+   * Simpan ringkasan percakapan (menggantikan ringkasan sebelumnya)
+   * @param {string} sessionId - Session ID
+   * @param {string} summary - Teks ringkasan
+   */
+  async setSummary(sessionId, summary) {
+    throw new Error("ConversationStore.setSummary() belum diimplementasikan");
+  }
+
+  /**
+   * Simpan dokumen yang terikat ke percakapan
+   * Batas dicek dan dokumen disimpan dalam satu operasi atomik, sehingga
+   * upload bersamaan tidak bisa sama-sama lolos
+   * @param {string} sessionId - Session ID
+   * @param {object} document - {id, name, mimeType, size, text?, data?, createdAt}
+   * @param {object} limits - {maxPerConversation, maxStoreBytes} (optional)
+   * @throws {DocumentLimitError} - Jika batas terlampaui
+   */
+  async addDocument(sessionId, document, limits = {}) {
+    throw new Error("ConversationStore.addDocument() belum diimplementasikan");
+  }
+
+  /**
+   * Ambil dokumen percakapan, urut sesuai waktu upload
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} - Array of document
+   */
+  async getDocuments(sessionId) {
+    throw new Error("ConversationStore.getDocuments() belum diimplementasikan");
+  }
+
+  /**
+   * Hapus satu dokumen dari percakapan
+   * @param {string} sessionId - Session ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - True jika dokumen ditemukan
+   */
+  async deleteDocument(sessionId, documentId) {
+    throw new Error("ConversationStore.deleteDocument() belum diimplementasikan");
+  }
+
+  /**
+   * Total ukuran dokumen di store (semua session)
+   * @returns {Promise<number>} - Byte
+   */
+  async documentBytes() {
+    throw new Error("ConversationStore.documentBytes() belum diimplementasikan");
+  }
+
+  /**
+   * Potong percakapan agar hanya menyisakan message terakhir
+   * @param {string} sessionId - Session ID
+   * @param {number} maxMessages - Jumlah message yang disisakan
+   */
+  async trim(sessionId, maxMessages = this.maxMessages) {
+    throw new Error("ConversationStore.trim() belum diimplementasikan");
+  }
+
+  /**
+   * Hapus percakapan untuk session (termasuk ringkasan dan dokumennya)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True jika ada yang dihapus
+   */
+  async delete(sessionId) {
+    throw new Error("ConversationStore.delete() belum diimplementasikan");
+  }
+
+  /**
+   * Hapus percakapan yang tidak aktif lebih lama dari ttlMs
+   * @returns {Promise<number>} - Jumlah percakapan yang dihapus
+   */
+  async expire() {
+    throw new Error("ConversationStore.expire() belum diimplementasikan");
+  }
+
+  /**
+   * Jumlah percakapan aktif (untuk health check)
+   * @returns {Promise<number>}
+   */
+  async size() {
+    throw new Error("ConversationStore.size() belum diimplementasikan");
+  }
+
+  /**
+   * Tutup koneksi / timer yang dipakai store
+   */
+  async close() {}
+
+  /**
+   * Jalankan expire() secara berkala
+   * @param {number} intervalMs - Interval cleanup
+   */
+  startCleanup(intervalMs) {
+    this.cleanupTimer = setInterval(() => {
+      this.expire().catch((error) => {
+        console.error("Error cleaning up conversations:", error);
+      });
+    }, intervalMs);
+
+    // Jangan tahan proses hanya karena timer cleanup
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Hentikan cleanup berkala
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+/**
+ * Buat conversation store sesuai konfigurasi
+ * @param {object} options - config.conversation dari config/app.js
+ * @returns {ConversationStore} - Instance adapter yang dipilih
+ */
+function createConversationStore(options) {
+  const storeOptions = {
+    maxMessages: options.maxLength * 2,
+    ttlMs: options.ttlMs,
+  };
+
+  let store;
+  switch (options.store) {
+    case "memory": {
+      const { MemoryConversationStore } = require("./memoryStore");
+      store = new MemoryConversationStore(storeOptions);
+      break;
+    }
+    case "sqlite": {
+      const { SqliteConversationStore } = require("./sqliteStore");
+      store = new SqliteConversationStore({ ...storeOptions, path: options.sqlitePath });
+      break;
+    }
+    case "redis": {
+      const { RedisConversationStore } = require("./redisStore");
+      store = new RedisConversationStore({
+        ...storeOptions,
+        url: options.redisUrl,
+        connectTimeoutMs: options.redisConnectTimeoutMs,
+        connectRetries: options.redisConnectRetries,
+      });
+      break;
+    }
+    default:
+      throw new Error(`Conversation store tidak dikenal: ${options.store}`);
+  }
+
+  store.startCleanup(options.cleanupIntervalMs);
+  return store;
+}
+
+module.exports = {
+  StoreUnavailableError,
+  ConversationStore,
+  DocumentLimitError,
+  measureDocumentBytes,
+  assertDocumentLimits,
+  createConversationStore,
+};
@@ -0,0 +1,62 @@
+/**
+ * Feedback store - interface dan factory untuk penyimpanan penilaian jawaban
+ */
+
+/**
+ * Interface dasar feedback store
+ * Semua adapter (file, sqlite) mengimplementasikan method berikut.
+ * Setiap entry berbentuk {key, turnId, conversationId, rating, comment, prompt,
+ * reply, model, mode, source, createdAt, updatedAt}. key dibuat dari session
+ * dan turnId, sehingga satu giliran dalam satu session hanya punya satu
+ * penilaian: menilai ulang giliran yang sama menggantikan penilaian lama.
+ * source "server" berarti isi giliran diambil dari conversation store,
+ * "client" berarti dikirim client (tidak terverifikasi).
+ */
+class FeedbackStore {
+  /**
+   * Simpan penilaian (menggantikan penilaian lama dengan key yang sama)
+   * @param {object} entry - Entry tanpa createdAt/updatedAt
+   * @returns {Promise<object>} - Entry yang tersimpan
+   */
+  async save(entry) {
+    throw new Error("FeedbackStore.save() belum diimplementasikan");
+  }
+
+  /**
+   * Ambil semua penilaian, urut dari yang terlama
+   * @returns {Promise<Array>} - Array of entry
+   */
+  async list() {
+    throw new Error("FeedbackStore.list() belum diimplementasikan");
+  }
+
+  /**
+   * Tutup koneksi yang dipakai store
+   */
+  async close() {}
+}
+
+/**
+ * Buat feedback store sesuai konfigurasi
+ * @param {object} options - config.feedback dari config/app.js
+ * @returns {FeedbackStore} - Instance adapter yang dipilih
+ */
+function createFeedbackStore(options) {
+  switch (options.store) {
+    case "file": {
+      const { FileFeedbackStore } = require("./fileFeedbackStore");
+      return new FileFeedbackStore({ path: options.filePath });
+    }
+    case "sqlite": {
+      const { SqliteFeedbackStore } = require("./sqliteFeedbackStore");
+      return new SqliteFeedbackStore({ path: options.sqlitePath });
+    }
+    default:
+      throw new Error(`Feedback store tidak dikenal: ${options.store}`);
+  }
+}
+
+module.exports = {
+  FeedbackStore,
+  createFeedbackStore,
+};
@@ -0,0 +1,119 @@
+/**
+ * File feedback store
+ * Setiap penilaian ditambahkan sebagai satu baris JSON (JSONL); saat dibaca,
+ * baris terakhir untuk key yang sama yang dipakai. File hanya ditambah (tidak
+ * pernah dipadatkan); untuk beberapa proses server sekaligus pakai store sqlite
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { FeedbackStore } = require("./feedbackStore");
+
+class FileFeedbackStore extends FeedbackStore {
+  /**
+   * @param {object} options - {path} relatif ke backend/
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = path.resolve(__dirname, "..", options.path);
+    this.index = null; // Map key -> entry dari isi file
+    this.indexStat = null; // {mtimeMs, size} file saat index dibaca
+  }
+
+  /**
+   * @returns {Promise<object|null>} - {mtimeMs, size}, null jika file belum ada
+   */
+  async statFile() {
+    try {
+      const { mtimeMs, size } = await fs.promises.stat(this.filePath);
+      return { mtimeMs, size };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Index key -> entry; file dibaca ulang jika diubah di luar store ini
+   * @returns {Promise<Map>} - Map mempertahankan urutan penilaian pertama, nilainya dari baris terakhir
+   */
+  async loadIndex() {
+    const stat = await this.statFile();
+    const unchanged =
+      this.index &&
+      (stat === null
+        ? this.indexStat === null
+        : this.indexStat !== null &&
+          stat.mtimeMs === this.indexStat.mtimeMs &&
+          stat.size === this.indexStat.size);
+
+    if (!unchanged) {
+      this.index = await this.readEntries();
+      this.indexStat = stat;
+    }
+    return this.index;
+  }
+
+  /**
+   * @returns {Promise<Map>} - key -> entry dari isi file
+   */
+  async readEntries() {
+    const entries = new Map();
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return entries;
+      throw error;
+    }
+
+    content.split("\n").forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.key, entry);
+      } catch (error) {
+        // Baris rusak (mis. proses terhenti saat menulis) dilewati
+      }
+    });
+
+    return entries;
+  }
+
+  async save(entry) {
+    const index = await this.loadIndex();
+    const previous = index.get(entry.key);
+    const now = Date.now();
+    const saved = {
+      ...entry,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now,
+    };
+
+    const line = `${JSON.stringify(saved)}\n`;
+    const sizeBefore = this.indexStat ? this.indexStat.size : 0;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, line, "utf8");
+    index.set(saved.key, saved);
+
+    // Index tetap dipakai hanya jika file bertambah tepat sebesar baris ini;
+    // jika ada penulis lain di antaranya, file dibaca ulang saat berikutnya
+    const stat = await this.statFile();
+    this.indexStat =
+      stat && stat.size === sizeBefore + Buffer.byteLength(line) ? stat : null;
+    if (!this.indexStat) {
+      this.index = null;
+    }
+    return saved;
+  }
+
+  async list() {
+    return Array.from((await this.loadIndex()).values());
+  }
+}
+
+module.exports = {
+  FileFeedbackStore,
+};
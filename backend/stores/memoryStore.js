@@ -0,0 +1,152 @@
+/**
+ * In-memory conversation store
+ * Data hilang saat server restart dan tidak dibagi antar proses
+ */
+
+const {
+  ConversationStore,
+  measureDocumentBytes,
+  assertDocumentLimits,
+} = require("./conversationStore");
+
+class MemoryConversationStore extends ConversationStore {
+  constructor(options = {}) {
+    super(options);
+    this.conversations = new Map();
+  }
+
+  async get(sessionId) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) {
+      return { messages: [], summary: "", lastActivity: null };
+    }
+
+    return {
+      messages: [...conversation.messages],
+      summary: conversation.summary,
+      lastActivity: conversation.lastActivity,
+    };
+  }
+
+  /**
+   * Ambil atau buat entry percakapan
+   * @param {string} sessionId - Session ID
+   * @returns {object} - Entry {messages, summary, documents, lastActivity}
+   */
+  ensure(sessionId) {
+    if (!this.conversations.has(sessionId)) {
+      this.conversations.set(sessionId, {
+        messages: [],
+        summary: "",
+        documents: [],
+        lastActivity: Date.now(),
+      });
+    }
+    return this.conversations.get(sessionId);
+  }
+
+  async append(sessionId, message) {
+    const conversation = this.ensure(sessionId);
+    conversation.messages.push(message);
+    conversation.lastActivity = Date.now();
+
+    await this.trim(sessionId);
+  }
+
+  async replaceMessages(sessionId, messages) {
+    const conversation = this.ensure(sessionId);
+    conversation.messages = [...messages];
+    conversation.lastActivity = Date.now();
+  }
+
+  async setSummary(sessionId, summary) {
+    const conversation = this.ensure(sessionId);
+    conversation.summary = summary;
+    conversation.lastActivity = Date.now();
+  }
+
+  async addDocument(sessionId, document, limits = {}) {
+    // Cek dan simpan tanpa await di antaranya, jadi atomik dalam satu proses
+    const existing = this.conversations.get(sessionId);
+    assertDocumentLimits(
+      existing ? existing.documents.length : 0,
+      this.sumDocumentBytes(),
+      measureDocumentBytes(document),
+      limits
+    );
+
+    const conversation = this.ensure(sessionId);
+    conversation.documents.push(document);
+    conversation.lastActivity = Date.now();
+  }
+
+  async getDocuments(sessionId) {
+    const conversation = this.conversations.get(sessionId);
+    return conversation ? [...conversation.documents] : [];
+  }
+
+  async deleteDocument(sessionId, documentId) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) return false;
+
+    const remaining = conversation.documents.filter((document) => document.id !== documentId);
+    const deleted = remaining.length !== conversation.documents.length;
+    conversation.documents = remaining;
+    return deleted;
+  }
+
+  async documentBytes() {
+    return this.sumDocumentBytes();
+  }
+
+  /**
+   * @returns {number} - Total byte dokumen semua session
+   */
+  sumDocumentBytes() {
+    let total = 0;
+    for (const conversation of this.conversations.values()) {
+      conversation.documents.forEach((document) => {
+        total += measureDocumentBytes(document);
+      });
+    }
+    return total;
+  }
+
+  async trim(sessionId, maxMessages = this.maxMessages) {
+    const conversation = this.conversations.get(sessionId);
+    if (conversation && conversation.messages.length > maxMessages) {
+      // slice(-0) mengembalikan semua message, jadi 0 ditangani terpisah
+      conversation.messages = maxMessages > 0 ? conversation.messages.slice(-maxMessages) : [];
+    }
+  }
+
+  async delete(sessionId) {
+    return this.conversations.delete(sessionId);
+  }
+
+  async expire() {
+    const cutoff = Date.now() - this.ttlMs;
+    let removed = 0;
+
+    for (const [sessionId, conversation] of this.conversations.entries()) {
+      if (conversation.lastActivity < cutoff) {
+        this.conversations.delete(sessionId);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async size() {
+    return this.conversations.size;
+  }
+
+  async close() {
+    this.stopCleanup();
+  }
+}
+
+module.exports = {
+  MemoryConversationStore,
+};
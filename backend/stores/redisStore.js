@@ -0,0 +1,307 @@
+/**
+ * Redis conversation store
+ * Bisa dipakai bersama oleh beberapa proses server; expiry memakai TTL bawaan Redis
+ */
+
+const {
+  ConversationStore,
+  StoreUnavailableError,
+  DocumentLimitError,
+  measureDocumentBytes,
+} = require("./conversationStore");
+
+const KEY_PREFIX = "sahabat:conversation:";
+const SUMMARY_PREFIX = "sahabat:summary:";
+const DOCUMENTS_PREFIX = "sahabat:documents:";
+// Hash key list dokumen -> total byte dokumennya, untuk batas penyimpanan dokumen
+const DOCUMENT_BYTES_KEY = "sahabat:document-bytes";
+
+// Total byte dokumen; entry yang list dokumennya sudah kadaluarsa dibuang dari hash
+// (key list dicek dengan EXISTS, jadi script ini mengandaikan Redis tanpa cluster)
+const SUM_DOCUMENT_BYTES = `
+local function storedBytes(bytesKey)
+  local total = 0
+  local entries = redis.call('HGETALL', bytesKey)
+  for i = 1, #entries, 2 do
+    if redis.call('EXISTS', entries[i]) == 1 then
+      total = total + tonumber(entries[i + 1])
+    else
+      redis.call('HDEL', bytesKey, entries[i])
+    end
+  end
+  return total
+end
+`;
+
+// KEYS: list dokumen, hash byte, list message, ringkasan
+// ARGV: dokumen (JSON), byte dokumen, maxPerConversation, maxStoreBytes, ttlMs
+// Hasil: 0 tersimpan, 1 batas per percakapan, 2 batas total byte
+const ADD_DOCUMENT_SCRIPT = `${SUM_DOCUMENT_BYTES}
+if redis.call('LLEN', KEYS[1]) >= tonumber(ARGV[3]) then return 1 end
+if storedBytes(KEYS[2]) + tonumber(ARGV[2]) > tonumber(ARGV[4]) then return 2 end
+redis.call('RPUSH', KEYS[1], ARGV[1])
+redis.call('HINCRBY', KEYS[2], KEYS[1], ARGV[2])
+for _, key in ipairs({KEYS[1], KEYS[3], KEYS[4]}) do
+  redis.call('PEXPIRE', key, ARGV[5])
+end
+return 0
+`;
+
+const DOCUMENT_BYTES_SCRIPT = `${SUM_DOCUMENT_BYTES}
+return storedBytes(KEYS[1])
+`;
+
+const ADD_DOCUMENT_RESULTS = { 1: "conversation", 2: "store" };
+
+class RedisConversationStore extends ConversationStore {
+  /**
+   * @param {object} options - {maxMessages, ttlMs, url, connectTimeoutMs, connectRetries}
+   */
+  constructor(options = {}) {
+    super(options);
+
+    let createClient;
+    try {
+      ({ createClient } = require("redis"));
+    } catch (error) {
+      throw new Error(
+        "Conversation store 'redis' membutuhkan package redis. Jalankan: npm install redis"
+      );
+    }
+
+    const connectRetries = options.connectRetries ?? 3;
+    this.hasConnected = false;
+
+    this.client = createClient({
+      url: options.url,
+      // Perintah saat koneksi putus langsung gagal, tidak menunggu di antrean
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: options.connectTimeoutMs || 5000,
+        // Saat start menyerah setelah beberapa percobaan; setelah pernah terhubung terus mencoba
+        reconnectStrategy: (retries, cause) => {
+          if (this.hasConnected) return Math.min(retries * 200, 2000);
+          if (retries >= connectRetries) {
+            return new StoreUnavailableError(`Redis tidak bisa dihubungi: ${cause.message}`);
+          }
+          return 500;
+        },
+      },
+    });
+    this.client.on("error", (error) => {
+      console.error("Redis conversation store error:", error.message);
+    });
+    this.client.on("ready", () => {
+      this.hasConnected = true;
+    });
+  }
+
+  async connect() {
+    if (!this.ready) {
+      this.ready = this.client.connect();
+    }
+    await this.ready;
+  }
+
+  isAvailable() {
+    return this.client.isReady;
+  }
+
+  /**
+   * Pastikan koneksi siap sebelum menjalankan perintah
+   * @throws {StoreUnavailableError} - Jika Redis sedang tidak terhubung
+   */
+  async ensureConnected() {
+    try {
+      await this.connect();
+    } catch (error) {
+      throw new StoreUnavailableError(error.message);
+    }
+    if (!this.client.isReady) {
+      throw new StoreUnavailableError("Redis sedang tidak terhubung.");
+    }
+  }
+
+  /**
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Redis key untuk list message
+   */
+  key(sessionId) {
+    return `${KEY_PREFIX}${sessionId}`;
+  }
+
+  /**
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Redis key untuk ringkasan
+   */
+  summaryKey(sessionId) {
+    return `${SUMMARY_PREFIX}${sessionId}`;
+  }
+
+  /**
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Redis key untuk list dokumen
+   */
+  documentsKey(sessionId) {
+    return `${DOCUMENTS_PREFIX}${sessionId}`;
+  }
+
+  /**
+   * Perpanjang TTL semua key percakapan dalam satu transaksi, agar message,
+   * ringkasan, dan dokumen kadaluarsa bersamaan seperti di store lain
+   * @param {object} transaction - Hasil client.multi()
+   * @param {string} sessionId - Session ID
+   * @returns {object} - Transaksi yang sama
+   */
+  touch(transaction, sessionId) {
+    return transaction
+      .pExpire(this.key(sessionId), this.ttlMs)
+      .pExpire(this.summaryKey(sessionId), this.ttlMs)
+      .pExpire(this.documentsKey(sessionId), this.ttlMs);
+  }
+
+  async get(sessionId) {
+    await this.ensureConnected();
+    const [items, summary] = await Promise.all([
+      this.client.lRange(this.key(sessionId), 0, -1),
+      this.client.get(this.summaryKey(sessionId)),
+    ]);
+
+    if (items.length === 0 && !summary) {
+      return { messages: [], summary: "", lastActivity: null };
+    }
+
+    const messages = items.map((item) => JSON.parse(item));
+    return {
+      messages,
+      summary: summary || "",
+      lastActivity: messages.length > 0 ? messages[messages.length - 1].timestamp || null : null,
+    };
+  }
+
+  async setSummary(sessionId, summary) {
+    await this.ensureConnected();
+    await this.touch(
+      this.client.multi().set(this.summaryKey(sessionId), summary),
+      sessionId
+    ).exec();
+  }
+
+  async append(sessionId, message) {
+    await this.ensureConnected();
+    const key = this.key(sessionId);
+
+    await this.touch(
+      this.client
+        .multi()
+        .rPush(key, JSON.stringify(message))
+        .lTrim(key, -this.maxMessages, -1),
+      sessionId
+    ).exec();
+  }
+
+  async replaceMessages(sessionId, messages) {
+    await this.ensureConnected();
+    const key = this.key(sessionId);
+
+    const transaction = this.client.multi().del(key);
+    if (messages.length > 0) {
+      transaction.rPush(key, messages.map((message) => JSON.stringify(message)));
+    }
+    await this.touch(transaction, sessionId).exec();
+  }
+
+  async addDocument(sessionId, document, limits = {}) {
+    await this.ensureConnected();
+
+    // Cek batas, simpan, dan perpanjang TTL dalam satu script agar atomik antar proses
+    const result = await this.client.eval(ADD_DOCUMENT_SCRIPT, {
+      keys: [
+        this.documentsKey(sessionId),
+        DOCUMENT_BYTES_KEY,
+        this.key(sessionId),
+        this.summaryKey(sessionId),
+      ],
+      arguments: [
+        JSON.stringify(document),
+        String(measureDocumentBytes(document)),
+        String(limits.maxPerConversation ?? Number.MAX_SAFE_INTEGER),
+        String(limits.maxStoreBytes ?? Number.MAX_SAFE_INTEGER),
+        String(this.ttlMs),
+      ],
+    });
+
+    if (ADD_DOCUMENT_RESULTS[result]) {
+      throw new DocumentLimitError(ADD_DOCUMENT_RESULTS[result]);
+    }
+  }
+
+  async getDocuments(sessionId) {
+    await this.ensureConnected();
+    const items = await this.client.lRange(this.documentsKey(sessionId), 0, -1);
+    return items.map((item) => JSON.parse(item));
+  }
+
+  async deleteDocument(sessionId, documentId) {
+    await this.ensureConnected();
+    const key = this.documentsKey(sessionId);
+    const items = await this.client.lRange(key, 0, -1);
+    const item = items.find((entry) => JSON.parse(entry).id === documentId);
+    if (!item) return false;
+
+    if ((await this.client.lRem(key, 1, item)) === 0) return false;
+
+    await this.client.hIncrBy(DOCUMENT_BYTES_KEY, key, -Buffer.byteLength(item));
+    return true;
+  }
+
+  async documentBytes() {
+    await this.ensureConnected();
+    return Number(await this.client.eval(DOCUMENT_BYTES_SCRIPT, { keys: [DOCUMENT_BYTES_KEY] }));
+  }
+
+  async trim(sessionId, maxMessages = this.maxMessages) {
+    await this.ensureConnected();
+    // LTRIM key 0 -1 menyisakan semua message, jadi 0 berarti hapus list
+    if (maxMessages <= 0) {
+      await this.client.del(this.key(sessionId));
+      return;
+    }
+    await this.client.lTrim(this.key(sessionId), -maxMessages, -1);
+  }
+
+  async delete(sessionId) {
+    await this.ensureConnected();
+    const [deleted] = await this.client
+      .multi()
+      .del([this.key(sessionId), this.summaryKey(sessionId), this.documentsKey(sessionId)])
+      .hDel(DOCUMENT_BYTES_KEY, this.documentsKey(sessionId))
+      .exec();
+    return deleted > 0;
+  }
+
+  async expire() {
+    // Redis menghapus key yang kadaluarsa sendiri lewat PEXPIRE di setiap penulisan (touch())
+    return 0;
+  }
+
+  async size() {
+    await this.ensureConnected();
+    let total = 0;
+    for await (const keys of this.client.scanIterator({ MATCH: `${KEY_PREFIX}*` })) {
+      total += Array.isArray(keys) ? keys.length : 1;
+    }
+    return total;
+  }
+
+  async close() {
+    this.stopCleanup();
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = {
+  RedisConversationStore,
+};
@@ -0,0 +1,74 @@
+/**
+ * SQLite feedback store
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { FeedbackStore } = require("./feedbackStore");
+
+class SqliteFeedbackStore extends FeedbackStore {
+  /**
+   * @param {object} options - {path} relatif ke backend/
+   */
+  constructor(options = {}) {
+    super();
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "Feedback store 'sqlite' membutuhkan package better-sqlite3. Jalankan: npm install better-sqlite3"
+      );
+    }
+
+    const dbPath = path.resolve(__dirname, "..", options.path);
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS answer_feedback (
+        feedback_key TEXT PRIMARY KEY,
+        turn_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO answer_feedback (feedback_key, turn_id, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(feedback_key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      selectCreatedAt: this.db.prepare("SELECT created_at FROM answer_feedback WHERE feedback_key = ?"),
+      selectAll: this.db.prepare("SELECT data FROM answer_feedback ORDER BY created_at"),
+    };
+  }
+
+  async save(entry) {
+    const now = Date.now();
+    const previous = this.statements.selectCreatedAt.get(entry.key);
+    const saved = {
+      ...entry,
+      createdAt: previous ? previous.created_at : now,
+      updatedAt: now,
+    };
+
+    this.statements.upsert.run(entry.key, entry.turnId, JSON.stringify(saved), saved.createdAt, now);
+    return saved;
+  }
+
+  async list() {
+    return this.statements.selectAll.all().map((row) => JSON.parse(row.data));
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteFeedbackStore,
+};
@@ -0,0 +1,217 @@
+/**
+ * SQLite conversation store
+ * Riwayat tersimpan di file sehingga tetap ada setelah server restart
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  ConversationStore,
+  measureDocumentBytes,
+  assertDocumentLimits,
+} = require("./conversationStore");
+
+class SqliteConversationStore extends ConversationStore {
+  /**
+   * @param {object} options - {maxMessages, ttlMs, path}
+   */
+  constructor(options = {}) {
+    super(options);
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "Conversation store 'sqlite' membutuhkan package better-sqlite3. Jalankan: npm install better-sqlite3"
+      );
+    }
+
+    const dbPath = path.resolve(__dirname, "..", options.path);
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversation_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_conversation_messages_session
+        ON conversation_messages (session_id, id);
+      CREATE TABLE IF NOT EXISTS conversation_summaries (
+        session_id TEXT PRIMARY KEY,
+        summary TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS conversation_documents (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_conversation_documents_session
+        ON conversation_documents (session_id, created_at);
+    `);
+
+    this.statements = {
+      select: this.db.prepare(
+        "SELECT data, created_at FROM conversation_messages WHERE session_id = ? ORDER BY id"
+      ),
+      insert: this.db.prepare(
+        "INSERT INTO conversation_messages (session_id, data, created_at) VALUES (?, ?, ?)"
+      ),
+      trim: this.db.prepare(`
+        DELETE FROM conversation_messages
+        WHERE session_id = ? AND id NOT IN (
+          SELECT id FROM conversation_messages WHERE session_id = ? ORDER BY id DESC LIMIT ?
+        )
+      `),
+      selectSummary: this.db.prepare(
+        "SELECT summary, updated_at FROM conversation_summaries WHERE session_id = ?"
+      ),
+      upsertSummary: this.db.prepare(`
+        INSERT INTO conversation_summaries (session_id, summary, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(session_id) DO UPDATE SET summary = excluded.summary, updated_at = excluded.updated_at
+      `),
+      selectDocuments: this.db.prepare(
+        "SELECT data FROM conversation_documents WHERE session_id = ? ORDER BY created_at"
+      ),
+      insertDocument: this.db.prepare(
+        "INSERT INTO conversation_documents (id, session_id, data, created_at) VALUES (?, ?, ?, ?)"
+      ),
+      countDocuments: this.db.prepare(
+        "SELECT COUNT(*) AS total FROM conversation_documents WHERE session_id = ?"
+      ),
+      deleteDocument: this.db.prepare(
+        "DELETE FROM conversation_documents WHERE session_id = ? AND id = ?"
+      ),
+      delete: this.db.prepare("DELETE FROM conversation_messages WHERE session_id = ?"),
+      deleteSummary: this.db.prepare("DELETE FROM conversation_summaries WHERE session_id = ?"),
+      deleteDocuments: this.db.prepare("DELETE FROM conversation_documents WHERE session_id = ?"),
+      // Aktivitas terakhir percakapan = waktu terbaru dari message, ringkasan, atau dokumen
+      // (sama dengan lastActivity di memory store dan TTL yang diperbarui di redis store)
+      selectExpired: this.db.prepare(`
+        SELECT session_id FROM (
+          SELECT session_id, created_at AS activity FROM conversation_messages
+          UNION ALL
+          SELECT session_id, updated_at AS activity FROM conversation_summaries
+          UNION ALL
+          SELECT session_id, created_at AS activity FROM conversation_documents
+        )
+        GROUP BY session_id HAVING MAX(activity) < ?
+      `),
+      documentBytes: this.db.prepare(
+        "SELECT COALESCE(SUM(LENGTH(CAST(data AS BLOB))), 0) AS total FROM conversation_documents"
+      ),
+      size: this.db.prepare(
+        "SELECT COUNT(DISTINCT session_id) AS total FROM conversation_messages"
+      ),
+    };
+  }
+
+  async get(sessionId) {
+    const rows = this.statements.select.all(sessionId);
+    const summaryRow = this.statements.selectSummary.get(sessionId);
+
+    if (rows.length === 0 && !summaryRow) {
+      return { messages: [], summary: "", lastActivity: null };
+    }
+
+    return {
+      messages: rows.map((row) => JSON.parse(row.data)),
+      summary: summaryRow ? summaryRow.summary : "",
+      lastActivity: Math.max(
+        rows.length > 0 ? rows[rows.length - 1].created_at : 0,
+        summaryRow ? summaryRow.updated_at : 0
+      ),
+    };
+  }
+
+  async setSummary(sessionId, summary) {
+    this.statements.upsertSummary.run(sessionId, summary, Date.now());
+  }
+
+  async append(sessionId, message) {
+    this.statements.insert.run(sessionId, JSON.stringify(message), Date.now());
+    await this.trim(sessionId);
+  }
+
+  async replaceMessages(sessionId, messages) {
+    const now = Date.now();
+    this.db.transaction(() => {
+      this.statements.delete.run(sessionId);
+      messages.forEach((message) => {
+        this.statements.insert.run(sessionId, JSON.stringify(message), now);
+      });
+    })();
+  }
+
+  async addDocument(sessionId, document, limits = {}) {
+    // IMMEDIATE: proses lain yang memakai file yang sama menunggu sampai insert selesai
+    this.db
+      .transaction(() => {
+        assertDocumentLimits(
+          this.statements.countDocuments.get(sessionId).total,
+          this.statements.documentBytes.get().total,
+          measureDocumentBytes(document),
+          limits
+        );
+        this.statements.insertDocument.run(document.id, sessionId, JSON.stringify(document), Date.now());
+      })
+      .immediate();
+  }
+
+  async getDocuments(sessionId) {
+    return this.statements.selectDocuments.all(sessionId).map((row) => JSON.parse(row.data));
+  }
+
+  async deleteDocument(sessionId, documentId) {
+    return this.statements.deleteDocument.run(sessionId, documentId).changes > 0;
+  }
+
+  async documentBytes() {
+    return this.statements.documentBytes.get().total;
+  }
+
+  async trim(sessionId, maxMessages = this.maxMessages) {
+    this.statements.trim.run(sessionId, sessionId, maxMessages);
+  }
+
+  async delete(sessionId) {
+    const deletedSummary = this.statements.deleteSummary.run(sessionId).changes > 0;
+    const deletedDocuments = this.statements.deleteDocuments.run(sessionId).changes > 0;
+    return this.statements.delete.run(sessionId).changes > 0 || deletedSummary || deletedDocuments;
+  }
+
+  async expire() {
+    const cutoff = Date.now() - this.ttlMs;
+    const expired = this.statements.selectExpired.all(cutoff);
+
+    // Message, ringkasan, dan dokumen percakapan kadaluarsa dihapus bersamaan
+    this.db.transaction(() => {
+      expired.forEach(({ session_id: sessionId }) => {
+        this.statements.delete.run(sessionId);
+        this.statements.deleteSummary.run(sessionId);
+        this.statements.deleteDocuments.run(sessionId);
+      });
+    })();
+
+    return expired.length;
+  }
+
+  async size() {
+    return this.statements.size.get().total;
+  }
+
+  async close() {
+    this.stopCleanup();
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteConversationStore,
+};
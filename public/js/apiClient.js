@@ -6,15 +6,43 @@ class ApiClient {
   constructor(baseUrl) {
     this.baseUrl = baseUrl;
     this.currentController = null; // For cancelling requests
+    this.conversationId = null; // Thread aktif, dikirim ke backend
+    this.mode = null; // Learning mode aktif
+    this.correctionEnabled = false; // Minta analisis tata bahasa untuk pesan user
+  }
+
+  /**
+   * Aktifkan/nonaktifkan analisis tata bahasa untuk pesan berikutnya
+   * @param {boolean} enabled - True untuk meminta koreksi
+   */
+  setCorrectionEnabled(enabled) {
+    this.correctionEnabled = Boolean(enabled);
+  }
+
+  /**
+   * Set learning mode yang dikirim bersama setiap pesan
+   * @param {string} mode - ID mode dari /api/modes
+   */
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * Set thread aktif agar konteks di backend mengikuti thread yang dipilih
+   * @param {string} conversationId - ID thread dari ChatStorage
+   */
+  setConversationId(conversationId) {
+    this.conversationId = conversationId;
   }
 
   /**
    * Kirim pesan ke backend
    * @param {string} message - Pesan yang akan dikirim
    * @param {string} model - Model AI yang dipilih (optional)
+   * @param {object} options - Override {conversationId, mode, correction}, lampiran {image}, {replaceTurnId} dan schema bernama {schema} untuk request ini (optional)
    * @returns {Promise<object>} - Response dari server
    */
-  async sendMessage(message, model = null) {
+  async sendMessage(message, model = null, options = {}) {
     try {
       // Cancel previous request if exists
       if (this.currentController) {
@@ -24,10 +52,32 @@ class ApiClient {
       // Create new AbortController for this request
       this.currentController = new AbortController();
 
+      const conversationId = options.conversationId || this.conversationId;
+      const mode = options.mode || this.mode;
+      const correction = options.correction ?? this.correctionEnabled;
+
       const payload = { message };
       if (model) {
         payload.model = model;
       }
+      if (conversationId) {
+        payload.conversationId = conversationId;
+      }
+      if (mode) {
+        payload.mode = mode;
+      }
+      if (correction) {
+        payload.correction = true;
+      }
+      if (options.image) {
+        payload.image = options.image;
+      }
+      if (options.replaceTurnId) {
+        payload.replaceTurnId = options.replaceTurnId;
+      }
+      if (options.schema) {
+        payload.schema = options.schema;
+      }
 
       const response = await fetch(`${this.baseUrl}/api/chat`, {
         method: "POST",
@@ -35,6 +85,7 @@ class ApiClient {
           "Content-Type": "application/json",
         },
         body: JSON.stringify(payload),
+        credentials: "same-origin", // Kirim cookie session
         signal: this.currentController.signal, // Add abort signal
       });
 
@@ -50,7 +101,133 @@ class ApiClient {
       return {
         success: true,
         data: data.reply,
-        model: data.model
+        model: data.model,
+        turnId: data.turnId || null,
+        correction: data.correction || null,
+        citations: data.citations || [],
+        structured: data.data || null
+      };
+    } catch (error) {
+      // Clear controller
+      this.currentController = null;
+
+      // Handle abort error
+      if (error.name === 'AbortError') {
+        return {
+          success: false,
+          cancelled: true,
+          error: "Request dibatalkan"
+        };
+      }
+
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Kirim pesan ke backend dengan streaming (Server-Sent Events)
+   * @param {string} message - Pesan yang akan dikirim
+   * @param {string} model - Model AI yang dipilih (optional)
+   * @param {Function} onChunk - Callback (chunkText, fullText) untuk setiap potongan teks
+   * @param {object} options - Lampiran {image: {mimeType, data}} dan {replaceTurnId} giliran yang diganti (optional)
+   * @returns {Promise<object>} - Response dari server
+   */
+  async sendMessageStream(message, model = null, onChunk = null, options = {}) {
+    try {
+      // Cancel previous request if exists
+      if (this.currentController) {
+        this.currentController.abort();
+      }
+
+      // Create new AbortController for this request
+      this.currentController = new AbortController();
+
+      const payload = { message };
+      if (model) {
+        payload.model = model;
+      }
+      if (this.conversationId) {
+        payload.conversationId = this.conversationId;
+      }
+      if (this.mode) {
+        payload.mode = this.mode;
+      }
+      if (this.correctionEnabled) {
+        payload.correction = true;
+      }
+      if (options.image) {
+        payload.image = options.image;
+      }
+      if (options.replaceTurnId) {
+        payload.replaceTurnId = options.replaceTurnId;
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/chat/stream`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
+        body: JSON.stringify(payload),
+        credentials: "same-origin", // Kirim cookie session
+        signal: this.currentController.signal, // Abort juga menghentikan generation di server
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "Gagal mendapatkan respons dari server.");
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let fullText = "";
+      let result = null;
+
+      while (!result) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Event SSE dipisahkan oleh baris kosong
+        const events = buffer.split("\n\n");
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          const event = this.parseSseEvent(rawEvent);
+          if (!event) continue;
+
+          if (event.name === "chunk") {
+            fullText += event.data.text;
+            if (onChunk) {
+              onChunk(event.data.text, fullText);
+            }
+          } else if (event.name === "done") {
+            result = event.data;
+          } else if (event.name === "error") {
+            throw new Error(event.data.error || "Terjadi kesalahan di server.");
+          }
+        }
+      }
+
+      if (!result) {
+        throw new Error("Koneksi terputus sebelum respons selesai.");
+      }
+
+      // Clear controller after successful request
+      this.currentController = null;
+
+      return {
+        success: true,
+        data: result.reply,
+        model: result.model,
+        turnId: result.turnId || null,
+        correction: result.correction || null,
+        citations: result.citations || []
       };
     } catch (error) {
       // Clear controller
@@ -72,6 +249,361 @@ class ApiClient {
     }
   }
 
+  /**
+   * Parse satu blok event SSE
+   * @param {string} rawEvent - Blok teks event
+   * @returns {object|null} - {name, data} atau null jika tidak valid
+   */
+  parseSseEvent(rawEvent) {
+    let name = "message";
+    let data = "";
+
+    rawEvent.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) {
+        name = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        data += line.slice(5).trim();
+      }
+    });
+
+    if (!data) return null;
+
+    try {
+      return { name, data: JSON.parse(data) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ambil katalog model dari server
+   * @returns {Promise<Array|null>} - Array model, atau null jika gagal
+   */
+  async getModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/models`, {
+        credentials: "same-origin",
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      return Array.isArray(data.models) ? data.models : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Minta usulan kosakata penting dari sebuah balasan bot
+   * @param {string} text - Teks balasan bot
+   * @param {string} model - Model AI yang dipilih (optional)
+   * @returns {Promise<object>} - {success, words?, error?}
+   */
+  async suggestVocabulary(text, model = null) {
+    try {
+      const payload = { text };
+      if (model) {
+        payload.model = model;
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/vocabulary/suggest`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+        credentials: "same-origin",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Gagal mengambil usulan kosakata.");
+      }
+
+      return {
+        success: true,
+        words: Array.isArray(data.words) ? data.words : []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Minta kuis pilihan ganda
+   * @param {Object} quiz - {topic, difficulty, count}
+   * @param {string} model - Model AI yang dipilih (optional)
+   * @returns {Promise<object>} - {success, questions?, error?}
+   */
+  async generateQuiz(quiz, model = null) {
+    try {
+      const payload = { ...quiz };
+      if (model) {
+        payload.model = model;
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/quiz`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+        credentials: "same-origin",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Gagal membuat kuis.");
+      }
+
+      return {
+        success: true,
+        questions: data.questions
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Kirim rekaman untuk dinilai pelafalannya
+   * @param {Blob} audio - Rekaman dari MediaRecorder
+   * @param {string} targetText - Kalimat yang dibaca
+   * @param {number} duration - Durasi rekaman dalam detik
+   * @param {string} model - Model AI yang dipilih (optional)
+   * @returns {Promise<object>} - {success, assessment?, error?}
+   */
+  async assessPronunciation(audio, targetText, duration, model = null) {
+    try {
+      const extension = (audio.type.split("/")[1] || "webm").replace("mp4", "m4a");
+      const formData = new FormData();
+      formData.append("audio", audio, `rekaman.${extension}`);
+      formData.append("targetText", targetText);
+      formData.append("duration", String(duration));
+      if (model) {
+        formData.append("model", model);
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/pronunciation`, {
+        method: "POST",
+        body: formData,
+        credentials: "same-origin",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Gagal menilai pelafalan.");
+      }
+
+      return {
+        success: true,
+        assessment: data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Unggah dokumen bacaan ke thread aktif
+   * @param {File} file - Dokumen PDF/TXT/MD/CSV
+   * @returns {Promise<object>} - {success, document?, error?}
+   */
+  async uploadDocument(file) {
+    try {
+      const formData = new FormData();
+      formData.append("document", file);
+      if (this.conversationId) {
+        formData.append("conversationId", this.conversationId);
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/documents`, {
+        method: "POST",
+        body: formData,
+        credentials: "same-origin",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Gagal mengunggah dokumen.");
+      }
+
+      return {
+        success: true,
+        document: data.document
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Ambil daftar dokumen thread aktif
+   * @returns {Promise<Array|null>} - Array dokumen, atau null jika gagal
+   */
+  async getDocuments() {
+    try {
+      const query = this.conversationId
+        ? `?conversationId=${encodeURIComponent(this.conversationId)}`
+        : "";
+      const response = await fetch(`${this.baseUrl}/api/documents${query}`, {
+        credentials: "same-origin",
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      return Array.isArray(data.documents) ? data.documents : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hapus dokumen dari thread aktif
+   * @param {string} documentId - ID dokumen
+   * @returns {Promise<boolean>} - True jika berhasil
+   */
+  async deleteDocument(documentId) {
+    try {
+      const query = this.conversationId
+        ? `?conversationId=${encodeURIComponent(this.conversationId)}`
+        : "";
+      const response = await fetch(
+        `${this.baseUrl}/api/documents/${encodeURIComponent(documentId)}${query}`,
+        {
+          method: "DELETE",
+          credentials: "same-origin",
+        }
+      );
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Hapus satu giliran (pesan user + balasannya) dari history percakapan di server
+   * @param {string} turnId - ID giliran dari response chat
+   * @param {boolean} following - Ikut hapus semua giliran setelahnya
+   * @returns {Promise<boolean>} - True jika server sudah tidak menyimpan giliran tersebut
+   */
+  async deleteTurn(turnId, following = false) {
+    try {
+      const params = new URLSearchParams();
+      if (this.conversationId) {
+        params.set("conversationId", this.conversationId);
+      }
+      if (following) {
+        params.set("following", "true");
+      }
+      const query = params.toString() ? `?${params}` : "";
+      const response = await fetch(
+        `${this.baseUrl}/api/conversation/turns/${encodeURIComponent(turnId)}${query}`,
+        {
+          method: "DELETE",
+          credentials: "same-origin",
+        }
+      );
+      // 404: giliran sudah diringkas atau kadaluarsa di server
+      return response.ok || response.status === 404;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Kirim penilaian 👍/👎 untuk balasan bot
+   * @param {Object} feedback - {turnId, rating: 'up'|'down', comment?}
+   * @param {Object} exchange - {prompt, reply, model, mode}, dipakai server jika giliran
+   *   sudah tidak ada di history percakapan (optional)
+   * @returns {Promise<object>} - {success, error?}
+   */
+  async sendFeedback(feedback, exchange = null) {
+    try {
+      const payload = { ...exchange, ...feedback };
+      if (this.conversationId) {
+        payload.conversationId = this.conversationId;
+      }
+
+      const response = await fetch(`${this.baseUrl}/api/feedback`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+        credentials: "same-origin",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Gagal mengirim penilaian.");
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Terjadi kesalahan saat menghubungi server."
+      };
+    }
+  }
+
+  /**
+   * Ambil daftar learning mode dari server
+   * @returns {Promise<Array|null>} - Array mode, atau null jika gagal
+   */
+  async getModes() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/modes`, {
+        credentials: "same-origin",
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      return Array.isArray(data.modes) ? data.modes : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hapus riwayat percakapan session ini di server
+   * @param {string} conversationId - ID thread (default: thread aktif)
+   * @returns {Promise<boolean>} - True jika berhasil
+   */
+  async clearConversation(conversationId = this.conversationId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/clear-conversation`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ conversationId }),
+        credentials: "same-origin",
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Cancel current request
    */
@@ -0,0 +1,368 @@
+/**
+ * Chat exporter - unduh transkrip thread aktif (Markdown, HTML siap cetak, teks)
+ * dan impor/ekspor cadangan JSON lewat ChatStorage
+ */
+
+class ChatExporter {
+  /**
+   * @param {string} menuSelector - Selector element menu ekspor
+   * @param {ChatStorage} storage - Storage thread aktif
+   * @param {Object} callbacks - {getModelLabel(modelId), onImported(result), onNotify(text), isBusy()}
+   */
+  constructor(menuSelector, storage, callbacks = {}) {
+    this.menu = document.querySelector(menuSelector);
+    this.storage = storage;
+    this.getModelLabel = callbacks.getModelLabel || ((modelId) => modelId);
+    this.onImported = callbacks.onImported || (() => {});
+    this.onNotify = callbacks.onNotify || (() => {});
+    this.isBusy = callbacks.isBusy || (() => false);
+    this.markdownRenderer = new MarkdownRenderer();
+
+    this.senderNames = { user: "Saya", bot: "Sahabat Nusantara" };
+
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.hidden = true;
+    this.fileInput.addEventListener("change", () => {
+      const file = this.fileInput.files[0];
+      this.fileInput.value = "";
+      if (file) {
+        this.importFile(file);
+      }
+    });
+    document.body.appendChild(this.fileInput);
+
+    this.render();
+
+    // Menu tertutup saat klik di luar atau tekan Escape
+    document.addEventListener("click", (e) => {
+      const toggleButton = e.target.closest(`[aria-controls="${this.menu.id}"]`);
+      if (this.isOpen() && !this.menu.contains(e.target) && !toggleButton) {
+        this.close();
+      }
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Render item menu
+   */
+  render() {
+    if (!this.menu) return;
+
+    this.menu.innerHTML = "";
+
+    [
+      ["📝 Markdown (.md)", () => this.download("markdown")],
+      ["🖨️ HTML siap cetak (.html)", () => this.download("html")],
+      ["📄 Teks (.txt)", () => this.download("text")],
+      ["🖨️ Cetak / simpan PDF", () => this.print()],
+      ["💾 Cadangan JSON (.json)", () => this.download("json")],
+      ["📥 Impor dari JSON...", () => this.openPicker()],
+    ].forEach(([label, action]) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.setAttribute("role", "menuitem");
+      item.textContent = label;
+      item.onclick = () => {
+        this.close();
+        action();
+      };
+      this.menu.appendChild(item);
+    });
+  }
+
+  /**
+   * @returns {boolean} - True jika menu sedang terbuka
+   */
+  isOpen() {
+    return Boolean(this.menu && !this.menu.hidden);
+  }
+
+  /**
+   * Buka atau tutup menu
+   */
+  toggle() {
+    if (!this.menu) return;
+    this.menu.hidden = !this.menu.hidden;
+  }
+
+  /**
+   * Tutup menu
+   */
+  close() {
+    if (this.menu) {
+      this.menu.hidden = true;
+    }
+  }
+
+  /**
+   * Kumpulkan isi transkrip thread aktif
+   * Notifikasi sistem (mis. "Request dibatalkan"), pesan error, dan pesan user
+   * yang gagal dikirim tidak ikut diekspor
+   * @returns {Object} - {title, exportedAt, messages: Array of {sender, name, time, model, text, hasImage}}
+   */
+  getTranscript() {
+    const activeThreadId = this.storage.getActiveThreadId();
+    const thread = this.storage.getThreads().find((item) => item.id === activeThreadId);
+
+    const messages = this.storage
+      .getChatHistory()
+      .filter((message) => !message.type || message.type === "normal")
+      .map((message) => ({
+        sender: message.sender,
+        name: this.senderNames[message.sender] || message.sender,
+        time: this.formatTime(message.timestamp),
+        model: message.sender === "bot" && message.model ? this.getModelLabel(message.model) : null,
+        // Pesan user disimpan dalam bentuk ter-escape
+        text: message.sender === "user" ? SecurityUtils.decodeHtml(message.content) : message.content,
+        hasImage: Boolean(message.image),
+      }));
+
+    return {
+      title: thread ? thread.title : "Percakapan",
+      exportedAt: this.formatTime(Date.now()),
+      messages: messages,
+    };
+  }
+
+  /**
+   * Format waktu untuk transkrip
+   * @param {number} timestamp - Timestamp
+   * @returns {string} - mis. "19 Okt 2026, 09.21"
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString("id-ID", {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  /**
+   * Keterangan satu pesan: nama pengirim, waktu, dan model untuk balasan bot
+   * @param {Object} message - Pesan dari getTranscript()
+   * @returns {string} - mis. "Sahabat Nusantara · 19 Okt 2026, 09.21 · Gemini 2.5 Flash"
+   */
+  formatMeta(message) {
+    return [message.name, message.time, message.model].filter(Boolean).join(" · ");
+  }
+
+  /**
+   * Transkrip Markdown
+   * @param {Object} transcript - Dari getTranscript()
+   * @returns {string} - Markdown
+   */
+  toMarkdown(transcript) {
+    const lines = [`# ${transcript.title}`, "", `_Diekspor ${transcript.exportedAt}_`, ""];
+
+    transcript.messages.forEach((message) => {
+      lines.push(`### ${this.formatMeta(message)}`, "");
+      if (message.hasImage) {
+        lines.push("_[Gambar terlampir]_", "");
+      }
+      lines.push(message.text, "");
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Transkrip teks biasa
+   * @param {Object} transcript - Dari getTranscript()
+   * @returns {string} - Teks
+   */
+  toPlainText(transcript) {
+    const lines = [transcript.title, `Diekspor ${transcript.exportedAt}`, "=".repeat(40), ""];
+
+    transcript.messages.forEach((message) => {
+      lines.push(`[${message.time}] ${message.name}${message.model ? ` (${message.model})` : ""}:`);
+      if (message.hasImage) {
+        lines.push("[Gambar terlampir]");
+      }
+      lines.push(message.text, "");
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Transkrip HTML mandiri dengan gaya cetak (bisa disimpan sebagai PDF dari dialog cetak)
+   * @param {Object} transcript - Dari getTranscript()
+   * @returns {string} - Dokumen HTML
+   */
+  toHtml(transcript) {
+    const escape = (text) => SecurityUtils.sanitizeHtml(text);
+
+    const messages = transcript.messages
+      .map((message) => {
+        const body =
+          message.sender === "bot"
+            ? SecurityUtils.sanitizeMarkup(this.markdownRenderer.render(message.text))
+            : `<p>${escape(message.text).replace(/\n/g, "<br>")}</p>`;
+        const image = message.hasImage ? '<p class="note">[Gambar terlampir]</p>' : "";
+
+        return `<section class="message ${message.sender === "bot" ? "bot" : "user"}">
+  <div class="meta">${escape(this.formatMeta(message))}</div>
+  ${image}${body}
+</section>`;
+      })
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="UTF-8">
+<title>${escape(transcript.title)}</title>
+<style>
+  body { font-family: Georgia, "Times New Roman", serif; color: #222; max-width: 720px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  .exported { color: #666; font-size: 0.9em; margin-bottom: 2em; }
+  .message { margin: 0 0 1.2em; padding: 0.6em 0.9em; border-left: 3px solid #ccc; }
+  .message.user { border-left-color: #007bff; background: #f3f8ff; }
+  .message.bot { border-left-color: #d9534f; }
+  .meta { font-family: Arial, sans-serif; font-size: 0.8em; color: #555; font-weight: bold; margin-bottom: 0.3em; }
+  .note { color: #666; font-style: italic; }
+  pre { background: #f6f6f6; padding: 0.6em; overflow-x: auto; white-space: pre-wrap; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; }
+  .align-center { text-align: center; }
+  .align-right { text-align: right; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .message { break-inside: avoid; background: none; }
+    a { color: inherit; }
+  }
+</style>
+</head>
+<body>
+<h1>${escape(transcript.title)}</h1>
+<div class="exported">Diekspor ${escape(transcript.exportedAt)}</div>
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Nama file dari judul thread dan tanggal
+   * @param {string} title - Judul thread
+   * @param {string} extension - Ekstensi file
+   * @returns {string} - mis. "resep-rendang-2026-10-19.md"
+   */
+  buildFileName(title, extension) {
+    const slug =
+      title
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 50) || "percakapan";
+    const date = new Date();
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${slug}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.${extension}`;
+  }
+
+  /**
+   * Unduh thread aktif dalam format tertentu
+   * @param {string} format - 'markdown', 'html', 'text' atau 'json'
+   */
+  download(format) {
+    const transcript = this.getTranscript();
+    if (format !== "json" && transcript.messages.length === 0) {
+      this.onNotify("📭 Belum ada pesan untuk diekspor.");
+      return;
+    }
+
+    const formats = {
+      markdown: { extension: "md", type: "text/markdown", build: () => this.toMarkdown(transcript) },
+      html: { extension: "html", type: "text/html", build: () => this.toHtml(transcript) },
+      text: { extension: "txt", type: "text/plain", build: () => this.toPlainText(transcript) },
+      json: { extension: "json", type: "application/json", build: () => this.storage.exportChatHistory() },
+    };
+    const { extension, type, build } = formats[format];
+
+    const blob = new Blob([build()], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = this.buildFileName(transcript.title, extension);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Buka transkrip HTML di jendela baru lalu tampilkan dialog cetak
+   */
+  print() {
+    const transcript = this.getTranscript();
+    if (transcript.messages.length === 0) {
+      this.onNotify("📭 Belum ada pesan untuk dicetak.");
+      return;
+    }
+
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      this.onNotify("⚠️ Jendela cetak diblokir browser. Unduh versi HTML lalu cetak dari sana.");
+      return;
+    }
+
+    printWindow.document.write(this.toHtml(transcript));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  /**
+   * Buka pemilih file cadangan JSON
+   */
+  openPicker() {
+    if (this.isBusy()) return;
+    this.fileInput.click();
+  }
+
+  /**
+   * Impor file cadangan JSON ke thread aktif
+   * @param {File} file - File yang dipilih
+   */
+  async importFile(file) {
+    // Ukuran dicek sebelum dibaca agar file besar tidak dimuat ke memori
+    if (file.size > this.storage.maxImportBytes) {
+      this.onNotify(`⚠️ File terlalu besar. Maksimal ${Math.round(this.storage.maxImportBytes / 1024)} KB.`);
+      return;
+    }
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      this.onNotify("⚠️ File tidak bisa dibaca.");
+      return;
+    }
+
+    const result = this.storage.importChatHistory(text);
+    if (!result.success) {
+      this.onNotify(`⚠️ Impor gagal: ${result.error}`);
+      return;
+    }
+
+    this.onImported(result);
+    const skipped = result.skipped > 0 ? `, ${result.skipped} sudah ada` : "";
+    const dropped =
+      result.dropped > 0
+        ? ` ${result.dropped} pesan terlama dibuang (maks. ${this.storage.maxMessages} pesan per percakapan).`
+        : "";
+    this.onNotify(`📥 ${result.imported} pesan diimpor${skipped}.${dropped}`);
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ChatExporter = ChatExporter;
@@ -0,0 +1,309 @@
+/**
+ * Chat search - cari dan saring pesan thread aktif berdasarkan teks, pengirim dan tanggal
+ * Pencocokan memakai data ChatStorage; DOM hanya dipakai untuk menyorot dan melompat ke hasil
+ */
+
+class ChatSearch {
+  /**
+   * @param {string} barSelector - Selector element bar pencarian
+   * @param {ChatUtils} chatUtils - Untuk storage dan element pesan di chat box
+   */
+  constructor(barSelector, chatUtils) {
+    this.bar = document.querySelector(barSelector);
+    this.chatUtils = chatUtils;
+    this.chatBox = chatUtils.chatBox;
+
+    this.matches = []; // Message ID yang cocok, urut dari yang terlama
+    this.currentIndex = -1;
+
+    this.render();
+  }
+
+  /**
+   * Buat isi bar pencarian
+   */
+  render() {
+    if (!this.bar) return;
+
+    this.bar.innerHTML = "";
+
+    this.queryInput = document.createElement("input");
+    this.queryInput.type = "search";
+    this.queryInput.placeholder = "Cari pesan...";
+    this.queryInput.setAttribute("aria-label", "Cari pesan");
+    this.queryInput.addEventListener("input", () => this.search());
+    this.queryInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.move(e.shiftKey ? -1 : 1);
+      } else if (e.key === "Escape") {
+        this.close();
+      }
+    });
+
+    this.senderSelect = document.createElement("select");
+    this.senderSelect.setAttribute("aria-label", "Pengirim");
+    [
+      ["", "Semua"],
+      ["user", "Saya"],
+      ["bot", "Sahabat"],
+    ].forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      this.senderSelect.appendChild(option);
+    });
+    this.senderSelect.addEventListener("change", () => this.search());
+
+    this.dateInput = document.createElement("input");
+    this.dateInput.type = "date";
+    this.dateInput.title = "Tanggal pesan";
+    this.dateInput.setAttribute("aria-label", "Tanggal pesan");
+    this.dateInput.addEventListener("change", () => this.search());
+
+    this.counter = document.createElement("span");
+    this.counter.className = "chat-search-counter";
+    this.counter.setAttribute("aria-live", "polite");
+
+    const previousButton = this.createButton("▲", "Hasil sebelumnya", () => this.move(-1));
+    const nextButton = this.createButton("▼", "Hasil berikutnya", () => this.move(1));
+    const closeButton = this.createButton("✕", "Tutup pencarian", () => this.close());
+
+    this.bar.append(
+      this.queryInput,
+      this.senderSelect,
+      this.dateInput,
+      this.counter,
+      previousButton,
+      nextButton,
+      closeButton
+    );
+  }
+
+  /**
+   * Buat tombol kecil di bar pencarian
+   * @param {string} icon - Teks tombol
+   * @param {string} label - Label aksesibilitas
+   * @param {Function} onClick - Handler klik
+   * @returns {HTMLElement} - Element <button>
+   */
+  createButton(icon, label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = icon;
+    button.title = label;
+    button.setAttribute("aria-label", label);
+    button.onclick = onClick;
+    return button;
+  }
+
+  /**
+   * @returns {boolean} - True jika bar pencarian sedang terbuka
+   */
+  isOpen() {
+    return Boolean(this.bar && !this.bar.hidden);
+  }
+
+  /**
+   * Buka atau tutup bar pencarian
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Buka bar pencarian
+   */
+  open() {
+    if (!this.bar) return;
+    this.bar.hidden = false;
+    this.queryInput.focus();
+    this.search();
+  }
+
+  /**
+   * Tutup bar pencarian dan tampilkan lagi semua pesan
+   */
+  close() {
+    if (!this.bar) return;
+    this.bar.hidden = true;
+    this.queryInput.value = "";
+    this.senderSelect.value = "";
+    this.dateInput.value = "";
+    this.clearResults();
+    this.chatUtils.scrollToBottom();
+  }
+
+  /**
+   * Ambil filter dari input
+   * @returns {Object} - {query, sender, date}
+   */
+  getFilters() {
+    return {
+      query: this.queryInput.value.trim().toLocaleLowerCase("id"),
+      sender: this.senderSelect.value,
+      date: this.dateInput.value,
+    };
+  }
+
+  /**
+   * Tanggal lokal pesan dalam format yang sama dengan <input type="date">
+   * @param {number} timestamp - Timestamp pesan
+   * @returns {string} - YYYY-MM-DD
+   */
+  formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Teks pesan yang dicari; pesan user disimpan dalam bentuk ter-escape
+   * @param {Object} message - Pesan dari storage
+   * @returns {string} - Teks dalam huruf kecil
+   */
+  getSearchableText(message) {
+    const text =
+      message.sender === "user" ? SecurityUtils.decodeHtml(message.content) : message.content;
+    return text.toLocaleLowerCase("id");
+  }
+
+  /**
+   * Cari pesan yang cocok dengan filter
+   * @param {Object} filters - Dari getFilters()
+   * @returns {Array<string>} - Message ID yang cocok
+   */
+  findMatches(filters) {
+    return this.chatUtils.storage
+      .getChatHistory()
+      .filter(
+        (message) =>
+          (!filters.sender || message.sender === filters.sender) &&
+          (!filters.date || this.formatDate(message.timestamp) === filters.date) &&
+          (!filters.query || this.getSearchableText(message).includes(filters.query))
+      )
+      .map((message) => message.id);
+  }
+
+  /**
+   * Jalankan pencarian: saring pesan, sorot teks yang cocok, lalu lompat ke hasil terbaru
+   */
+  search() {
+    this.clearResults();
+
+    const filters = this.getFilters();
+    if (!filters.query && !filters.sender && !filters.date) {
+      this.counter.textContent = "";
+      return;
+    }
+
+    this.matches = this.findMatches(filters);
+    this.chatBox.classList.add("searching");
+
+    this.matches.forEach((messageId) => {
+      const element = this.chatUtils.findMessageElement(messageId);
+      if (!element) return;
+
+      element.classList.add("search-match");
+      if (filters.query) {
+        this.highlight(element.querySelector(".message-text"), filters.query);
+      }
+    });
+
+    if (this.matches.length === 0) {
+      this.counter.textContent = "Tidak ditemukan";
+      return;
+    }
+
+    this.currentIndex = this.matches.length - 1;
+    this.showCurrent();
+  }
+
+  /**
+   * Bungkus teks yang cocok dengan <mark>
+   * @param {HTMLElement} container - Element .message-text
+   * @param {string} query - Kata kunci (huruf kecil)
+   */
+  highlight(container, query) {
+    if (!container) return;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach((node) => {
+      const text = node.textContent;
+      const lower = text.toLocaleLowerCase("id");
+      let index = lower.indexOf(query);
+      if (index === -1) return;
+
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      while (index !== -1) {
+        fragment.append(text.slice(last, index));
+        const mark = document.createElement("mark");
+        mark.className = "search-highlight";
+        mark.textContent = text.slice(index, index + query.length);
+        fragment.append(mark);
+        last = index + query.length;
+        index = lower.indexOf(query, last);
+      }
+      fragment.append(text.slice(last));
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * Hapus sorotan dan saringan dari chat box
+   */
+  clearResults() {
+    this.chatBox.classList.remove("searching");
+    this.chatBox.querySelectorAll(".search-match, .search-current").forEach((element) => {
+      element.classList.remove("search-match", "search-current");
+    });
+    this.chatBox.querySelectorAll("mark.search-highlight").forEach((mark) => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
+    });
+
+    this.matches = [];
+    this.currentIndex = -1;
+  }
+
+  /**
+   * Pindah ke hasil sebelumnya (-1) atau berikutnya (1), berputar di ujung
+   * @param {number} step - Arah perpindahan
+   */
+  move(step) {
+    if (this.matches.length === 0) return;
+    this.currentIndex = (this.currentIndex + step + this.matches.length) % this.matches.length;
+    this.showCurrent();
+  }
+
+  /**
+   * Tandai dan gulir ke hasil yang sedang dipilih
+   */
+  showCurrent() {
+    this.chatBox.querySelectorAll(".search-current").forEach((element) => {
+      element.classList.remove("search-current");
+    });
+
+    const element = this.chatUtils.findMessageElement(this.matches[this.currentIndex]);
+    if (element) {
+      element.classList.add("search-current");
+      element.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+
+    this.counter.textContent = `${this.currentIndex + 1}/${this.matches.length}`;
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ChatSearch = ChatSearch;
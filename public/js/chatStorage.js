@@ -1,13 +1,19 @@
 /**
  * Chat Storage Manager
  * Mengelola penyimpanan chat history di localStorage dengan TTL
+ * Setiap percakapan (thread) punya riwayat sendiri
  */
 
 class ChatStorage {
   constructor() {
     this.storageKey = "sahabat_nusantara_chat_history";
     this.ttlHours = 6; // 6 jam
-    this.maxMessages = 50; // Maksimal 50 pesan tersimpan
+    this.maxMessages = 50; // Maksimal 50 pesan tersimpan per thread
+    this.maxThreads = 20; // Maksimal 20 thread tersimpan
+    this.maxImagePreviews = 20; // Preview gambar lebih lama dibuang agar quota tidak penuh
+    this.maxImportBytes = 1024 * 1024; // Batas ukuran file impor (1 MB)
+    this.maxImportContentLength = 20000; // Batas panjang satu pesan yang diimpor
+    this.version = "2.0";
 
     // Cleanup expired data saat inisialisasi
     this.cleanup();
@@ -32,61 +38,199 @@ class ChatStorage {
   }
 
   /**
-   * Get chat history from localStorage
-   * @returns {Array} - Array of chat messages
+   * Buat thread baru (belum disimpan)
+   * @param {string} title - Judul thread
+   * @param {Array} messages - Pesan awal (optional)
+   * @returns {Object} - Thread object
    */
-  getChatHistory() {
+  buildThread(title, messages = []) {
+    const now = this.getCurrentTimestamp();
+    return {
+      id: this.generateThreadId(),
+      title: title,
+      createdAt: now,
+      updatedAt: now,
+      messages: messages,
+    };
+  }
+
+  /**
+   * Baca seluruh data dari localStorage
+   * Data versi "1.0" (satu riwayat datar) dimigrasikan menjadi thread pertama
+   * @returns {Object} - {version, activeThreadId, threads}
+   */
+  readData() {
+    let data = null;
+
     try {
       const stored = localStorage.getItem(this.storageKey);
-      if (!stored) return [];
+      data = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      data = null;
+    }
 
-      const data = JSON.parse(stored);
+    let changed = false;
 
-      // Check if data is expired
-      if (this.isExpired(data.timestamp)) {
-        this.clearChatHistory();
-        return [];
-      }
+    if (data && data.version === "1.0") {
+      data = this.migrateFromV1(data);
+      changed = true;
+    }
 
-      return data.messages || [];
-    } catch (error) {
-      return [];
+    if (!data || !Array.isArray(data.threads)) {
+      data = { version: this.version, activeThreadId: null, threads: [] };
+    }
+
+    // Buang thread yang sudah expired
+    const activeThreads = data.threads.filter((thread) => !this.isExpired(thread.updatedAt));
+    if (activeThreads.length !== data.threads.length) {
+      data.threads = activeThreads;
+      changed = true;
+    }
+
+    if (data.threads.length === 0) {
+      data.threads.push(this.buildThread("Percakapan 1"));
+      changed = true;
+    }
+
+    if (!data.threads.some((thread) => thread.id === data.activeThreadId)) {
+      data.activeThreadId = data.threads[0].id;
+      changed = true;
     }
+
+    // Simpan hasil perbaikan agar ID thread tetap stabil antar pemanggilan
+    if (changed) {
+      try {
+        localStorage.setItem(
+          this.storageKey,
+          JSON.stringify({ ...data, version: this.version, timestamp: this.getCurrentTimestamp() })
+        );
+      } catch (error) {
+        // Silent fail
+      }
+    }
+
+    return data;
   }
 
   /**
-   * Save chat history to localStorage
-   * @param {Array} messages - Array of chat messages
+   * Migrasi data versi "1.0" ke format thread
+   * @param {Object} legacyData - {messages, timestamp, version: "1.0"}
+   * @returns {Object} - Data versi baru
    */
-  saveChatHistory(messages) {
+  migrateFromV1(legacyData) {
+    const thread = this.buildThread("Percakapan 1", legacyData.messages || []);
+    thread.createdAt = legacyData.timestamp || thread.createdAt;
+    thread.updatedAt = legacyData.timestamp || thread.updatedAt;
+
+    return {
+      version: this.version,
+      activeThreadId: thread.id,
+      threads: [thread],
+    };
+  }
+
+  /**
+   * Simpan seluruh data ke localStorage
+   * @param {Object} data - {activeThreadId, threads}
+   * @param {boolean} isRetry - True jika ini percobaan ulang setelah quota penuh
+   */
+  writeData(data, isRetry = false) {
     try {
-      // Limit number of messages
-      const limitedMessages = messages.slice(-this.maxMessages);
+      const threads = data.threads.slice(-this.maxThreads);
+      this.pruneImagePreviews(threads, this.maxImagePreviews);
 
-      const data = {
-        messages: limitedMessages,
+      const payload = {
+        version: this.version,
+        activeThreadId: data.activeThreadId,
+        threads: threads,
         timestamp: this.getCurrentTimestamp(),
-        version: "1.0",
       };
 
-      localStorage.setItem(this.storageKey, JSON.stringify(data));
+      localStorage.setItem(this.storageKey, JSON.stringify(payload));
     } catch (error) {
       // Handle storage quota exceeded
       if (error.name === "QuotaExceededError") {
-        this.clearOldMessages();
-        // Try again with fewer messages
-        this.saveChatHistory(messages.slice(-25));
+        if (isRetry) {
+          this.clearOldMessages();
+          return;
+        }
+
+        // Try again without image previews and with fewer messages
+        this.pruneImagePreviews(data.threads, 0);
+        data.threads.forEach((thread) => {
+          thread.messages = thread.messages.slice(-25);
+        });
+        this.writeData(data, true);
       }
     }
   }
 
+  /**
+   * Buang preview gambar selain yang terbaru
+   * Penanda {image: {}} tetap disimpan agar bubble tahu pernah ada gambar
+   * @param {Array} threads - Thread yang akan disimpan
+   * @param {number} keep - Jumlah preview terbaru yang dipertahankan
+   */
+  pruneImagePreviews(threads, keep) {
+    const withPreview = [];
+    threads.forEach((thread) => {
+      thread.messages.forEach((message) => {
+        if (message.image && message.image.preview) {
+          withPreview.push(message);
+        }
+      });
+    });
+
+    withPreview
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(keep)
+      .forEach((message) => {
+        message.image = {};
+      });
+  }
+
+  /**
+   * Ambil thread aktif
+   * @param {Object} data - Data dari readData()
+   * @returns {Object} - Thread aktif
+   */
+  findActiveThread(data) {
+    return data.threads.find((thread) => thread.id === data.activeThreadId);
+  }
+
+  /**
+   * Get chat history from localStorage (thread aktif)
+   * @returns {Array} - Array of chat messages
+   */
+  getChatHistory() {
+    const thread = this.findActiveThread(this.readData());
+    return thread ? thread.messages : [];
+  }
+
+  /**
+   * Save chat history to localStorage (thread aktif)
+   * @param {Array} messages - Array of chat messages
+   */
+  saveChatHistory(messages) {
+    const data = this.readData();
+    const thread = this.findActiveThread(data);
+
+    // Limit number of messages
+    thread.messages = messages.slice(-this.maxMessages);
+    thread.updatedAt = this.getCurrentTimestamp();
+
+    this.writeData(data);
+  }
+
   /**
    * Add single message to chat history
    * @param {string} content - Message content
    * @param {string} sender - 'user' or 'bot'
    * @param {string} type - Message type (optional)
+   * @param {Object} extra - Field tambahan, mis. {image: {preview}} (optional)
+   * @returns {string} - ID pesan yang disimpan
    */
-  addMessage(content, sender, type = "normal") {
+  addMessage(content, sender, type = "normal", extra = {}) {
     const messages = this.getChatHistory();
 
     const newMessage = {
@@ -94,11 +238,95 @@ class ChatStorage {
       content: content,
       sender: sender,
       type: type,
+      ...extra,
       timestamp: this.getCurrentTimestamp(),
     };
 
     messages.push(newMessage);
     this.saveChatHistory(messages);
+
+    return newMessage.id;
+  }
+
+  /**
+   * Tambahkan data ke pesan yang sudah tersimpan (mis. hasil koreksi tata bahasa)
+   * @param {string} messageId - Message ID dari addMessage()
+   * @param {Object} changes - Field yang ditambahkan/diubah
+   * @returns {boolean} - True jika pesan ditemukan
+   */
+  updateMessage(messageId, changes) {
+    const messages = this.getChatHistory();
+    const message = messages.find((item) => item.id === messageId);
+    if (!message) return false;
+
+    Object.assign(message, changes);
+    this.saveChatHistory(messages);
+    return true;
+  }
+
+  /**
+   * Ambil satu pesan dari thread aktif
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} - Pesan, atau null jika tidak ada
+   */
+  getMessage(messageId) {
+    return this.getChatHistory().find((item) => item.id === messageId) || null;
+  }
+
+  /**
+   * Ambil pesan-pesan satu giliran (pesan user + balasan bot) yang memuat pesan ini
+   * Giliran dikenali dari turnId dari server; pesan tanpa turnId dipasangkan dengan tetangganya
+   * @param {string} messageId - Message ID salah satu pesan giliran
+   * @returns {Array} - Pesan giliran, urut seperti di riwayat
+   */
+  getTurnMessages(messageId) {
+    const messages = this.getChatHistory();
+    const index = messages.findIndex((item) => item.id === messageId);
+    if (index === -1) return [];
+
+    const message = messages[index];
+    if (message.turnId) {
+      return messages.filter((item) => item.turnId === message.turnId);
+    }
+
+    const partner = message.sender === "user" ? messages[index + 1] : messages[index - 1];
+    // Pesan user yang gagal dikirim dipasangkan dengan pesan error setelahnya
+    const partnerType = message.type === "failed" ? "error" : "normal";
+    const isPartner =
+      partner &&
+      !partner.turnId &&
+      partner.sender !== message.sender &&
+      (partner.type || "normal") === partnerType;
+    if (!isPartner) return [message];
+
+    return message.sender === "user" ? [message, partner] : [partner, message];
+  }
+
+  /**
+   * Hapus beberapa pesan dari thread aktif
+   * @param {Array<string>} messageIds - Message ID yang dihapus
+   * @returns {number} - Jumlah pesan yang terhapus
+   */
+  removeMessages(messageIds) {
+    const messages = this.getChatHistory();
+    const remaining = messages.filter((item) => !messageIds.includes(item.id));
+    this.saveChatHistory(remaining);
+    return messages.length - remaining.length;
+  }
+
+  /**
+   * Hapus pesan beserta semua pesan setelahnya (edit / ulangi dari titik itu)
+   * @param {string} messageId - Message ID pertama yang dihapus
+   * @returns {Array<string>} - Message ID yang terhapus
+   */
+  truncateFrom(messageId) {
+    const messages = this.getChatHistory();
+    const index = messages.findIndex((item) => item.id === messageId);
+    if (index === -1) return [];
+
+    const removed = messages.slice(index).map((item) => item.id);
+    this.saveChatHistory(messages.slice(0, index));
+    return removed;
   }
 
   /**
@@ -110,31 +338,143 @@ class ChatStorage {
   }
 
   /**
-   * Clear all chat history
+   * Generate unique thread ID
+   * Dipakai juga sebagai conversationId di backend
+   * @returns {string} - Unique thread ID
+   */
+  generateThreadId() {
+    return `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get semua thread (tanpa isi pesan), terbaru di atas
+   * @returns {Array} - Array of {id, title, createdAt, updatedAt, messageCount}
+   */
+  getThreads() {
+    const data = this.readData();
+    return data.threads
+      .map((thread) => ({
+        id: thread.id,
+        title: thread.title,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+        messageCount: thread.messages.length,
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get ID thread aktif
+   * @returns {string} - Thread ID
+   */
+  getActiveThreadId() {
+    return this.readData().activeThreadId;
+  }
+
+  /**
+   * Buat thread baru dan jadikan aktif
+   * @param {string} title - Judul thread (optional)
+   * @returns {string} - ID thread baru
+   */
+  createThread(title = null) {
+    const data = this.readData();
+    const thread = this.buildThread(title || `Percakapan ${data.threads.length + 1}`);
+
+    data.threads.push(thread);
+    data.activeThreadId = thread.id;
+    this.writeData(data);
+
+    return thread.id;
+  }
+
+  /**
+   * Ganti judul thread
+   * @param {string} threadId - Thread ID
+   * @param {string} title - Judul baru
+   * @returns {boolean} - True jika berhasil
+   */
+  renameThread(threadId, title) {
+    const data = this.readData();
+    const thread = data.threads.find((item) => item.id === threadId);
+    if (!thread || !title) return false;
+
+    thread.title = title;
+    this.writeData(data);
+    return true;
+  }
+
+  /**
+   * Pindah ke thread lain
+   * @param {string} threadId - Thread ID
+   * @returns {boolean} - True jika thread ditemukan
+   */
+  switchThread(threadId) {
+    const data = this.readData();
+    if (!data.threads.some((thread) => thread.id === threadId)) return false;
+
+    data.activeThreadId = threadId;
+    this.writeData(data);
+    return true;
+  }
+
+  /**
+   * Hapus thread; jika thread aktif dihapus, thread lain menjadi aktif
+   * @param {string} threadId - Thread ID
+   * @returns {boolean} - True jika thread ditemukan
+   */
+  deleteThread(threadId) {
+    const data = this.readData();
+    const remaining = data.threads.filter((thread) => thread.id !== threadId);
+    if (remaining.length === data.threads.length) return false;
+
+    data.threads = remaining;
+    // readData() akan membuat thread baru jika semuanya terhapus
+    this.writeData(data);
+    return true;
+  }
+
+  /**
+   * Clear all chat history (thread aktif)
    */
   clearChatHistory() {
-    try {
-      localStorage.removeItem(this.storageKey);
-    } catch (error) {
-      // Silent fail
-    }
+    this.saveChatHistory([]);
   }
 
   /**
    * Clear old messages to free up space
    */
   clearOldMessages() {
-    const messages = this.getChatHistory();
-    const recentMessages = messages.slice(-15); // Keep only 15 recent messages
-    this.saveChatHistory(recentMessages);
+    try {
+      const data = this.readData();
+      data.threads.forEach((thread) => {
+        thread.messages = thread.messages.slice(-15); // Keep only 15 recent messages
+      });
+      this.pruneImagePreviews(data.threads, 0);
+
+      // Thread paling lama dibuang lebih dulu
+      data.threads.sort((a, b) => a.updatedAt - b.updatedAt);
+      data.threads = data.threads.slice(-5);
+
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.version,
+          activeThreadId: data.activeThreadId,
+          threads: data.threads,
+          timestamp: this.getCurrentTimestamp(),
+        })
+      );
+    } catch (error) {
+      // Silent fail
+    }
   }
 
   /**
    * Cleanup expired data
    */
   cleanup() {
-    const messages = this.getChatHistory();
-    // getChatHistory already handles cleanup, so this will trigger it
+    // readData() membuang thread expired dan memigrasi data lama
+    this.readData();
   }
 
   /**
@@ -148,6 +488,7 @@ class ChatStorage {
 
     return {
       messageCount: messages.length,
+      threadCount: this.readData().threads.length,
       sizeKB: sizeKB,
       maxMessages: this.maxMessages,
       ttlHours: this.ttlHours,
@@ -171,13 +512,15 @@ class ChatStorage {
   }
 
   /**
-   * Export chat history as JSON
+   * Export chat history as JSON (thread aktif)
    * @returns {string} - JSON string of chat history
    */
   exportChatHistory() {
-    const messages = this.getChatHistory();
+    const data = this.readData();
+    const thread = this.findActiveThread(data);
     const exportData = {
-      messages: messages,
+      title: thread.title,
+      messages: thread.messages,
       exportDate: new Date().toISOString(),
       version: "1.0",
     };
@@ -185,21 +528,104 @@ class ChatStorage {
   }
 
   /**
-   * Import chat history from JSON
-   * @param {string} jsonData - JSON string to import
-   * @returns {boolean} - True if successful
+   * Import chat history from JSON (digabung ke thread aktif)
+   * File ditolak seluruhnya jika terlalu besar atau ada pesan yang tidak valid;
+   * pesan dengan ID yang sudah ada dilewati. Thread hanya menyimpan maxMessages
+   * pesan terbaru, jadi pesan terlama setelah digabung dibuang dan dilaporkan
+   * @param {string} jsonData - JSON string hasil exportChatHistory()
+   * @returns {Object} - {success, imported?, skipped?, dropped?, error?}
+   *   dropped: jumlah pesan terlama (impor maupun yang sudah ada) yang dibuang karena batas
    */
   importChatHistory(jsonData) {
+    // Ukuran dalam byte UTF-8, bukan jumlah karakter
+    if (typeof jsonData !== "string" || new Blob([jsonData]).size > this.maxImportBytes) {
+      return {
+        success: false,
+        error: `File terlalu besar. Maksimal ${Math.round(this.maxImportBytes / 1024)} KB.`,
+      };
+    }
+
+    let data;
     try {
-      const data = JSON.parse(jsonData);
-      if (data.messages && Array.isArray(data.messages)) {
-        this.saveChatHistory(data.messages);
-        return true;
-      }
-      return false;
+      data = JSON.parse(jsonData);
     } catch (error) {
-      return false;
+      return { success: false, error: "File bukan JSON yang valid." };
+    }
+
+    if (!data || !Array.isArray(data.messages)) {
+      return { success: false, error: "Format file tidak dikenali." };
+    }
+
+    const imported = [];
+    for (let i = 0; i < data.messages.length; i++) {
+      const message = this.normalizeImportedMessage(data.messages[i]);
+      if (!message) {
+        return { success: false, error: `Pesan ke-${i + 1} tidak valid.` };
+      }
+      imported.push(message);
+    }
+
+    const existing = this.getChatHistory();
+    const seenIds = new Set(existing.map((message) => message.id));
+    const added = imported.filter((message) => {
+      if (seenIds.has(message.id)) return false;
+      seenIds.add(message.id);
+      return true;
+    });
+
+    let kept = added;
+    let dropped = 0;
+    if (added.length > 0) {
+      const merged = [...existing, ...added].sort((a, b) => a.timestamp - b.timestamp);
+      const remaining = merged.slice(-this.maxMessages);
+      const remainingIds = new Set(remaining.map((message) => message.id));
+      kept = added.filter((message) => remainingIds.has(message.id));
+      dropped = merged.length - remaining.length;
+      this.saveChatHistory(remaining);
+    }
+
+    return {
+      success: true,
+      imported: kept.length,
+      skipped: imported.length - added.length,
+      dropped: dropped,
+    };
+  }
+
+  /**
+   * Validasi satu pesan dari file impor dan ambil field yang dikenal saja
+   * ID giliran tidak ikut karena server tidak punya riwayat giliran tersebut
+   * @param {any} message - Pesan dari file
+   * @returns {Object|null} - Pesan siap simpan, atau null jika tidak valid
+   */
+  normalizeImportedMessage(message) {
+    if (!message || typeof message !== "object") return null;
+
+    const { id, content, sender, type = "normal", timestamp, model, image } = message;
+    const isValid =
+      typeof id === "string" &&
+      /^msg_[\w-]{1,64}$/.test(id) &&
+      ["user", "bot"].includes(sender) &&
+      ["normal", "model-notification", "error", "failed"].includes(type) &&
+      typeof content === "string" &&
+      content.length > 0 &&
+      content.length <= this.maxImportContentLength &&
+      Number.isFinite(timestamp) &&
+      timestamp > 0;
+    if (!isValid) return null;
+
+    const normalized = { id, content, sender, type, timestamp };
+    if (typeof model === "string" && /^[\w.:-]{1,64}$/.test(model)) {
+      normalized.model = model;
+    }
+    if (image) {
+      // Preview hanya dipakai jika berupa gambar base64; selain itu tampil sebagai placeholder
+      const isDataImage =
+        typeof image.preview === "string" &&
+        /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/=]+$/.test(image.preview);
+      normalized.image = { preview: isDataImage ? image.preview : null };
     }
+    return normalized;
   }
 }
 
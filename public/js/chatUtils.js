@@ -9,10 +9,15 @@ class ChatUtils {
     this.submitButton = document.querySelector(sendButtonSelector);
     this.endConversationButton = document.querySelector("#clear-chat-btn");
     this.isProcessing = false;
+    this.botMessageDecorators = []; // Fungsi tambahan untuk bubble bot (mis. tombol kosakata)
+    this.messageActionHandler = null; // Callback (action, messageElement) untuk edit/ulangi/hapus
 
     // Initialize chat storage
     this.storage = new ChatStorage();
 
+    // Renderer Markdown untuk balasan bot
+    this.markdownRenderer = new MarkdownRenderer();
+
     // Load existing chat history on initialization
     this.loadChatHistory();
   }
@@ -21,9 +26,11 @@ class ChatUtils {
    * Tambah pesan ke chat box
    * @param {string} text - Teks pesan
    * @param {string} sender - 'user' atau 'bot'
+   * @param {string} type - Message type (optional)
+   * @param {Object} image - Gambar lampiran {preview} (optional)
    * @returns {HTMLElement} - Element pesan yang dibuat
    */
-  addMessage(text, sender, type = null) {
+  addMessage(text, sender, type = null, image = null) {
     const messageElement = document.createElement("div");
     messageElement.classList.add("message", sender);
 
@@ -31,59 +38,150 @@ class ChatUtils {
       messageElement.classList.add(type);
     }
 
-    const p = document.createElement("p");
+    if (image) {
+      messageElement.appendChild(this.buildImageElement(image));
+    }
+
+    const content = this.createMessageText();
 
     if (sender === "bot") {
-      // Format bot messages dengan markdown-like formatting
-      p.innerHTML = this.formatBotMessage(text);
+      // Markdown dirender lalu disanitasi sebelum masuk ke DOM
+      content.innerHTML = this.formatBotMessage(text);
     } else {
-      p.textContent = text;
+      content.textContent = text;
     }
 
-    messageElement.appendChild(p);
+    messageElement.appendChild(content);
     this.chatBox.appendChild(messageElement);
     this.scrollToBottom();
 
+    if (sender === "bot" && !type) {
+      this.decorateBotMessage(messageElement, text);
+    }
+
     // Save to localStorage (skip loading messages and notifications)
     if (type !== "loading" && type !== "model-notification") {
-      this.storage.addMessage(text, sender, type || "normal");
+      messageElement.dataset.messageId = this.storage.addMessage(
+        text,
+        sender,
+        type || "normal",
+        image ? { image: { preview: image.preview } } : {}
+      );
+    }
+
+    if (!type) {
+      this.addMessageActions(messageElement, sender);
     }
 
     return messageElement;
   }
 
   /**
-   * Format pesan bot dengan markdown-like formatting
-   * @param {string} text - Teks yang akan diformat
-   * @returns {string} - HTML yang sudah diformat
+   * Buat thumbnail gambar lampiran untuk bubble pesan
+   * Preview lama bisa sudah dibuang storage; tampilkan penanda saja
+   * @param {Object} image - {preview} berupa data URL
+   * @returns {HTMLElement} - Element <img> atau penanda
    */
-  formatBotMessage(text) {
-    // Step 1: Handle bold text first (double asterisk)
-    let formatted = text.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-
-    // Step 2: Handle italic text (single asterisk) - avoid conflicts with bold
-    // Use placeholder to avoid conflicts
-    formatted = formatted.replace(
-      /<strong>(.*?)<\/strong>/g,
-      "BOLD_PLACEHOLDER_$1_BOLD_PLACEHOLDER"
-    );
-    formatted = formatted.replace(/\*([^*\n]+?)\*/g, "<em>$1</em>");
-    formatted = formatted.replace(
-      /BOLD_PLACEHOLDER_(.*?)_BOLD_PLACEHOLDER/g,
-      "<strong>$1</strong>"
-    );
+  buildImageElement(image) {
+    if (!image.preview) {
+      const placeholder = document.createElement("div");
+      placeholder.className = "message-image-placeholder";
+      placeholder.textContent = "🖼️ Gambar";
+      return placeholder;
+    }
 
-    // Step 3: Handle other formatting
-    return (
-      formatted
-        // Hapus numbering (1. 2. 3. dll) di awal baris
-        .replace(/^\d+\.\s+/gm, "")
-        // Bullet points dengan * di awal baris
-        .replace(/^• /gm, "• ") // Preserve existing bullets
-        .replace(/^\* /gm, "• ") // Convert * bullets to •
-        // Line breaks
-        .replace(/\n/g, "<br>")
-    );
+    const img = document.createElement("img");
+    img.className = "message-image";
+    img.src = image.preview;
+    img.alt = "Gambar lampiran";
+    return img;
+  }
+
+  /**
+   * Buat bubble bot kosong untuk respons streaming
+   * Bubble disisipkan sebelum loading indicator agar tombol batal tetap terlihat
+   * @param {HTMLElement} beforeElement - Element acuan (optional)
+   * @returns {HTMLElement} - Element pesan streaming
+   */
+  addStreamingMessage(beforeElement = null) {
+    const messageElement = document.createElement("div");
+    messageElement.classList.add("message", "bot", "streaming");
+
+    messageElement.appendChild(this.createMessageText());
+
+    if (beforeElement && beforeElement.parentNode === this.chatBox) {
+      this.chatBox.insertBefore(messageElement, beforeElement);
+    } else {
+      this.chatBox.appendChild(messageElement);
+    }
+
+    this.scrollToBottom();
+    return messageElement;
+  }
+
+  /**
+   * Perbarui isi bubble streaming dengan teks terbaru
+   * @param {HTMLElement} messageElement - Element dari addStreamingMessage
+   * @param {string} text - Teks lengkap sejauh ini
+   */
+  updateStreamingMessage(messageElement, text) {
+    const content = messageElement.querySelector(".message-text");
+    content.innerHTML = this.formatBotMessage(text);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Selesaikan bubble streaming dan simpan ke localStorage
+   * @param {HTMLElement} messageElement - Element dari addStreamingMessage
+   * @param {string} text - Teks final dari server
+   */
+  finalizeStreamingMessage(messageElement, text) {
+    this.updateStreamingMessage(messageElement, text);
+    messageElement.classList.remove("streaming");
+    this.decorateBotMessage(messageElement, text);
+    messageElement.dataset.messageId = this.storage.addMessage(text, "bot", "normal");
+    this.addMessageActions(messageElement, "bot");
+  }
+
+  /**
+   * Daftarkan fungsi yang dipanggil untuk setiap balasan bot
+   * Riwayat yang sudah tampil dirender ulang agar ikut didekorasi
+   * @param {Function} decorator - fn(messageElement, text)
+   */
+  addBotMessageDecorator(decorator) {
+    this.botMessageDecorators.push(decorator);
+    this.reloadChatHistory();
+  }
+
+  /**
+   * Jalankan semua decorator untuk satu balasan bot
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {string} text - Teks asli balasan
+   */
+  decorateBotMessage(messageElement, text) {
+    this.botMessageDecorators.forEach((decorator) => {
+      decorator(messageElement, text);
+    });
+  }
+
+  /**
+   * Buat bubble teks pesan
+   * @returns {HTMLElement} - Element .message-text kosong
+   */
+  createMessageText() {
+    const content = document.createElement("div");
+    content.className = "message-text";
+    return content;
+  }
+
+  /**
+   * Render pesan bot dari Markdown menjadi HTML yang sudah disanitasi
+   * HTML dari model di-escape oleh renderer, lalu hasilnya disaring allow-list
+   * @param {string} text - Teks Markdown dari bot
+   * @returns {string} - HTML aman untuk innerHTML
+   */
+  formatBotMessage(text) {
+    return SecurityUtils.sanitizeMarkup(this.markdownRenderer.render(text));
   }
 
   /**
@@ -132,6 +230,14 @@ class ChatUtils {
     this.scrollToBottom();
   }
 
+  /**
+   * Tampilkan ulang chat box dari thread aktif (dipakai saat pindah thread)
+   */
+  reloadChatHistory() {
+    this.clearChat();
+    this.loadChatHistory();
+  }
+
   /**
    * Display message dari storage tanpa menyimpan lagi
    * @param {Object} message - Message object dari storage
@@ -139,21 +245,430 @@ class ChatUtils {
   displayStoredMessage(message) {
     const messageElement = document.createElement("div");
     messageElement.classList.add("message", message.sender);
+    if (message.id) {
+      messageElement.dataset.messageId = message.id;
+    }
 
     if (message.type && message.type !== "normal") {
       messageElement.classList.add(message.type);
     }
 
-    const p = document.createElement("p");
+    if (message.image) {
+      messageElement.appendChild(this.buildImageElement(message.image));
+    }
+
+    const content = this.createMessageText();
 
     if (message.sender === "bot") {
-      p.innerHTML = this.formatBotMessage(message.content);
+      content.innerHTML = this.formatBotMessage(message.content);
     } else {
-      p.textContent = message.content;
+      content.textContent = message.content;
+    }
+
+    messageElement.appendChild(content);
+
+    if (message.correction) {
+      messageElement.appendChild(this.buildCorrectionElement(message.correction));
+    }
+
+    if (message.citations && message.citations.length > 0) {
+      messageElement.appendChild(this.buildCitationsElement(message.citations));
     }
 
-    messageElement.appendChild(p);
     this.chatBox.appendChild(messageElement);
+
+    if (message.sender === "bot" && (!message.type || message.type === "normal")) {
+      this.decorateBotMessage(messageElement, message.content);
+    }
+
+    if (message.id && (!message.type || message.type === "normal" || message.type === "failed")) {
+      this.addMessageActions(messageElement, message.sender, message.type);
+    }
+  }
+
+  /**
+   * Tampilkan pesan tanpa menyimpannya ke riwayat (mis. kartu sesi ulasan)
+   * @param {string} text - Teks pesan
+   * @param {string} sender - 'user' atau 'bot'
+   * @param {string} type - Class tambahan untuk styling
+   * @returns {HTMLElement} - Element pesan yang dibuat
+   */
+  addTransientMessage(text, sender, type = "review") {
+    this.displayStoredMessage({ content: text, sender, type });
+    this.scrollToBottom();
+    return this.chatBox.lastElementChild;
+  }
+
+  /**
+   * Daftarkan callback untuk aksi pesan selain salin (nilai, edit, ulangi, hapus)
+   * @param {Function} handler - (action, messageElement) => void
+   */
+  setMessageActionHandler(handler) {
+    this.messageActionHandler = handler;
+  }
+
+  /**
+   * Tambahkan tombol aksi di bawah bubble pesan yang tersimpan
+   * @param {HTMLElement} messageElement - Element pesan (punya data-message-id)
+   * @param {string} sender - 'user' atau 'bot'
+   * @param {string} type - Message type; pesan user "failed" mendapat tombol kirim ulang (optional)
+   */
+  addMessageActions(messageElement, sender, type = "normal") {
+    if (!messageElement.dataset.messageId) return;
+
+    const actions =
+      type === "failed"
+        ? [
+            ["retry", "🔄", "Kirim ulang"],
+            ["edit", "✏️", "Edit lalu kirim ulang"],
+            ["delete", "🗑️", "Hapus pesan ini"],
+          ]
+        : sender === "bot"
+        ? [
+            ["copy", "📋", "Salin jawaban"],
+            ["feedback-up", "👍", "Jawaban bagus"],
+            ["feedback-down", "👎", "Jawaban kurang baik"],
+            ["regenerate", "🔄", "Ulangi jawaban"],
+            ["regenerate-other", "🔀", "Ulangi dengan model lain"],
+            ["delete", "🗑️", "Hapus giliran ini"],
+          ]
+        : [
+            ["edit", "✏️", "Edit lalu kirim ulang"],
+            ["delete", "🗑️", "Hapus giliran ini"],
+          ];
+
+    const bar = document.createElement("div");
+    bar.className = "message-actions";
+
+    actions.forEach(([action, icon, label]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = icon;
+      button.dataset.action = action;
+      button.title = label;
+      button.setAttribute("aria-label", label);
+      button.onclick = () => {
+        if (action === "copy") {
+          this.copyMessage(messageElement, button);
+        } else if (this.messageActionHandler) {
+          this.messageActionHandler(action, messageElement);
+        }
+      };
+      bar.appendChild(button);
+    });
+
+    messageElement.appendChild(bar);
+
+    const stored = this.storage.getMessage(messageElement.dataset.messageId);
+    if (stored && stored.feedback) {
+      this.setFeedbackState(messageElement, stored.feedback);
+    }
+  }
+
+  /**
+   * Tandai tombol 👍/👎 yang dipilih
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {string} rating - 'up' atau 'down'
+   */
+  setFeedbackState(messageElement, rating) {
+    messageElement.querySelectorAll('.message-actions [data-action^="feedback-"]').forEach((button) => {
+      button.classList.toggle("active", button.dataset.action === `feedback-${rating}`);
+    });
+  }
+
+  /**
+   * Tampilkan form komentar opsional setelah menilai jawaban
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {Function} onSubmit - Dipanggil dengan komentar; mengembalikan Promise<boolean>
+   */
+  showFeedbackComment(messageElement, onSubmit) {
+    const existing = messageElement.querySelector(".feedback-comment");
+    if (existing) existing.remove();
+
+    const form = document.createElement("form");
+    form.className = "feedback-comment";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = 500;
+    input.placeholder = "Tambahkan komentar (opsional)";
+
+    const sendButton = document.createElement("button");
+    sendButton.type = "submit";
+    sendButton.textContent = "Kirim";
+
+    const skipButton = document.createElement("button");
+    skipButton.type = "button";
+    skipButton.className = "secondary";
+    skipButton.textContent = "Lewati";
+    skipButton.onclick = () => form.remove();
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const comment = input.value.trim();
+      if (!comment) {
+        form.remove();
+        return;
+      }
+
+      sendButton.disabled = true;
+      const saved = await onSubmit(comment);
+      if (!saved) {
+        sendButton.disabled = false;
+        sendButton.textContent = "Coba lagi";
+        return;
+      }
+
+      form.replaceChildren("Terima kasih atas masukannya!");
+      setTimeout(() => form.remove(), 2000);
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") form.remove();
+    });
+
+    form.appendChild(input);
+    form.appendChild(sendButton);
+    form.appendChild(skipButton);
+    messageElement.appendChild(form);
+    input.focus();
+  }
+
+  /**
+   * Salin teks asli (Markdown) pesan ke clipboard
+   * @param {HTMLElement} messageElement - Element pesan
+   * @param {HTMLElement} button - Tombol salin untuk umpan balik
+   */
+  async copyMessage(messageElement, button) {
+    const message = this.storage.getMessage(messageElement.dataset.messageId);
+    const text = message ? message.content : messageElement.querySelector(".message-text").textContent;
+
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = "✅";
+    } catch (error) {
+      button.textContent = "⚠️";
+    }
+    setTimeout(() => {
+      button.textContent = "📋";
+    }, 1500);
+  }
+
+  /**
+   * Cari element pesan berdasarkan ID di storage
+   * @param {string} messageId - Message ID
+   * @returns {HTMLElement|null} - Element pesan
+   */
+  findMessageElement(messageId) {
+    return this.chatBox.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+  }
+
+  /**
+   * Hapus bubble pesan dari tampilan
+   * @param {Array<string>} messageIds - Message ID yang dihapus
+   */
+  removeMessageElements(messageIds) {
+    messageIds.forEach((messageId) => {
+      const element = this.findMessageElement(messageId);
+      if (element) {
+        element.remove();
+      }
+    });
+  }
+
+  /**
+   * Hapus bubble pesan beserta semua bubble setelahnya (termasuk notifikasi)
+   * @param {HTMLElement} messageElement - Bubble pertama yang dihapus
+   */
+  removeMessagesFrom(messageElement) {
+    while (messageElement.nextElementSibling) {
+      messageElement.nextElementSibling.remove();
+    }
+    messageElement.remove();
+  }
+
+  /**
+   * Ubah bubble user menjadi form edit
+   * @param {HTMLElement} messageElement - Element pesan user
+   * @param {string} text - Teks awal
+   * @param {Function} onSubmit - Dipanggil dengan teks baru saat disimpan
+   */
+  startEditing(messageElement, text, onSubmit) {
+    if (messageElement.classList.contains("editing")) return;
+    messageElement.classList.add("editing");
+
+    const form = document.createElement("form");
+    form.className = "message-edit";
+
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.rows = Math.min(6, Math.max(2, text.split("\n").length));
+
+    const saveButton = document.createElement("button");
+    saveButton.type = "submit";
+    saveButton.textContent = "Kirim ulang";
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "secondary";
+    cancelButton.textContent = "Batal";
+
+    const close = () => {
+      form.remove();
+      messageElement.classList.remove("editing");
+    };
+
+    cancelButton.onclick = close;
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const newText = textarea.value.trim();
+      if (!newText) return;
+      close();
+      onSubmit(newText);
+    });
+    textarea.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        close();
+      } else if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        form.requestSubmit();
+      }
+    });
+
+    form.appendChild(textarea);
+    form.appendChild(saveButton);
+    form.appendChild(cancelButton);
+    messageElement.appendChild(form);
+    textarea.focus();
+  }
+
+  /**
+   * Tempel daftar sumber knowledge base di bawah bubble bot dan simpan bersama pesannya
+   * @param {HTMLElement} messageElement - Element pesan bot dari addMessage/finalizeStreamingMessage
+   * @param {Array} citations - Array of {number, source, title, excerpt} dari server
+   */
+  attachCitations(messageElement, citations) {
+    if (!messageElement || !citations || citations.length === 0) return;
+
+    // Tombol aksi tetap paling bawah
+    messageElement.insertBefore(
+      this.buildCitationsElement(citations),
+      messageElement.querySelector(".message-actions")
+    );
+
+    if (messageElement.dataset.messageId) {
+      this.storage.updateMessage(messageElement.dataset.messageId, { citations });
+    }
+  }
+
+  /**
+   * Buat daftar sumber yang bisa dibuka-tutup
+   * @param {Array} citations - Array of {number, source, title, excerpt}
+   * @returns {HTMLElement} - Element <details>
+   */
+  buildCitationsElement(citations) {
+    const details = document.createElement("details");
+    details.className = "citations";
+
+    const summary = document.createElement("summary");
+    summary.textContent = `📚 ${citations.length} sumber`;
+    details.appendChild(summary);
+
+    const list = document.createElement("ol");
+    citations.forEach((citation) => {
+      const item = document.createElement("li");
+      item.value = citation.number;
+
+      const title = document.createElement("span");
+      title.className = "citation-title";
+      title.textContent = citation.title;
+      item.appendChild(title);
+
+      const source = document.createElement("span");
+      source.className = "citation-source";
+      source.textContent = citation.source;
+      item.appendChild(source);
+
+      const excerpt = document.createElement("div");
+      excerpt.className = "citation-excerpt";
+      excerpt.textContent = citation.excerpt;
+      item.appendChild(excerpt);
+
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+
+    return details;
+  }
+
+  /**
+   * Tempel hasil koreksi tata bahasa di bawah bubble user dan simpan bersama pesannya
+   * @param {HTMLElement} messageElement - Element pesan user dari addMessage
+   * @param {Object} correction - {original, corrected, errors, isCorrect} dari server
+   */
+  attachCorrection(messageElement, correction) {
+    if (!messageElement || !correction) return;
+
+    messageElement.insertBefore(
+      this.buildCorrectionElement(correction),
+      messageElement.querySelector(".message-actions")
+    );
+
+    if (messageElement.dataset.messageId) {
+      this.storage.updateMessage(messageElement.dataset.messageId, { correction });
+    }
+  }
+
+  /**
+   * Buat anotasi koreksi yang bisa dibuka-tutup
+   * @param {Object} correction - {original, corrected, errors, isCorrect}
+   * @returns {HTMLElement} - Element <details>
+   */
+  buildCorrectionElement(correction) {
+    const details = document.createElement("details");
+    details.className = "correction";
+    if (correction.isCorrect) {
+      details.classList.add("correct");
+    }
+
+    const summary = document.createElement("summary");
+    summary.textContent = correction.isCorrect
+      ? "✅ Tata bahasa sudah benar"
+      : `✏️ ${correction.errors.length} koreksi tata bahasa`;
+    details.appendChild(summary);
+
+    if (!correction.isCorrect) {
+      const corrected = document.createElement("div");
+      corrected.className = "correction-sentence";
+      corrected.textContent = correction.corrected;
+      details.appendChild(corrected);
+
+      const list = document.createElement("ul");
+      correction.errors.forEach((error) => {
+        const item = document.createElement("li");
+
+        const type = document.createElement("span");
+        type.className = "correction-type";
+        type.textContent = error.type;
+
+        const change = document.createElement("span");
+        change.className = "correction-change";
+        change.textContent = error.original
+          ? `${error.original} → ${error.correction}`
+          : error.correction;
+
+        const explanation = document.createElement("span");
+        explanation.className = "correction-explanation";
+        explanation.textContent = error.explanation;
+
+        item.appendChild(type);
+        item.appendChild(change);
+        item.appendChild(explanation);
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+    }
+
+    return details;
   }
 
   /**
@@ -168,6 +683,44 @@ class ChatUtils {
     });
   }
 
+  /**
+   * Tampilkan sapaan mode beserta pertanyaan pembuka (tidak disimpan)
+   * @param {string} greeting - Sapaan mode
+   * @param {Array} starters - Daftar pertanyaan pembuka
+   * @param {Function} onSelect - Callback saat pertanyaan pembuka diklik
+   */
+  addModeGreeting(greeting, starters = [], onSelect = null) {
+    if (greeting) {
+      this.displayStoredMessage({
+        content: greeting,
+        sender: "bot",
+        type: "normal",
+      });
+    }
+
+    if (starters.length > 0 && onSelect) {
+      const container = document.createElement("div");
+      container.className = "starter-questions";
+
+      starters.forEach((question) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "starter-question";
+        button.textContent = question;
+        button.onclick = () => {
+          if (this.isProcessing) return;
+          container.remove();
+          onSelect(question);
+        };
+        container.appendChild(button);
+      });
+
+      this.chatBox.appendChild(container);
+    }
+
+    this.scrollToBottom();
+  }
+
   /**
    * Clear chat history
    */
@@ -260,14 +813,14 @@ class ChatUtils {
     const messageElement = document.createElement("div");
     messageElement.classList.add("message", "bot", "loading");
 
-    const p = document.createElement("p");
+    const content = this.createMessageText();
 
     // Create message content with typing dots
     const messageContent = document.createElement("span");
     messageContent.className = "typing-indicator";
     messageContent.innerHTML = `${message}<span class="typing-dots"><span></span><span></span><span></span></span>`;
 
-    p.appendChild(messageContent);
+    content.appendChild(messageContent);
 
     // Add cancel button if callback provided
     if (onCancel && typeof onCancel === "function") {
@@ -281,10 +834,10 @@ class ChatUtils {
         e.stopPropagation();
         onCancel();
       };
-      p.appendChild(cancelButton);
+      content.appendChild(cancelButton);
     }
 
-    messageElement.appendChild(p);
+    messageElement.appendChild(content);
     this.chatBox.appendChild(messageElement);
     this.scrollToBottom();
 
@@ -313,10 +866,26 @@ class ChatUtils {
 
   /**
    * Tambah pesan error
+   * Disimpan dengan type "error": tanpa tombol aksi dan tidak ikut transkrip ekspor
    * @param {string} errorMessage - Pesan error
+   * @returns {HTMLElement} - Element pesan yang dibuat
    */
   addErrorMessage(errorMessage) {
-    this.addMessage(errorMessage, "bot");
+    return this.addMessage(errorMessage, "bot", "error");
+  }
+
+  /**
+   * Tandai pesan user yang gagal dikirim (giliran tidak tersimpan di server)
+   * Tombol diganti dengan kirim ulang, edit, dan hapus yang hanya bekerja di browser
+   * @param {HTMLElement} messageElement - Element pesan user
+   */
+  markMessageFailed(messageElement) {
+    if (!messageElement || !messageElement.dataset.messageId) return;
+
+    this.storage.updateMessage(messageElement.dataset.messageId, { type: "failed" });
+    messageElement.classList.add("failed");
+    messageElement.querySelector(".message-actions")?.remove();
+    this.addMessageActions(messageElement, "user", "failed");
   }
 }
 
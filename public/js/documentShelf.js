@@ -0,0 +1,168 @@
+/**
+ * Document shelf - dokumen bacaan yang diunggah ke thread aktif
+ * Dokumen disimpan di server dan otomatis dipakai sebagai konteks setiap pesan
+ */
+
+class DocumentShelf {
+  /**
+   * @param {string} barSelector - Selector element daftar dokumen
+   * @param {ApiClient} apiClient - Client untuk /api/documents
+   * @param {Object} callbacks - {onNotify(text)} untuk menampilkan status di chat
+   */
+  constructor(barSelector, apiClient, callbacks = {}) {
+    this.bar = document.querySelector(barSelector);
+    this.apiClient = apiClient;
+    this.onNotify = callbacks.onNotify || (() => {});
+
+    this.maxBytes = 10 * 1024 * 1024; // Sama dengan config.uploads.document.maxBytes
+    // Browser sering mengirim tipe kosong untuk .md, jadi tipe ditentukan dari ekstensi
+    this.typesByExtension = {
+      pdf: "application/pdf",
+      txt: "text/plain",
+      md: "text/markdown",
+      csv: "text/csv",
+    };
+    this.documents = [];
+    this.isUploading = false;
+
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = Object.keys(this.typesByExtension)
+      .map((extension) => `.${extension}`)
+      .join(",");
+    this.fileInput.hidden = true;
+    this.fileInput.addEventListener("change", () => {
+      const file = this.fileInput.files[0];
+      this.fileInput.value = "";
+      if (file) {
+        this.upload(file);
+      }
+    });
+    document.body.appendChild(this.fileInput);
+  }
+
+  /**
+   * Buka pemilih file
+   */
+  openPicker() {
+    if (this.isUploading) return;
+    this.fileInput.click();
+  }
+
+  /**
+   * Muat daftar dokumen thread aktif dari server
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const documents = await this.apiClient.getDocuments();
+    this.documents = documents || [];
+    this.render();
+  }
+
+  /**
+   * Kosongkan daftar (dokumen di server sudah terhapus bersama percakapan)
+   */
+  clear() {
+    this.documents = [];
+    this.render();
+  }
+
+  /**
+   * Render daftar dokumen; bar disembunyikan jika kosong
+   */
+  render() {
+    if (!this.bar) return;
+
+    this.bar.innerHTML = "";
+    this.bar.hidden = this.documents.length === 0;
+
+    this.documents.forEach((item) => {
+      const chip = document.createElement("span");
+      chip.className = "document-chip";
+      chip.title = `${item.name} (${this.formatSize(item.size)})`;
+
+      const name = document.createElement("span");
+      name.className = "document-name";
+      name.textContent = `📄 ${item.name}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "document-remove";
+      removeButton.textContent = "✕";
+      removeButton.setAttribute("aria-label", `Hapus dokumen ${item.name}`);
+      removeButton.onclick = () => this.remove(item);
+
+      chip.appendChild(name);
+      chip.appendChild(removeButton);
+      this.bar.appendChild(chip);
+    });
+  }
+
+  /**
+   * Format ukuran file
+   * @param {number} bytes - Ukuran dalam byte
+   * @returns {string} - mis. "120 KB"
+   */
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Validasi lalu unggah dokumen ke thread aktif
+   * @param {File} file - File yang dipilih
+   */
+  async upload(file) {
+    const extension = file.name.split(".").pop().toLowerCase();
+    const type = this.typesByExtension[extension];
+
+    if (!type) {
+      alert("Format dokumen tidak didukung. Gunakan PDF, TXT, MD, atau CSV.");
+      return;
+    }
+
+    if (file.size > this.maxBytes) {
+      alert("Ukuran dokumen terlalu besar (maksimal 10 MB).");
+      return;
+    }
+
+    this.isUploading = true;
+    this.onNotify(`⏳ Mengunggah ${file.name}...`);
+
+    const result = await this.apiClient.uploadDocument(new File([file], file.name, { type }));
+    this.isUploading = false;
+
+    if (!result.success) {
+      this.onNotify(`⚠️ ${result.error}`);
+      return;
+    }
+
+    this.documents.push(result.document);
+    this.render();
+    this.onNotify(`📄 ${result.document.name} siap. Tanyakan apa saja tentang isinya!`);
+  }
+
+  /**
+   * Hapus dokumen dari thread aktif
+   * @param {Object} item - Dokumen dari daftar
+   */
+  async remove(item) {
+    if (!confirm(`Hapus dokumen "${item.name}" dari percakapan ini?`)) return;
+
+    const deleted = await this.apiClient.deleteDocument(item.id);
+    if (!deleted) {
+      // Dokumen mungkin sudah kadaluarsa di server; samakan daftar dengan server
+      this.onNotify("⚠️ Gagal menghapus dokumen.");
+      await this.load();
+      return;
+    }
+
+    this.documents = this.documents.filter((documentItem) => documentItem.id !== item.id);
+    this.render();
+  }
+}
+
+// Export untuk digunakan di file lain
+window.DocumentShelf = DocumentShelf;
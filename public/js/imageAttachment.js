@@ -0,0 +1,226 @@
+/**
+ * Lampiran gambar untuk form chat
+ * Gambar dipilih lewat tombol atau ditempel (paste) ke input, lalu diperkecil
+ * di browser sebelum dikirim agar request dan riwayat tetap ringan
+ */
+
+class ImageAttachment {
+  /**
+   * @param {string} formSelector - Selector form chat
+   * @param {string} inputSelector - Selector input pesan (tujuan paste)
+   * @param {Object} options - {isSupported()} untuk mengecek model yang dipilih
+   */
+  constructor(formSelector, inputSelector, options = {}) {
+    this.form = document.querySelector(formSelector);
+    this.input = document.querySelector(inputSelector);
+    this.isSupported = options.isSupported || (() => true);
+
+    this.maxFileBytes = 15 * 1024 * 1024; // File asli sebelum diperkecil
+    this.maxDimension = 1280; // Sisi terpanjang gambar yang dikirim
+    this.quality = 0.85;
+    this.previewDimension = 160; // Thumbnail yang disimpan di riwayat
+    this.previewQuality = 0.6;
+
+    this.current = null; // {mimeType, data, preview}
+
+    if (!this.form || !this.input) return;
+
+    this.createElements();
+    this.bindEvents();
+    this.refreshAvailability();
+  }
+
+  /**
+   * Buat tombol lampiran, input file tersembunyi dan area preview
+   */
+  createElements() {
+    this.button = document.createElement("button");
+    this.button.type = "button";
+    this.button.className = "attach-btn";
+    this.button.textContent = "📎";
+    this.button.setAttribute("aria-label", "Lampirkan gambar");
+
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = "image/*";
+    this.fileInput.hidden = true;
+
+    this.preview = document.createElement("div");
+    this.preview.className = "attachment-preview";
+    this.preview.hidden = true;
+
+    this.input.insertAdjacentElement("afterend", this.button);
+    this.form.appendChild(this.fileInput);
+    this.form.insertBefore(this.preview, this.form.firstChild);
+  }
+
+  /**
+   * Pasang event tombol, pilihan file dan paste
+   */
+  bindEvents() {
+    this.button.addEventListener("click", () => this.fileInput.click());
+
+    this.fileInput.addEventListener("change", () => {
+      const file = this.fileInput.files[0];
+      this.fileInput.value = "";
+      if (file) {
+        this.attachFile(file);
+      }
+    });
+
+    this.input.addEventListener("paste", (e) => {
+      const items = Array.from(e.clipboardData?.items || []);
+      const imageItem = items.find((item) => item.type.startsWith("image/"));
+      if (!imageItem) return;
+
+      e.preventDefault();
+      this.attachFile(imageItem.getAsFile());
+    });
+  }
+
+  /**
+   * Aktifkan/nonaktifkan tombol sesuai kemampuan model yang dipilih
+   * Lampiran yang sudah ada dibuang jika model baru tidak mendukung gambar
+   */
+  refreshAvailability() {
+    if (!this.button) return;
+
+    const supported = this.isSupported();
+    this.button.disabled = !supported;
+    this.button.title = supported
+      ? "Lampirkan gambar (atau tempel dengan Ctrl+V)"
+      : "Model ini tidak mendukung gambar";
+
+    if (!supported && this.current) {
+      this.clear();
+    }
+  }
+
+  /**
+   * Baca, perkecil dan simpan gambar sebagai lampiran aktif
+   * @param {File} file - File gambar
+   * @returns {Promise<boolean>} - True jika berhasil
+   */
+  async attachFile(file) {
+    if (!file || !file.type.startsWith("image/")) {
+      alert("File harus berupa gambar.");
+      return false;
+    }
+
+    if (!this.isSupported()) {
+      alert("Model yang dipilih tidak mendukung gambar. Pilih model lain dulu ya.");
+      return false;
+    }
+
+    if (file.size > this.maxFileBytes) {
+      alert("Ukuran gambar terlalu besar (maksimal 15 MB).");
+      return false;
+    }
+
+    try {
+      const image = await this.loadImage(file);
+      const dataUrl = this.toJpegDataUrl(image, this.maxDimension, this.quality);
+
+      this.current = {
+        mimeType: "image/jpeg",
+        data: dataUrl.split(",")[1],
+        preview: this.toJpegDataUrl(image, this.previewDimension, this.previewQuality),
+      };
+      this.renderPreview();
+      this.input.focus();
+      return true;
+    } catch (error) {
+      alert("Gambar tidak bisa dibaca. Coba format JPG atau PNG.");
+      return false;
+    }
+  }
+
+  /**
+   * Muat file menjadi element <img>
+   * @param {File} file - File gambar
+   * @returns {Promise<HTMLImageElement>}
+   */
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Gambar tidak valid"));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Perkecil gambar dan encode sebagai JPEG
+   * @param {HTMLImageElement} image - Gambar sumber
+   * @param {number} maxDimension - Sisi terpanjang hasil
+   * @param {number} quality - Kualitas JPEG 0-1
+   * @returns {string} - Data URL
+   */
+  toJpegDataUrl(image, maxDimension, quality) {
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const context = canvas.getContext("2d");
+    // Latar putih agar area transparan (PNG) tidak menjadi hitam
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL("image/jpeg", quality);
+  }
+
+  /**
+   * Tampilkan thumbnail lampiran dengan tombol hapus
+   */
+  renderPreview() {
+    this.preview.innerHTML = "";
+    this.preview.hidden = !this.current;
+    if (!this.current) return;
+
+    const thumbnail = document.createElement("img");
+    thumbnail.src = this.current.preview;
+    thumbnail.alt = "Gambar yang akan dikirim";
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "attachment-remove";
+    removeButton.textContent = "✕";
+    removeButton.title = "Hapus gambar";
+    removeButton.setAttribute("aria-label", "Hapus gambar");
+    removeButton.onclick = () => this.clear();
+
+    this.preview.appendChild(thumbnail);
+    this.preview.appendChild(removeButton);
+  }
+
+  /**
+   * Ambil lampiran aktif
+   * @returns {Object|null} - {mimeType, data, preview}
+   */
+  getAttachment() {
+    return this.current ? { ...this.current } : null;
+  }
+
+  /**
+   * Buang lampiran aktif
+   */
+  clear() {
+    this.current = null;
+    if (this.preview) {
+      this.renderPreview();
+    }
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ImageAttachment = ImageAttachment;
@@ -0,0 +1,350 @@
+/**
+ * Markdown renderer untuk balasan bot
+ * Semua teks di-escape dulu sehingga HTML dari model tampil sebagai teks biasa;
+ * hasilnya tetap dilewatkan ke SecurityUtils.sanitizeMarkup sebelum dimasukkan ke DOM
+ */
+
+class MarkdownRenderer {
+  constructor() {
+    this.patterns = {
+      fence: /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/,
+      heading: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+      rule: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+      quote: /^\s{0,3}>\s?/,
+      listItem: /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/,
+      tableDivider: /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/,
+    };
+    // Hanya protokol ini yang boleh menjadi link
+    this.safeUrl = /^(https?:\/\/|mailto:)/i;
+  }
+
+  /**
+   * Render Markdown menjadi HTML
+   * @param {string} markdown - Teks Markdown dari model
+   * @returns {string} - HTML (belum disanitasi)
+   */
+  render(markdown) {
+    const lines = String(markdown || "")
+      .replace(/\r\n?/g, "\n")
+      // Karakter \u0000 dipakai sebagai penanda placeholder di renderInline
+      .replace(/\u0000/g, "")
+      .split("\n");
+
+    return this.renderBlocks(lines);
+  }
+
+  /**
+   * Escape karakter HTML
+   * @param {string} text - Teks mentah
+   * @returns {string} - Teks aman untuk HTML
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Cek apakah baris memulai blok baru (mengakhiri paragraf)
+   * @param {Array<string>} lines - Semua baris
+   * @param {number} index - Posisi baris
+   * @returns {boolean} - True jika baris adalah awal blok
+   */
+  startsBlock(lines, index) {
+    const line = lines[index];
+    return (
+      this.patterns.fence.test(line) ||
+      this.patterns.heading.test(line) ||
+      this.patterns.rule.test(line) ||
+      this.patterns.quote.test(line) ||
+      this.patterns.listItem.test(line) ||
+      this.isTableStart(lines, index)
+    );
+  }
+
+  /**
+   * Tabel dimulai dari baris header berisi "|" yang diikuti baris pemisah (|---|---|)
+   * @param {Array<string>} lines - Semua baris
+   * @param {number} index - Posisi baris
+   * @returns {boolean} - True jika baris adalah header tabel
+   */
+  isTableStart(lines, index) {
+    return (
+      lines[index].includes("|") &&
+      index + 1 < lines.length &&
+      lines[index + 1].includes("-") &&
+      this.patterns.tableDivider.test(lines[index + 1])
+    );
+  }
+
+  /**
+   * Render rangkaian baris menjadi blok HTML
+   * @param {Array<string>} lines - Baris Markdown
+   * @returns {string} - HTML
+   */
+  renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Code block; fence yang belum ditutup (mis. saat streaming) berlaku sampai akhir teks
+      const fence = line.match(this.patterns.fence);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${fence[2]}"` : "";
+        html.push(`<pre><code${language}>${this.escapeHtml(code.join("\n"))}</code></pre>`);
+        continue;
+      }
+
+      const heading = line.match(this.patterns.heading);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (this.patterns.rule.test(line)) {
+        html.push("<hr>");
+        i++;
+        continue;
+      }
+
+      if (this.patterns.quote.test(line)) {
+        const quoted = [];
+        while (i < lines.length && this.patterns.quote.test(lines[i])) {
+          quoted.push(lines[i].replace(this.patterns.quote, ""));
+          i++;
+        }
+        html.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+        continue;
+      }
+
+      if (this.isTableStart(lines, i)) {
+        const table = this.renderTable(lines, i);
+        html.push(table.html);
+        i = table.next;
+        continue;
+      }
+
+      if (this.patterns.listItem.test(line)) {
+        const list = this.renderList(lines, i);
+        html.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      // Paragraf: baris baru tunggal dipertahankan seperti di chat
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      html.push(`<p>${paragraph.map((text) => this.renderInline(text)).join("<br>")}</p>`);
+    }
+
+    return html.join("");
+  }
+
+  /**
+   * Render daftar berurutan/tidak berurutan, termasuk daftar bertingkat
+   * @param {Array<string>} lines - Semua baris
+   * @param {number} start - Posisi item pertama
+   * @returns {Object} - {html, next} dengan next = posisi setelah daftar
+   */
+  renderList(lines, start) {
+    const first = lines[start].match(this.patterns.listItem);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = line.match(this.patterns.listItem);
+      const lineIndent = line.length - line.trimStart().length;
+
+      if (item && item[1].length <= indent + 1 && item[1].length >= indent - 1) {
+        // Item dengan jenis penanda lain di tingkat yang sama memulai daftar baru
+        if (/\d/.test(item[2]) !== ordered) break;
+
+        items.push({
+          number: ordered ? parseInt(item[2], 10) : null,
+          contentIndent: item[1].length + item[2].length + 1,
+          lines: [item[3]],
+        });
+        i++;
+        continue;
+      }
+
+      const current = items[items.length - 1];
+
+      if (!line.trim()) {
+        // Baris kosong hanya meneruskan daftar jika setelahnya masih ada isi daftar ini
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextLine = lines[next] || "";
+        const nextIndent = nextLine.length - nextLine.trimStart().length;
+        const nextItem = nextLine.match(this.patterns.listItem);
+        const continues =
+          next < lines.length &&
+          (nextIndent > indent + 1 ||
+            (nextItem && nextIndent <= indent + 1 && /\d/.test(nextItem[2]) === ordered));
+        if (!continues) break;
+
+        loose = true;
+        current.lines.push("");
+        i++;
+        continue;
+      }
+
+      if (lineIndent > indent) {
+        // Isi bertingkat: buang indentasi sampai sejajar dengan teks item
+        current.lines.push(line.slice(Math.min(lineIndent, current.contentIndent)));
+        i++;
+        continue;
+      }
+
+      // Lanjutan baris tanpa indentasi (lazy continuation)
+      if (!this.startsBlock(lines, i)) {
+        current.lines.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    const tag = ordered ? "ol" : "ul";
+    const startAttribute = ordered && items[0].number !== 1 ? ` start="${items[0].number}"` : "";
+    const itemsHtml = items
+      .map((item) => {
+        let content = this.renderBlocks(item.lines);
+        if (!loose) {
+          // Daftar rapat: teks item tidak dibungkus <p>
+          content = content.replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+        }
+        return `<li>${content}</li>`;
+      })
+      .join("");
+
+    return { html: `<${tag}${startAttribute}>${itemsHtml}</${tag}>`, next: i };
+  }
+
+  /**
+   * Pecah baris tabel menjadi sel
+   * @param {string} line - Baris tabel
+   * @returns {Array<string>} - Isi sel
+   */
+  splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/(?<!\\)\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+  }
+
+  /**
+   * Render tabel gaya GFM
+   * @param {Array<string>} lines - Semua baris
+   * @param {number} start - Posisi baris header
+   * @returns {Object} - {html, next} dengan next = posisi setelah tabel
+   */
+  renderTable(lines, start) {
+    const headers = this.splitTableRow(lines[start]);
+    const aligns = this.splitTableRow(lines[start + 1]).map((cell) => {
+      if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+      if (cell.endsWith(":")) return "right";
+      return null;
+    });
+
+    const renderCell = (tag, text, column) => {
+      const align = aligns[column] ? ` class="align-${aligns[column]}"` : "";
+      return `<${tag}${align}>${this.renderInline(text || "")}</${tag}>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+      const cells = this.splitTableRow(lines[i]);
+      rows.push(`<tr>${headers.map((_, column) => renderCell("td", cells[column], column)).join("")}</tr>`);
+      i++;
+    }
+
+    const head = `<tr>${headers.map((text, column) => renderCell("th", text, column)).join("")}</tr>`;
+    return {
+      html: `<div class="table-wrapper"><table><thead>${head}</thead><tbody>${rows.join("")}</tbody></table></div>`,
+      next: i,
+    };
+  }
+
+  /**
+   * Render format inline: kode, link, tebal, miring, coret
+   * @param {string} text - Satu baris teks Markdown
+   * @returns {string} - HTML
+   */
+  renderInline(text) {
+    // Potongan yang sudah jadi HTML disimpan sementara agar tidak ikut di-escape/diformat
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let output = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      keep(`<code>${this.escapeHtml(code.trim())}</code>`)
+    );
+
+    output = output.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+      if (!this.safeUrl.test(url)) return label;
+      return keep(`<a href="${this.escapeHtml(url)}">${this.renderEmphasis(this.escapeHtml(label))}</a>`);
+    });
+
+    output = output.replace(/\bhttps?:\/\/[^\s<>\u0000]*[^\s<>\u0000.,:;!?"')\]]/g, (url) =>
+      keep(`<a href="${this.escapeHtml(url)}">${this.escapeHtml(url)}</a>`)
+    );
+
+    output = this.renderEmphasis(this.escapeHtml(output));
+
+    // Potongan bisa memuat placeholder lain (mis. kode di dalam label link),
+    // jadi dikembalikan berulang sampai tidak ada yang tersisa
+    const placeholder = /\u0000(\d+)\u0000/g;
+    while (placeholder.test(output)) {
+      output = output.replace(placeholder, (match, index) => stash[Number(index)]);
+    }
+    return output;
+  }
+
+  /**
+   * Tebal, miring dan coret pada teks yang sudah di-escape
+   * @param {string} html - Teks yang sudah di-escape
+   * @returns {string} - HTML
+   */
+  renderEmphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+      .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, "<em>$1</em>")
+      .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>");
+  }
+}
+
+// Export untuk digunakan di file lain
+window.MarkdownRenderer = MarkdownRenderer;
@@ -0,0 +1,96 @@
+/**
+ * Mode selector - memilih learning mode (persona) dari daftar server
+ * dan mengingat pilihan user di localStorage
+ */
+
+class ModeSelector {
+  /**
+   * @param {string} selectSelector - Selector element <select>
+   * @param {ApiClient} apiClient - Client untuk GET /api/modes
+   */
+  constructor(selectSelector, apiClient) {
+    this.select = document.querySelector(selectSelector);
+    this.apiClient = apiClient;
+    this.storageKey = "sahabat_nusantara_selected_mode";
+    this.modes = [];
+  }
+
+  /**
+   * Muat daftar mode dari server lalu render dropdown
+   * @returns {Promise<boolean>} - True jika mode berhasil dimuat
+   */
+  async load() {
+    const modes = await this.apiClient.getModes();
+    if (!modes || modes.length === 0) {
+      // Tanpa daftar mode, pemilih disembunyikan dan backend memakai mode default
+      this.select.closest(".mode-selector")?.classList.add("hidden");
+      return false;
+    }
+
+    this.modes = modes;
+    this.render();
+    this.restoreSelection();
+    return true;
+  }
+
+  /**
+   * Render opsi dropdown
+   */
+  render() {
+    this.select.innerHTML = "";
+
+    this.modes.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode.id;
+      option.textContent = mode.name;
+      option.title = mode.description;
+      this.select.appendChild(option);
+    });
+  }
+
+  /**
+   * Pilih mode yang terakhir dipakai, atau default dari server
+   */
+  restoreSelection() {
+    const saved = this.getSavedMode();
+    const fallback = this.modes.find((mode) => mode.isDefault) || this.modes[0];
+    const selected = this.modes.find((mode) => mode.id === saved) || fallback;
+
+    this.select.value = selected.id;
+  }
+
+  /**
+   * Simpan pilihan mode
+   * @param {string} modeId - Mode ID
+   */
+  saveSelection(modeId) {
+    try {
+      localStorage.setItem(this.storageKey, modeId);
+    } catch (error) {
+      // Silent fail
+    }
+  }
+
+  /**
+   * Ambil pilihan mode yang tersimpan
+   * @returns {string|null} - Mode ID
+   */
+  getSavedMode() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Mode yang sedang dipilih
+   * @returns {Object|null} - Mode dari /api/modes
+   */
+  getSelectedMode() {
+    return this.modes.find((mode) => mode.id === this.select.value) || null;
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ModeSelector = ModeSelector;
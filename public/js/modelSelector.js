@@ -0,0 +1,139 @@
+/**
+ * Model selector - mengisi dropdown model dari katalog server
+ * dan mengingat pilihan user di localStorage
+ */
+
+class ModelSelector {
+  /**
+   * @param {string} selectSelector - Selector element <select>
+   * @param {ApiClient} apiClient - Client untuk GET /api/models
+   */
+  constructor(selectSelector, apiClient) {
+    this.select = document.querySelector(selectSelector);
+    this.apiClient = apiClient;
+    this.storageKey = "sahabat_nusantara_selected_model";
+    this.models = [];
+  }
+
+  /**
+   * Muat katalog dari server lalu render dropdown
+   * Jika server tidak bisa dihubungi, opsi bawaan di HTML tetap dipakai
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const models = await this.apiClient.getModels();
+
+    if (models && models.length > 0) {
+      this.models = models;
+      this.render();
+    }
+
+    this.restoreSelection();
+  }
+
+  /**
+   * Render opsi dropdown dari katalog
+   */
+  render() {
+    this.select.innerHTML = "";
+
+    this.models.forEach((model) => {
+      const option = document.createElement("option");
+      option.value = model.id;
+      option.textContent = model.description
+        ? `${model.label} (${model.description})`
+        : model.label;
+
+      if (!model.available) {
+        option.disabled = true;
+        option.textContent += " - tidak tersedia";
+      }
+
+      this.select.appendChild(option);
+    });
+  }
+
+  /**
+   * Pilih model yang terakhir dipakai, atau default dari server
+   */
+  restoreSelection() {
+    const saved = this.getSavedModel();
+    const isSelectable = (id) =>
+      Array.from(this.select.options).some((option) => option.value === id && !option.disabled);
+
+    if (saved && isSelectable(saved)) {
+      this.select.value = saved;
+      return;
+    }
+
+    const defaultModel = this.models.find((model) => model.isDefault && model.available);
+    if (defaultModel) {
+      this.select.value = defaultModel.id;
+    }
+  }
+
+  /**
+   * Simpan pilihan model
+   * @param {string} modelId - Model ID
+   */
+  saveSelection(modelId) {
+    try {
+      localStorage.setItem(this.storageKey, modelId);
+    } catch (error) {
+      // Silent fail
+    }
+  }
+
+  /**
+   * Ambil pilihan model yang tersimpan
+   * @returns {string|null} - Model ID
+   */
+  getSavedModel() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Batas panjang pesan untuk model yang sedang dipilih
+   * @returns {number} - Maksimal karakter
+   */
+  getMaxInputLength() {
+    const model = this.models.find((item) => item.id === this.select.value);
+    return model ? model.maxInputLength : 1000;
+  }
+
+  /**
+   * Cek apakah model yang sedang dipilih bisa menerima gambar
+   * @returns {boolean} - True jika lampiran gambar didukung
+   */
+  supportsImages() {
+    const model = this.models.find((item) => item.id === this.select.value);
+    return model ? model.supportsImages === true : false;
+  }
+
+  /**
+   * Cek apakah model yang sedang dipilih bisa menerima audio
+   * @returns {boolean} - True jika rekaman suara didukung
+   */
+  supportsAudio() {
+    const model = this.models.find((item) => item.id === this.select.value);
+    return model ? model.supportsAudio === true : false;
+  }
+
+  /**
+   * Model tersedia berikutnya setelah model yang sedang dipilih (untuk "ulangi dengan model lain")
+   * @returns {Object|null} - Model dari katalog, atau null jika tidak ada model lain
+   */
+  getAlternativeModel() {
+    const available = this.models.filter((item) => item.available !== false);
+    const index = available.findIndex((item) => item.id === this.select.value);
+    const alternative = available[(index + 1) % available.length];
+    return alternative && alternative.id !== this.select.value ? alternative : null;
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ModelSelector = ModelSelector;
@@ -0,0 +1,396 @@
+/**
+ * Pronunciation practice - rekam pelajar membaca kalimat lalu nilai pelafalannya
+ * Rekaman memakai MediaRecorder dan dikirim ke POST /api/pronunciation
+ */
+
+class PronunciationPractice {
+  /**
+   * @param {string} dialogSelector - Selector element <dialog> latihan
+   * @param {ApiClient} apiClient - Client untuk POST /api/pronunciation
+   * @param {Object} options - {getModel(), isSupported()} model yang dipakai untuk menilai
+   */
+  constructor(dialogSelector, apiClient, options = {}) {
+    this.dialog = document.querySelector(dialogSelector);
+    this.apiClient = apiClient;
+    this.getModel = options.getModel || (() => null);
+    this.isSupported = options.isSupported || (() => true);
+
+    this.maxSeconds = 30; // Sama dengan config.ai.pronunciation.maxDurationSeconds
+    this.minSeconds = 1;
+    this.samplePhrases = [
+      "Selamat pagi, apa kabar?",
+      "Saya ingin memesan nasi goreng dan es teh manis.",
+      "Berapa harga kain batik ini?",
+      "Candi Borobudur terletak di Jawa Tengah.",
+    ];
+
+    this.recorder = null;
+    this.stream = null;
+    this.timer = null;
+    this.recordingUrl = null;
+
+    if (this.dialog) {
+      // Tutup dialog (termasuk tombol Esc) juga menghentikan rekaman
+      this.dialog.addEventListener("close", () => this.discardRecording());
+    }
+  }
+
+  /**
+   * Cek dukungan perekaman di browser
+   * @returns {boolean} - True jika MediaRecorder dan mikrofon tersedia
+   */
+  canRecord() {
+    return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+  }
+
+  /**
+   * Buka dialog latihan
+   * @param {string} targetText - Kalimat awal (optional)
+   */
+  open(targetText = "") {
+    if (!this.dialog) return;
+
+    this.renderSetup(targetText);
+    this.dialog.showModal();
+  }
+
+  /**
+   * Tutup dialog latihan
+   */
+  close() {
+    this.dialog.close();
+  }
+
+  /**
+   * Kosongkan isi dialog dan tambahkan judul + tombol tutup
+   * @param {string} title - Judul dialog
+   * @returns {HTMLElement} - Container isi
+   */
+  resetContent(title) {
+    this.dialog.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "quiz-header";
+
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "quiz-close-btn";
+    closeButton.textContent = "✕";
+    closeButton.setAttribute("aria-label", "Tutup latihan pelafalan");
+    closeButton.onclick = () => this.close();
+
+    header.appendChild(heading);
+    header.appendChild(closeButton);
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "quiz-body";
+    this.dialog.appendChild(body);
+    return body;
+  }
+
+  /**
+   * Tampilkan pesan error di atas isi dialog
+   * @param {HTMLElement} body - Container isi
+   * @param {string} message - Pesan error
+   */
+  showError(body, message) {
+    const error = document.createElement("p");
+    error.className = "quiz-error";
+    error.textContent = message;
+    body.appendChild(error);
+  }
+
+  /**
+   * Form kalimat yang akan dibaca dan tombol rekam
+   * @param {string} targetText - Kalimat awal
+   * @param {string} errorMessage - Pesan error dari percobaan sebelumnya (optional)
+   */
+  renderSetup(targetText = "", errorMessage = null) {
+    const body = this.resetContent("🎤 Latihan Pelafalan");
+
+    if (errorMessage) {
+      this.showError(body, errorMessage);
+    }
+
+    if (!this.canRecord()) {
+      this.showError(body, "Browser ini tidak mendukung perekaman suara.");
+      return;
+    }
+
+    if (!this.isSupported()) {
+      this.showError(body, "Model yang dipilih tidak mendukung audio. Pilih model lain dulu ya.");
+      return;
+    }
+
+    const form = document.createElement("form");
+    form.className = "quiz-setup";
+    form.innerHTML = `
+      <label>Kalimat yang akan kamu baca
+        <input name="targetText" list="pronunciation-phrases" maxlength="200" required
+          placeholder="mis. Selamat pagi, apa kabar?" />
+      </label>
+      <datalist id="pronunciation-phrases"></datalist>
+      <button type="submit">🎙️ Mulai rekam</button>
+    `;
+
+    const datalist = form.querySelector("datalist");
+    this.samplePhrases.forEach((phrase) => {
+      const option = document.createElement("option");
+      option.value = phrase;
+      datalist.appendChild(option);
+    });
+
+    const input = form.querySelector("input");
+    input.value = targetText;
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (text) {
+        this.startRecording(text);
+      }
+    });
+
+    body.appendChild(form);
+    input.focus();
+  }
+
+  /**
+   * Pilih format rekaman yang didukung browser
+   * @returns {string} - MIME type untuk MediaRecorder ("" = bawaan browser)
+   */
+  pickMimeType() {
+    const candidates = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"];
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+  }
+
+  /**
+   * Mulai merekam dari mikrofon
+   * @param {string} targetText - Kalimat yang dibaca
+   */
+  async startRecording(targetText) {
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      this.renderSetup(targetText, "Izin mikrofon ditolak atau mikrofon tidak ditemukan.");
+      return;
+    }
+
+    const mimeType = this.pickMimeType();
+    const recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    const startedAt = Date.now();
+    this.recorder = recorder;
+
+    recorder.addEventListener("dataavailable", (e) => {
+      if (e.data.size > 0) {
+        chunks.push(e.data);
+      }
+    });
+
+    recorder.addEventListener("stop", () => {
+      this.releaseMicrophone();
+      // Rekaman dibuang jika dialog ditutup di tengah jalan
+      if (this.recorder !== recorder) return;
+      this.recorder = null;
+
+      const duration = (Date.now() - startedAt) / 1000;
+      const type = (recorder.mimeType || mimeType || "audio/webm").split(";")[0];
+      this.submitRecording(targetText, new Blob(chunks, { type }), duration);
+    });
+
+    this.renderRecording(targetText, startedAt);
+    recorder.start();
+  }
+
+  /**
+   * Tampilan saat merekam: kalimat, timer dan tombol selesai
+   * @param {string} targetText - Kalimat yang dibaca
+   * @param {number} startedAt - Timestamp mulai rekam
+   */
+  renderRecording(targetText, startedAt) {
+    const body = this.resetContent("🔴 Merekam...");
+
+    const text = document.createElement("p");
+    text.className = "pronunciation-target";
+    text.textContent = targetText;
+    body.appendChild(text);
+
+    const timer = document.createElement("p");
+    timer.className = "quiz-score";
+    body.appendChild(timer);
+
+    const stopButton = document.createElement("button");
+    stopButton.type = "button";
+    stopButton.className = "quiz-next-btn";
+    stopButton.textContent = "⏹️ Selesai";
+    stopButton.onclick = () => this.stopRecording(startedAt);
+    body.appendChild(stopButton);
+
+    // Rekaman berhenti otomatis di batas durasi server
+    const updateTimer = () => {
+      const elapsed = (Date.now() - startedAt) / 1000;
+      timer.textContent = `${Math.floor(elapsed)} / ${this.maxSeconds} detik`;
+      if (elapsed >= this.maxSeconds) {
+        this.stopRecording(startedAt);
+      }
+    };
+    updateTimer();
+    this.timer = setInterval(updateTimer, 250);
+    stopButton.focus();
+  }
+
+  /**
+   * Hentikan rekaman; rekaman yang terlalu pendek tidak dikirim
+   * @param {number} startedAt - Timestamp mulai rekam
+   */
+  stopRecording(startedAt) {
+    clearInterval(this.timer);
+    if (!this.recorder || this.recorder.state === "inactive") return;
+
+    if ((Date.now() - startedAt) / 1000 < this.minSeconds) {
+      const targetText = this.dialog.querySelector(".pronunciation-target")?.textContent || "";
+      this.discardRecording();
+      this.renderSetup(targetText, "Rekaman terlalu pendek. Coba baca kalimatnya lagi.");
+      return;
+    }
+
+    this.recorder.stop();
+  }
+
+  /**
+   * Hentikan rekaman tanpa mengirimnya
+   */
+  discardRecording() {
+    clearInterval(this.timer);
+    const recorder = this.recorder;
+    this.recorder = null;
+
+    if (recorder && recorder.state !== "inactive") {
+      recorder.stop();
+    }
+    this.releaseMicrophone();
+  }
+
+  /**
+   * Matikan mikrofon agar indikator rekam di browser hilang
+   */
+  releaseMicrophone() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Kirim rekaman ke server lalu tampilkan hasilnya
+   * @param {string} targetText - Kalimat yang dibaca
+   * @param {Blob} audio - Rekaman
+   * @param {number} duration - Durasi rekaman dalam detik
+   */
+  async submitRecording(targetText, audio, duration) {
+    const body = this.resetContent("🎤 Latihan Pelafalan");
+    const loading = document.createElement("p");
+    loading.className = "quiz-loading";
+    loading.textContent = "Menilai pelafalanmu...";
+    body.appendChild(loading);
+
+    const result = await this.apiClient.assessPronunciation(audio, targetText, duration, this.getModel());
+    if (!this.dialog.open) return;
+
+    if (!result.success) {
+      this.renderSetup(targetText, result.error);
+      return;
+    }
+
+    this.renderResult(result.assessment, audio);
+  }
+
+  /**
+   * Tampilkan skor, transkrip, kata yang perlu diperbaiki dan rekaman sendiri
+   * @param {Object} assessment - {targetText, transcript, score, words, feedback}
+   * @param {Blob} audio - Rekaman untuk diputar ulang
+   */
+  renderResult(assessment, audio) {
+    const body = this.resetContent("🏁 Hasil Pelafalan");
+
+    const score = document.createElement("p");
+    score.className = "pronunciation-score";
+    score.textContent = `${assessment.score}%`;
+    score.title = "Kemiripan yang terdengar dengan kalimat target";
+    body.appendChild(score);
+
+    const target = document.createElement("p");
+    target.className = "pronunciation-target";
+    target.textContent = assessment.targetText;
+    body.appendChild(target);
+
+    const transcript = document.createElement("p");
+    transcript.className = "pronunciation-transcript";
+    transcript.textContent = `Terdengar: "${assessment.transcript || "(tidak ada suara yang jelas)"}"`;
+    body.appendChild(transcript);
+
+    if (assessment.words.length > 0) {
+      const list = document.createElement("ul");
+      list.className = "pronunciation-words";
+      assessment.words.forEach((item) => {
+        const entry = document.createElement("li");
+
+        const word = document.createElement("strong");
+        word.textContent = item.word;
+        entry.appendChild(word);
+
+        if (item.heard) {
+          entry.appendChild(document.createTextNode(` → terdengar "${item.heard}"`));
+        }
+
+        if (item.tip) {
+          const tip = document.createElement("span");
+          tip.className = "pronunciation-tip";
+          tip.textContent = item.tip;
+          entry.appendChild(tip);
+        }
+
+        list.appendChild(entry);
+      });
+      body.appendChild(list);
+    }
+
+    if (assessment.feedback) {
+      const feedback = document.createElement("p");
+      feedback.className = "quiz-explanation";
+      feedback.textContent = assessment.feedback;
+      body.appendChild(feedback);
+    }
+
+    if (this.recordingUrl) {
+      URL.revokeObjectURL(this.recordingUrl);
+    }
+    this.recordingUrl = URL.createObjectURL(audio);
+    const player = document.createElement("audio");
+    player.controls = true;
+    player.src = this.recordingUrl;
+    body.appendChild(player);
+
+    const retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "quiz-next-btn";
+    retry.textContent = "🔁 Coba lagi";
+    retry.onclick = () => this.startRecording(assessment.targetText);
+    body.appendChild(retry);
+
+    const another = document.createElement("button");
+    another.type = "button";
+    another.className = "quiz-next-btn secondary";
+    another.textContent = "Kalimat lain";
+    another.onclick = () => this.renderSetup();
+    body.appendChild(another);
+  }
+}
+
+// Export untuk digunakan di file lain
+window.PronunciationPractice = PronunciationPractice;
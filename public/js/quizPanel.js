@@ -0,0 +1,247 @@
+/**
+ * Quiz panel - kuis pilihan ganda interaktif dengan skor
+ */
+
+class QuizPanel {
+  /**
+   * @param {string} dialogSelector - Selector element <dialog> kuis
+   * @param {ApiClient} apiClient - Client untuk POST /api/quiz
+   * @param {Object} options - {getModel()} model yang dipakai untuk membuat kuis
+   */
+  constructor(dialogSelector, apiClient, options = {}) {
+    this.dialog = document.querySelector(dialogSelector);
+    this.apiClient = apiClient;
+    this.getModel = options.getModel || (() => null);
+
+    this.questions = [];
+    this.index = 0;
+    this.score = 0;
+  }
+
+  /**
+   * Buka dialog kuis di halaman pengaturan
+   */
+  open() {
+    if (!this.dialog) return;
+
+    this.renderSetup();
+    this.dialog.showModal();
+  }
+
+  /**
+   * Tutup dialog kuis
+   */
+  close() {
+    this.dialog.close();
+  }
+
+  /**
+   * Kosongkan isi dialog dan tambahkan judul + tombol tutup
+   * @param {string} title - Judul dialog
+   * @returns {HTMLElement} - Container isi
+   */
+  resetContent(title) {
+    this.dialog.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "quiz-header";
+
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "quiz-close-btn";
+    closeButton.textContent = "✕";
+    closeButton.setAttribute("aria-label", "Tutup kuis");
+    closeButton.onclick = () => this.close();
+
+    header.appendChild(heading);
+    header.appendChild(closeButton);
+    this.dialog.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "quiz-body";
+    this.dialog.appendChild(body);
+    return body;
+  }
+
+  /**
+   * Form pengaturan kuis: topik, tingkat kesulitan, jumlah soal
+   * @param {string} errorMessage - Pesan error dari percobaan sebelumnya (optional)
+   */
+  renderSetup(errorMessage = null) {
+    const body = this.resetContent("🧠 Kuis Nusantara");
+
+    const form = document.createElement("form");
+    form.className = "quiz-setup";
+    form.innerHTML = `
+      <label>Topik
+        <input name="topic" list="quiz-topics" maxlength="100" required
+          placeholder="mis. Sejarah Majapahit" />
+      </label>
+      <datalist id="quiz-topics">
+        <option value="Budaya dan adat istiadat Indonesia"></option>
+        <option value="Sejarah Indonesia"></option>
+        <option value="Kuliner Nusantara"></option>
+      </datalist>
+      <label>Tingkat kesulitan
+        <select name="difficulty">
+          <option value="mudah">Mudah</option>
+          <option value="sedang">Sedang</option>
+          <option value="sulit">Sulit</option>
+        </select>
+      </label>
+      <label>Jumlah soal
+        <input name="count" type="number" min="1" max="10" value="5" required />
+      </label>
+      <button type="submit">Buat kuis</button>
+    `;
+
+    if (errorMessage) {
+      const error = document.createElement("p");
+      error.className = "quiz-error";
+      error.textContent = errorMessage;
+      body.appendChild(error);
+    }
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const data = new FormData(form);
+      this.startQuiz({
+        topic: String(data.get("topic")).trim(),
+        difficulty: data.get("difficulty"),
+        count: parseInt(data.get("count"), 10),
+      });
+    });
+
+    body.appendChild(form);
+  }
+
+  /**
+   * Minta kuis ke server lalu tampilkan soal pertama
+   * @param {Object} quiz - {topic, difficulty, count}
+   */
+  async startQuiz(quiz) {
+    const body = this.resetContent("🧠 Kuis Nusantara");
+    const loading = document.createElement("p");
+    loading.className = "quiz-loading";
+    loading.textContent = "Menyusun soal...";
+    body.appendChild(loading);
+
+    const result = await this.apiClient.generateQuiz(quiz, this.getModel());
+    if (!this.dialog.open) return;
+
+    if (!result.success) {
+      this.renderSetup(result.error);
+      return;
+    }
+
+    this.quiz = quiz;
+    this.questions = result.questions;
+    this.index = 0;
+    this.score = 0;
+    this.renderQuestion();
+  }
+
+  /**
+   * Tampilkan soal saat ini
+   */
+  renderQuestion() {
+    const question = this.questions[this.index];
+    const body = this.resetContent(`Soal ${this.index + 1}/${this.questions.length}`);
+
+    const score = document.createElement("p");
+    score.className = "quiz-score";
+    score.textContent = `Skor: ${this.score}`;
+    body.appendChild(score);
+
+    const text = document.createElement("p");
+    text.className = "quiz-question";
+    text.textContent = question.question;
+    body.appendChild(text);
+
+    const options = document.createElement("div");
+    options.className = "quiz-options";
+    question.options.forEach((option, optionIndex) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "quiz-option";
+      button.textContent = `${String.fromCharCode(65 + optionIndex)}. ${option}`;
+      button.onclick = () => this.answer(optionIndex, options, body);
+      options.appendChild(button);
+    });
+    body.appendChild(options);
+  }
+
+  /**
+   * Proses jawaban: tandai benar/salah dan tampilkan penjelasan
+   * @param {number} optionIndex - Indeks pilihan user
+   * @param {HTMLElement} options - Container tombol pilihan
+   * @param {HTMLElement} body - Container isi dialog
+   */
+  answer(optionIndex, options, body) {
+    const question = this.questions[this.index];
+    const isCorrect = optionIndex === question.answerIndex;
+    if (isCorrect) {
+      this.score += 1;
+    }
+
+    const buttons = options.querySelectorAll("button");
+    buttons.forEach((button, buttonIndex) => {
+      button.disabled = true;
+      if (buttonIndex === question.answerIndex) {
+        button.classList.add("correct");
+      } else if (buttonIndex === optionIndex) {
+        button.classList.add("wrong");
+      }
+    });
+
+    body.querySelector(".quiz-score").textContent = `Skor: ${this.score}`;
+
+    const feedback = document.createElement("p");
+    feedback.className = "quiz-explanation";
+    feedback.textContent = `${isCorrect ? "✅ Benar!" : "❌ Kurang tepat."} ${question.explanation}`;
+    body.appendChild(feedback);
+
+    const isLast = this.index === this.questions.length - 1;
+    const next = document.createElement("button");
+    next.type = "button";
+    next.className = "quiz-next-btn";
+    next.textContent = isLast ? "Lihat skor" : "Soal berikutnya";
+    next.onclick = () => {
+      this.index += 1;
+      if (isLast) {
+        this.renderResult();
+      } else {
+        this.renderQuestion();
+      }
+    };
+    body.appendChild(next);
+    next.focus();
+  }
+
+  /**
+   * Tampilkan skor akhir
+   */
+  renderResult() {
+    const body = this.resetContent("🏁 Hasil Kuis");
+    const total = this.questions.length;
+    const percentage = Math.round((this.score / total) * 100);
+
+    const result = document.createElement("p");
+    result.className = "quiz-result";
+    result.textContent = `Skor kamu ${this.score}/${total} (${percentage}%) untuk topik "${this.quiz.topic}".`;
+    body.appendChild(result);
+
+    const again = document.createElement("button");
+    again.type = "button";
+    again.className = "quiz-next-btn";
+    again.textContent = "Kuis baru";
+    again.onclick = () => this.renderSetup();
+    body.appendChild(again);
+  }
+}
+
+// Export untuk digunakan di file lain
+window.QuizPanel = QuizPanel;
@@ -0,0 +1,241 @@
+/**
+ * Review session - sesi kartu hafalan untuk kosakata yang jatuh tempo
+ * Bot menanyakan arti kata di chat, jawaban user dinilai lewat /api/chat
+ * dengan mode "penguji-kosakata" dan schema "penilaian-kosakata" di thread backend tersendiri
+ */
+
+class ReviewSession {
+  /**
+   * @param {ChatUtils} chatUtils - Chat utilities (tampilan kartu)
+   * @param {ApiClient} apiClient - Client untuk menilai jawaban
+   * @param {VocabularyStorage} storage - Buku kosakata dan jadwal ulasan
+   * @param {Object} options - {getModel(), onFinish()}
+   */
+  constructor(chatUtils, apiClient, storage, options = {}) {
+    this.chatUtils = chatUtils;
+    this.apiClient = apiClient;
+    this.storage = storage;
+    this.getModel = options.getModel || (() => null);
+    this.onFinish = options.onFinish || (() => {});
+
+    this.maxCards = 10; // Maksimal 10 kartu per sesi
+    this.conversationId = "vocabulary-review"; // Thread backend khusus penilaian
+    this.gradingMode = "penguji-kosakata";
+    this.gradingSchema = "penilaian-kosakata"; // Balasan divalidasi server
+
+    this.reset();
+  }
+
+  /**
+   * Kosongkan state sesi
+   */
+  reset() {
+    this.active = false;
+    this.cards = [];
+    this.index = 0;
+    this.correctCount = 0;
+  }
+
+  /**
+   * Cek apakah sesi sedang berjalan (jawaban user dialihkan ke sesi)
+   * @returns {boolean} - True jika aktif
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Mulai sesi dengan kata yang jatuh tempo
+   */
+  start() {
+    if (this.active || this.chatUtils.isInputDisabled()) return;
+
+    this.cards = this.storage.getDueWords().slice(0, this.maxCards);
+    if (this.cards.length === 0) {
+      this.chatUtils.addTransientMessage(
+        "🎉 Belum ada kata yang perlu diulas sekarang. Simpan kata baru atau kembali lagi nanti!",
+        "bot"
+      );
+      return;
+    }
+
+    this.active = true;
+    this.index = 0;
+    this.correctCount = 0;
+
+    this.chatUtils.addTransientMessage(
+      `🃏 Sesi ulasan dimulai: ${this.cards.length} kata. Jawab arti setiap kata dengan kata-katamu sendiri. ` +
+        `Ketik "lewati" jika lupa, atau "selesai" untuk berhenti.`,
+      "bot"
+    );
+    this.askCurrentCard();
+  }
+
+  /**
+   * Tampilkan pertanyaan untuk kartu saat ini
+   */
+  askCurrentCard() {
+    const card = this.cards[this.index];
+    this.chatUtils.addTransientMessage(
+      `Kartu ${this.index + 1}/${this.cards.length}: Apa arti kata **${card.word}**?`,
+      "bot"
+    );
+    this.chatUtils.inputElement?.focus();
+  }
+
+  /**
+   * Proses jawaban user untuk kartu saat ini
+   * @param {string} answer - Jawaban asli user (sudah divalidasi, tidak di-escape)
+   */
+  async answer(answer) {
+    if (!this.active) return;
+
+    const card = this.cards[this.index];
+    this.chatUtils.addTransientMessage(answer, "user");
+
+    const command = answer.trim().toLowerCase();
+    if (command === "selesai") {
+      this.finish();
+      return;
+    }
+
+    let grade;
+    if (command === "lewati") {
+      grade = {
+        quality: 0,
+        feedback: card.meaning ? `Artinya: ${card.meaning}.` : "Tidak apa-apa, kata ini akan muncul lagi besok.",
+      };
+    } else {
+      grade = await this.gradeAnswer(card, answer);
+      if (!grade) return; // Gagal dinilai, kartu yang sama bisa dijawab lagi
+    }
+
+    const review = this.storage.recordReview(card.id, grade.quality);
+    const passed = grade.quality >= 3;
+    if (passed) {
+      this.correctCount += 1;
+    }
+
+    const nextReview = review ? ` (ulas lagi dalam ${review.interval} hari)` : "";
+    this.chatUtils.addTransientMessage(
+      `${passed ? "✅" : "❌"} ${grade.feedback}${nextReview}`,
+      "bot"
+    );
+
+    this.index += 1;
+    if (this.index < this.cards.length) {
+      this.askCurrentCard();
+    } else {
+      this.finish();
+    }
+  }
+
+  /**
+   * Nilai jawaban lewat /api/chat
+   * @param {Object} card - Word entry
+   * @param {string} answer - Jawaban user
+   * @returns {Promise<Object|null>} - {quality, feedback}, atau null jika gagal
+   */
+  async gradeAnswer(card, answer) {
+    const loadingMessage = this.chatUtils.addLoadingMessage("Menilai jawaban", () => {
+      this.apiClient.cancelCurrentRequest();
+    });
+
+    const result = await this.apiClient.sendMessage(
+      this.buildGradingPrompt(card, answer),
+      this.getModel(),
+      {
+        conversationId: this.conversationId,
+        mode: this.gradingMode,
+        schema: this.gradingSchema,
+        correction: false,
+      }
+    );
+
+    this.chatUtils.removeLoadingMessage(loadingMessage);
+
+    if (result.cancelled) {
+      this.chatUtils.addTransientMessage("❌ Penilaian dibatalkan. Coba jawab lagi.", "bot");
+      return null;
+    }
+
+    // Mis. kena rate limit atau balasan tidak sesuai schema: sesi tetap lanjut
+    if (!result.success || !result.structured) {
+      this.chatUtils.addTransientMessage(
+        `⚠️ ${result.error || "Jawaban tidak bisa dinilai."} Jawaban dicocokkan dengan arti tersimpan.`,
+        "bot"
+      );
+      return this.fallbackGrade(card, answer);
+    }
+
+    return result.structured;
+  }
+
+  /**
+   * Susun pesan penilaian untuk model
+   * @param {Object} card - Word entry
+   * @param {string} answer - Jawaban user
+   * @returns {string} - Pesan untuk /api/chat
+   */
+  buildGradingPrompt(card, answer) {
+    const lines = [`Kata: ${card.word}`];
+    lines.push(
+      card.meaning
+        ? `Arti yang tersimpan: ${card.meaning}`
+        : "Arti yang tersimpan: (tidak ada, nilai berdasarkan pengetahuanmu)"
+    );
+    if (card.example) {
+      lines.push(`Contoh kalimat: ${card.example}`);
+    }
+    lines.push(`Jawaban pelajar: ${answer}`);
+
+    return lines.join("\n").substring(0, 900);
+  }
+
+  /**
+   * Penilaian sederhana jika model tidak memberi nilai: bandingkan jawaban dengan arti tersimpan
+   * @param {Object} card - Word entry
+   * @param {string} answer - Jawaban user
+   * @returns {Object} - {quality, feedback}
+   */
+  fallbackGrade(card, answer) {
+    const normalize = (text) => String(text || "").toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").trim();
+    const expected = normalize(card.meaning);
+    const given = normalize(answer);
+    const matches = expected && given && (expected.includes(given) || given.includes(expected));
+
+    return {
+      quality: matches ? 4 : 1,
+      feedback: card.meaning ? `Arti yang tersimpan: ${card.meaning}.` : "Jawaban dicatat.",
+    };
+  }
+
+  /**
+   * Akhiri sesi dan tampilkan ringkasan
+   */
+  finish() {
+    if (!this.active) return;
+
+    const answered = this.index;
+    this.chatUtils.addTransientMessage(
+      `🏁 Sesi ulasan selesai: ${this.correctCount}/${answered} kata diingat dengan baik.`,
+      "bot"
+    );
+
+    this.stop();
+  }
+
+  /**
+   * Hentikan sesi tanpa ringkasan (mis. saat pindah thread)
+   */
+  stop() {
+    if (!this.active) return;
+
+    this.reset();
+    this.apiClient.clearConversation(this.conversationId);
+    this.onFinish();
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ReviewSession = ReviewSession;
@@ -6,9 +6,10 @@ class SecurityUtils {
   /**
    * Validasi dan sanitasi pesan user
    * @param {string} message - Pesan yang akan divalidasi
+   * @param {number} maxLength - Panjang maksimal pesan (sesuai model yang dipilih)
    * @returns {Object} - Result object dengan isValid, sanitizedMessage, dan error
    */
-  static validateMessage(message) {
+  static validateMessage(message, maxLength = 1000) {
     // Check if message is string
     if (typeof message !== 'string') {
       return {
@@ -31,7 +32,6 @@ class SecurityUtils {
     }
 
     // Check message length
-    const maxLength = 1000;
     if (trimmed.length > maxLength) {
       return {
         isValid: false,
@@ -109,6 +109,108 @@ class SecurityUtils {
     return text.replace(/[&<>"'\/]/g, (char) => entityMap[char]);
   }
 
+  /**
+   * Kembalikan teks hasil sanitizeHtml ke bentuk aslinya (mis. untuk dikirim ulang atau dicari)
+   * @param {string} text - Text hasil sanitizeHtml
+   * @returns {string} - Teks asli
+   */
+  static decodeHtml(text) {
+    return new DOMParser().parseFromString(text, 'text/html').documentElement.textContent;
+  }
+
+  /**
+   * Tag dan atribut yang boleh ada di HTML hasil render Markdown
+   * @returns {Object} - Map nama tag -> daftar atribut yang diizinkan
+   */
+  static get allowedMarkup() {
+    return {
+      p: [], br: [], hr: [], strong: [], em: [], del: [], blockquote: [],
+      h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+      ul: [], ol: ['start'], li: [],
+      pre: [], code: ['class'],
+      div: ['class'],
+      table: [], thead: [], tbody: [], tr: [], th: ['class'], td: ['class'],
+      a: ['href']
+    };
+  }
+
+  /**
+   * Sanitasi HTML dengan allow-list sebelum dimasukkan lewat innerHTML
+   * Tag lain dibuang (isinya tetap tampil sebagai teks, kecuali script/style dan sejenisnya)
+   * @param {string} html - HTML hasil render
+   * @returns {string} - HTML yang aman
+   */
+  static sanitizeMarkup(html) {
+    // Konten <template> tidak dieksekusi dan tidak memuat resource
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.sanitizeNode(template.content);
+    return template.innerHTML;
+  }
+
+  /**
+   * Sanitasi child node secara rekursif
+   * @param {Node} parent - Node yang isinya disanitasi
+   */
+  static sanitizeNode(parent) {
+    const allowedMarkup = this.allowedMarkup;
+    const droppedWithContent = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const allowedAttributes = allowedMarkup[tag];
+
+      if (!allowedAttributes) {
+        if (droppedWithContent.includes(tag)) {
+          node.remove();
+        } else {
+          this.sanitizeNode(node);
+          node.replaceWith(...node.childNodes);
+        }
+        return;
+      }
+
+      Array.from(node.attributes).forEach((attribute) => {
+        if (!allowedAttributes.includes(attribute.name) || !this.isSafeAttribute(attribute.name, attribute.value)) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+
+      if (tag === 'a') {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      this.sanitizeNode(node);
+    });
+  }
+
+  /**
+   * Validasi nilai atribut yang diizinkan
+   * @param {string} name - Nama atribut
+   * @param {string} value - Nilai atribut
+   * @returns {boolean} - True jika aman
+   */
+  static isSafeAttribute(name, value) {
+    switch (name) {
+      case 'href':
+        return /^(https?:\/\/|mailto:)/i.test(value.trim());
+      case 'start':
+        return /^\d{1,9}$/.test(value);
+      case 'class':
+        return /^(language-[\w+-]+|align-(center|right)|table-wrapper)$/.test(value);
+      default:
+        return false;
+    }
+  }
+
   /**
    * Check for excessive repeated characters
    * @param {string} text - Text to check
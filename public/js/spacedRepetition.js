@@ -0,0 +1,78 @@
+/**
+ * Spaced repetition - penjadwalan ulasan gaya SM-2
+ * quality 0-5: di bawah 3 dianggap lupa dan kartu diulang dari awal
+ */
+
+const SpacedRepetition = {
+  DEFAULT_EASE: 2.5,
+  MIN_EASE: 1.3,
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  /**
+   * State awal untuk kata baru (langsung jatuh tempo)
+   * @param {number} now - Timestamp sekarang
+   * @returns {Object} - {ease, interval, repetitions, due, lastReviewed}
+   */
+  createState(now = Date.now()) {
+    return {
+      ease: this.DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      due: now,
+      lastReviewed: null,
+    };
+  },
+
+  /**
+   * Hitung state berikutnya setelah satu ulasan
+   * @param {Object} state - State dari createState() atau ulasan sebelumnya
+   * @param {number} quality - Nilai jawaban 0-5
+   * @param {number} now - Timestamp sekarang
+   * @returns {Object} - State baru
+   */
+  schedule(state, quality, now = Date.now()) {
+    const q = Math.max(0, Math.min(5, Math.round(quality)));
+    const current = { ...this.createState(now), ...state };
+
+    let { repetitions, interval } = current;
+    if (q >= 3) {
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * current.ease);
+      }
+      repetitions += 1;
+    } else {
+      repetitions = 0;
+      interval = 1;
+    }
+
+    const ease = Math.max(
+      this.MIN_EASE,
+      current.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    );
+
+    return {
+      ease: Math.round(ease * 100) / 100,
+      interval: interval,
+      repetitions: repetitions,
+      due: now + interval * this.DAY_MS,
+      lastReviewed: now,
+    };
+  },
+
+  /**
+   * Cek apakah kartu sudah waktunya diulas
+   * @param {Object} state - State ulasan
+   * @param {number} now - Timestamp sekarang
+   * @returns {boolean} - True jika jatuh tempo
+   */
+  isDue(state, now = Date.now()) {
+    return !state || state.due <= now;
+  },
+};
+
+// Export untuk digunakan di module lain
+window.SpacedRepetition = SpacedRepetition;
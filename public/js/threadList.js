@@ -0,0 +1,149 @@
+/**
+ * Thread list untuk mengelola beberapa percakapan bernama
+ */
+
+class ThreadList {
+  /**
+   * @param {string} containerSelector - Selector element daftar thread
+   * @param {ChatStorage} storage - Storage yang menyimpan thread
+   * @param {Object} callbacks - {onSwitch(threadId), onDelete(threadId), isBusy()}
+   */
+  constructor(containerSelector, storage, callbacks = {}) {
+    this.container = document.querySelector(containerSelector);
+    this.storage = storage;
+    this.onSwitch = callbacks.onSwitch || (() => {});
+    this.onDelete = callbacks.onDelete || (() => {});
+    this.isBusy = callbacks.isBusy || (() => false);
+
+    this.render();
+  }
+
+  /**
+   * Render ulang daftar thread
+   */
+  render() {
+    if (!this.container) return;
+
+    const activeThreadId = this.storage.getActiveThreadId();
+    this.container.innerHTML = "";
+
+    const newButton = document.createElement("button");
+    newButton.type = "button";
+    newButton.className = "thread-new-btn";
+    newButton.textContent = "+ Percakapan baru";
+    newButton.onclick = () => this.createThread();
+    this.container.appendChild(newButton);
+
+    const list = document.createElement("ul");
+    list.className = "thread-items";
+
+    this.storage.getThreads().forEach((thread) => {
+      list.appendChild(this.renderThreadItem(thread, thread.id === activeThreadId));
+    });
+
+    this.container.appendChild(list);
+  }
+
+  /**
+   * Render satu item thread
+   * @param {Object} thread - Thread dari ChatStorage.getThreads()
+   * @param {boolean} isActive - True jika thread sedang dipilih
+   * @returns {HTMLElement} - Element <li>
+   */
+  renderThreadItem(thread, isActive) {
+    const item = document.createElement("li");
+    item.className = "thread-item";
+    if (isActive) {
+      item.classList.add("active");
+    }
+
+    const title = document.createElement("button");
+    title.type = "button";
+    title.className = "thread-title";
+    title.textContent = thread.title;
+    title.title = `${thread.messageCount} pesan`;
+    title.onclick = () => this.switchThread(thread.id);
+
+    const renameButton = document.createElement("button");
+    renameButton.type = "button";
+    renameButton.className = "thread-action";
+    renameButton.textContent = "✎";
+    renameButton.title = "Ganti nama";
+    renameButton.setAttribute("aria-label", "Ganti nama percakapan");
+    renameButton.onclick = () => this.renameThread(thread.id, thread.title);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "thread-action";
+    deleteButton.textContent = "🗑";
+    deleteButton.title = "Hapus";
+    deleteButton.setAttribute("aria-label", "Hapus percakapan");
+    deleteButton.onclick = () => this.deleteThread(thread.id, thread.title);
+
+    item.appendChild(title);
+    item.appendChild(renameButton);
+    item.appendChild(deleteButton);
+    return item;
+  }
+
+  /**
+   * Buat thread baru dan pindah ke sana
+   */
+  createThread() {
+    if (this.isBusy()) return;
+
+    const threadId = this.storage.createThread();
+    this.render();
+    this.onSwitch(threadId);
+  }
+
+  /**
+   * Pindah ke thread lain
+   * @param {string} threadId - Thread ID
+   */
+  switchThread(threadId) {
+    if (this.isBusy() || threadId === this.storage.getActiveThreadId()) return;
+
+    if (this.storage.switchThread(threadId)) {
+      this.render();
+      this.onSwitch(threadId);
+    }
+  }
+
+  /**
+   * Ganti nama thread
+   * @param {string} threadId - Thread ID
+   * @param {string} currentTitle - Judul saat ini
+   */
+  renameThread(threadId, currentTitle) {
+    const title = prompt("Nama percakapan:", currentTitle);
+    if (title === null) return;
+
+    const trimmed = title.trim().substring(0, 60);
+    if (trimmed && this.storage.renameThread(threadId, trimmed)) {
+      this.render();
+    }
+  }
+
+  /**
+   * Hapus thread
+   * @param {string} threadId - Thread ID
+   * @param {string} title - Judul thread (untuk konfirmasi)
+   */
+  deleteThread(threadId, title) {
+    if (this.isBusy()) return;
+    if (!confirm(`Hapus percakapan "${title}"? Riwayatnya tidak bisa dikembalikan.`)) return;
+
+    const wasActive = threadId === this.storage.getActiveThreadId();
+    if (this.storage.deleteThread(threadId)) {
+      this.onDelete(threadId);
+      this.render();
+      if (wasActive) {
+        this.onSwitch(this.storage.getActiveThreadId());
+      }
+    }
+  }
+}
+
+// Export untuk digunakan di file lain
+window.ThreadList = ThreadList;
@@ -0,0 +1,404 @@
+/**
+ * Vocabulary notebook - simpan kata dari balasan bot dan kelola buku kosakata
+ */
+
+class VocabularyNotebook {
+  /**
+   * @param {string} panelSelector - Selector element panel buku kosakata
+   * @param {ChatUtils} chatUtils - Chat utilities (chat box dan notifikasi)
+   * @param {ApiClient} apiClient - Client untuk usulan kosakata
+   * @param {Object} options - {getModel(), onReview()} model untuk usulan dan handler tombol ulas
+   */
+  constructor(panelSelector, chatUtils, apiClient, options = {}) {
+    this.panel = document.querySelector(panelSelector);
+    this.chatUtils = chatUtils;
+    this.apiClient = apiClient;
+    this.getModel = options.getModel || (() => null);
+    this.onReview = options.onReview || (() => {});
+    this.storage = new VocabularyStorage();
+
+    this.saveButton = this.createSaveButton();
+    this.bindSelection();
+
+    // Setiap balasan bot mendapat tombol usulan kosakata
+    this.chatUtils.addBotMessageDecorator((messageElement, text) =>
+      this.addSuggestButton(messageElement, text)
+    );
+
+    this.render();
+  }
+
+  /**
+   * Buka/tutup panel buku kosakata
+   */
+  toggle() {
+    if (!this.panel) return;
+    this.panel.classList.toggle("open");
+  }
+
+  /**
+   * Render ulang isi panel
+   */
+  render() {
+    if (!this.panel) return;
+
+    const words = this.storage.getWords();
+    this.panel.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "vocabulary-header";
+
+    const title = document.createElement("h3");
+    title.textContent = `Buku Kosakata (${words.length})`;
+    header.appendChild(title);
+
+    const exportGroup = document.createElement("div");
+    exportGroup.className = "vocabulary-export";
+
+    const dueCount = this.storage.getDueWords().length;
+    const reviewButton = this.createButton(`Ulas (${dueCount})`, "Mulai sesi ulasan kata yang jatuh tempo", () =>
+      this.onReview()
+    );
+    reviewButton.className = "vocabulary-review-btn";
+    exportGroup.appendChild(reviewButton);
+
+    exportGroup.appendChild(
+      this.createButton("CSV", "Unduh sebagai CSV", () =>
+        this.download("kosakata.csv", this.storage.exportCsv(), "text/csv")
+      )
+    );
+    exportGroup.appendChild(
+      this.createButton("Anki", "Unduh TSV untuk diimpor ke Anki", () =>
+        this.download("kosakata-anki.txt", this.storage.exportAnkiTsv(), "text/tab-separated-values")
+      )
+    );
+    exportGroup.querySelectorAll("button").forEach((button) => {
+      button.disabled = words.length === 0;
+    });
+    reviewButton.disabled = dueCount === 0;
+    header.appendChild(exportGroup);
+
+    this.panel.appendChild(header);
+
+    if (words.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "vocabulary-empty";
+      empty.textContent =
+        "Belum ada kata. Blok kata di balasan bot lalu klik \"Simpan kata\", atau klik \"💡 Kosakata\".";
+      this.panel.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "vocabulary-items";
+    words.forEach((entry) => list.appendChild(this.renderWordItem(entry)));
+    this.panel.appendChild(list);
+  }
+
+  /**
+   * Render satu kata di panel
+   * @param {Object} entry - Entry dari VocabularyStorage
+   * @returns {HTMLElement} - Element <li>
+   */
+  renderWordItem(entry) {
+    const item = document.createElement("li");
+    item.className = "vocabulary-item";
+
+    const review = this.storage.getReviewState(entry);
+    item.title = review.lastReviewed
+      ? `Ulasan berikutnya: ${new Date(review.due).toLocaleDateString("id-ID")}`
+      : "Belum pernah diulas";
+
+    const word = document.createElement("div");
+    word.className = "vocabulary-word";
+    word.textContent = entry.word;
+    if (entry.partOfSpeech) {
+      const pos = document.createElement("span");
+      pos.className = "vocabulary-pos";
+      pos.textContent = entry.partOfSpeech;
+      word.appendChild(pos);
+    }
+
+    const meaning = document.createElement("div");
+    meaning.className = "vocabulary-meaning";
+    meaning.textContent = entry.meaning || "Arti belum diisi";
+    if (!entry.meaning) {
+      meaning.classList.add("missing");
+    }
+
+    item.appendChild(word);
+    item.appendChild(meaning);
+
+    if (entry.example) {
+      const example = document.createElement("div");
+      example.className = "vocabulary-example";
+      example.textContent = entry.example;
+      item.appendChild(example);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "vocabulary-actions";
+    actions.appendChild(
+      this.createButton("✎", "Ubah arti", () => this.editMeaning(entry))
+    );
+    actions.appendChild(
+      this.createButton("🗑", "Hapus kata", () => this.removeWord(entry))
+    );
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Buat tombol kecil
+   * @param {string} label - Teks tombol
+   * @param {string} title - Tooltip
+   * @param {Function} onClick - Handler klik
+   * @returns {HTMLElement} - Element <button>
+   */
+  createButton(label, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.onclick = onClick;
+    return button;
+  }
+
+  /**
+   * Ubah arti kata
+   * @param {Object} entry - Entry dari VocabularyStorage
+   */
+  editMeaning(entry) {
+    const meaning = prompt(`Arti "${entry.word}":`, entry.meaning);
+    if (meaning === null) return;
+
+    if (this.storage.updateWord(entry.id, { meaning: meaning.trim().substring(0, 200) })) {
+      this.render();
+    }
+  }
+
+  /**
+   * Hapus kata dari buku kosakata
+   * @param {Object} entry - Entry dari VocabularyStorage
+   */
+  removeWord(entry) {
+    if (!confirm(`Hapus "${entry.word}" dari buku kosakata?`)) return;
+
+    if (this.storage.removeWord(entry.id)) {
+      this.render();
+    }
+  }
+
+  /**
+   * Simpan kata dan beri tahu user
+   * @param {Object} entry - {word, meaning?, example?, partOfSpeech?, source}
+   * @returns {boolean} - True jika berhasil
+   */
+  saveWord(entry) {
+    const saved = this.storage.addWord(entry);
+    if (!saved) {
+      this.chatUtils.addMessage(
+        "⚠️ Kata gagal disimpan. Penyimpanan browser mungkin penuh.",
+        "bot",
+        "model-notification"
+      );
+      return false;
+    }
+
+    this.render();
+    this.chatUtils.addMessage(
+      `📚 "${saved.word}" disimpan ke buku kosakata`,
+      "bot",
+      "model-notification"
+    );
+    return true;
+  }
+
+  /**
+   * Tombol melayang "Simpan kata" untuk teks yang diblok
+   * @returns {HTMLElement} - Element <button>
+   */
+  createSaveButton() {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "vocabulary-save-btn";
+    button.textContent = "📚 Simpan kata";
+    button.hidden = true;
+
+    // Cegah seleksi hilang sebelum klik diproses
+    button.addEventListener("mousedown", (e) => e.preventDefault());
+    button.addEventListener("click", () => {
+      if (this.pendingSelection) {
+        this.saveWord(this.pendingSelection);
+      }
+      this.hideSaveButton();
+      window.getSelection()?.removeAllRanges();
+    });
+
+    document.body.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Pantau seleksi teks di dalam balasan bot
+   */
+  bindSelection() {
+    const chatBox = this.chatUtils.chatBox;
+    if (!chatBox) return;
+
+    const onSelect = () => setTimeout(() => this.handleSelection(), 0);
+    chatBox.addEventListener("mouseup", onSelect);
+    chatBox.addEventListener("touchend", onSelect);
+    chatBox.addEventListener("scroll", () => this.hideSaveButton());
+  }
+
+  /**
+   * Tampilkan tombol simpan jika seleksi berupa kata/frasa pendek di bubble bot
+   */
+  handleSelection() {
+    const selection = window.getSelection();
+    const text = selection ? selection.toString().trim() : "";
+
+    if (!text || text.length > 50 || /\n/.test(text) || selection.rangeCount === 0) {
+      this.hideSaveButton();
+      return;
+    }
+
+    const anchor = selection.anchorNode?.parentElement?.closest(".message.bot");
+    if (!anchor || anchor.classList.contains("model-notification") || anchor.classList.contains("error")) {
+      this.hideSaveButton();
+      return;
+    }
+
+    this.pendingSelection = {
+      word: text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""),
+      example: this.findSentence(anchor.querySelector(".message-text").textContent, text),
+      source: "selection",
+    };
+    if (!this.pendingSelection.word) {
+      this.hideSaveButton();
+      return;
+    }
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    this.saveButton.style.top = `${Math.max(8, rect.top - 40)}px`;
+    this.saveButton.style.left = `${Math.max(8, rect.left)}px`;
+    this.saveButton.hidden = false;
+  }
+
+  /**
+   * Sembunyikan tombol simpan
+   */
+  hideSaveButton() {
+    this.saveButton.hidden = true;
+    this.pendingSelection = null;
+  }
+
+  /**
+   * Cari kalimat yang memuat kata, dipakai sebagai contoh
+   * @param {string} text - Teks balasan bot
+   * @param {string} word - Kata yang diblok
+   * @returns {string} - Kalimat contoh (kosong jika tidak ditemukan)
+   */
+  findSentence(text, word) {
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const sentence = sentences.find((item) => item.includes(word));
+    return sentence ? sentence.trim().substring(0, 200) : "";
+  }
+
+  /**
+   * Tambah tombol "💡 Kosakata" di bawah balasan bot
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {string} text - Teks balasan
+   */
+  addSuggestButton(messageElement, text) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "vocabulary-suggest-btn";
+    button.textContent = "💡 Kosakata";
+    button.title = "Usulkan kosakata penting dari balasan ini";
+    button.onclick = () => this.showSuggestions(messageElement, button, text);
+    messageElement.appendChild(button);
+  }
+
+  /**
+   * Ambil usulan kosakata dari server dan tampilkan di bawah balasan
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {HTMLElement} button - Tombol "💡 Kosakata"
+   * @param {string} text - Teks balasan
+   */
+  async showSuggestions(messageElement, button, text) {
+    button.disabled = true;
+    button.textContent = "Memuat kosakata...";
+
+    const result = await this.apiClient.suggestVocabulary(text, this.getModel());
+
+    if (!result.success) {
+      button.disabled = false;
+      button.textContent = "💡 Kosakata";
+      this.chatUtils.addMessage(`⚠️ ${result.error}`, "bot", "model-notification");
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "vocabulary-suggestions";
+
+    if (result.words.length === 0) {
+      const empty = document.createElement("li");
+      empty.textContent = "Tidak ada kosakata yang diusulkan.";
+      list.appendChild(empty);
+    }
+
+    result.words.forEach((entry) => {
+      const item = document.createElement("li");
+
+      const word = document.createElement("strong");
+      word.textContent = entry.word;
+
+      const meaning = document.createElement("span");
+      meaning.textContent = ` (${entry.partOfSpeech}) ${entry.meaning}`;
+
+      const saved = this.storage.hasWord(entry.word);
+      const save = this.createButton(saved ? "✓" : "+", "Simpan ke buku kosakata", () => {
+        if (this.saveWord({ ...entry, source: "suggestion" })) {
+          save.textContent = "✓";
+          save.disabled = true;
+        }
+      });
+      save.disabled = saved;
+
+      item.appendChild(save);
+      item.appendChild(word);
+      item.appendChild(meaning);
+      list.appendChild(item);
+    });
+
+    button.replaceWith(list);
+    this.chatUtils.scrollToBottom();
+  }
+
+  /**
+   * Unduh teks sebagai file
+   * @param {string} filename - Nama file
+   * @param {string} content - Isi file
+   * @param {string} mimeType - MIME type
+   */
+  download(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export untuk digunakan di file lain
+window.VocabularyNotebook = VocabularyNotebook;
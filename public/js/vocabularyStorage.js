@@ -0,0 +1,211 @@
+/**
+ * Vocabulary Storage
+ * Buku kosakata pelajar di localStorage, terpisah dari ChatStorage
+ * Tidak memakai TTL: kata dan jadwal ulasannya tetap ada sampai dihapus user
+ */
+
+class VocabularyStorage {
+  constructor() {
+    this.storageKey = "sahabat_nusantara_vocabulary";
+    this.maxWords = 500; // Maksimal 500 kata tersimpan
+    this.version = "1.0";
+  }
+
+  /**
+   * Baca daftar kata dari localStorage
+   * @returns {Array} - Array of word entry
+   */
+  readWords() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const data = stored ? JSON.parse(stored) : null;
+      return data && Array.isArray(data.words) ? data.words : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Simpan daftar kata ke localStorage
+   * @param {Array} words - Array of word entry
+   * @returns {boolean} - True jika berhasil
+   */
+  writeWords(words) {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.version,
+          words: words.slice(-this.maxWords),
+          timestamp: Date.now(),
+        })
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Normalisasi kata untuk pencarian duplikat
+   * @param {string} word - Kata
+   * @returns {string} - Kata dalam huruf kecil tanpa spasi berlebih
+   */
+  normalizeWord(word) {
+    return String(word || "").trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  /**
+   * Get semua kata, terbaru di atas
+   * @returns {Array} - Array of {id, word, meaning, example, partOfSpeech, source, createdAt, review}
+   */
+  getWords() {
+    return this.readWords().sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Cek apakah kata sudah ada di buku kosakata
+   * @param {string} word - Kata
+   * @returns {boolean} - True jika sudah tersimpan
+   */
+  hasWord(word) {
+    const key = this.normalizeWord(word);
+    return this.readWords().some((entry) => this.normalizeWord(entry.word) === key);
+  }
+
+  /**
+   * Simpan kata; kata yang sudah ada dilengkapi (arti/contoh yang kosong diisi)
+   * @param {Object} entry - {word, meaning?, example?, partOfSpeech?, source?}
+   * @returns {Object|null} - Entry yang tersimpan, atau null jika gagal
+   */
+  addWord(entry) {
+    const word = String(entry.word || "").trim().replace(/\s+/g, " ");
+    if (!word) return null;
+
+    const words = this.readWords();
+    const key = this.normalizeWord(word);
+    let saved = words.find((item) => this.normalizeWord(item.word) === key);
+
+    if (saved) {
+      saved.meaning = saved.meaning || entry.meaning || "";
+      saved.example = saved.example || entry.example || "";
+      saved.partOfSpeech = saved.partOfSpeech || entry.partOfSpeech || "";
+    } else {
+      saved = {
+        id: this.generateWordId(),
+        word: word,
+        meaning: entry.meaning || "",
+        example: entry.example || "",
+        partOfSpeech: entry.partOfSpeech || "",
+        source: entry.source || "selection",
+        createdAt: Date.now(),
+        review: SpacedRepetition.createState(),
+      };
+      words.push(saved);
+    }
+
+    return this.writeWords(words) ? saved : null;
+  }
+
+  /**
+   * Ubah data kata (mis. arti yang diisi user)
+   * @param {string} wordId - Word ID
+   * @param {Object} changes - Field yang diubah
+   * @returns {boolean} - True jika kata ditemukan
+   */
+  updateWord(wordId, changes) {
+    const words = this.readWords();
+    const entry = words.find((item) => item.id === wordId);
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    return this.writeWords(words);
+  }
+
+  /**
+   * Hapus kata
+   * @param {string} wordId - Word ID
+   * @returns {boolean} - True jika kata ditemukan
+   */
+  removeWord(wordId) {
+    const words = this.readWords();
+    const remaining = words.filter((item) => item.id !== wordId);
+    if (remaining.length === words.length) return false;
+
+    return this.writeWords(remaining);
+  }
+
+  /**
+   * State ulasan kata; kata lama tanpa state dianggap baru
+   * @param {Object} entry - Word entry
+   * @returns {Object} - State dari SpacedRepetition
+   */
+  getReviewState(entry) {
+    return entry.review || SpacedRepetition.createState(entry.createdAt);
+  }
+
+  /**
+   * Kata yang sudah jatuh tempo untuk diulas, paling lama tertunda di depan
+   * @param {number} now - Timestamp sekarang
+   * @returns {Array} - Array of word entry
+   */
+  getDueWords(now = Date.now()) {
+    return this.readWords()
+      .filter((entry) => SpacedRepetition.isDue(this.getReviewState(entry), now))
+      .sort((a, b) => this.getReviewState(a).due - this.getReviewState(b).due);
+  }
+
+  /**
+   * Catat hasil ulasan dan jadwalkan ulasan berikutnya
+   * @param {string} wordId - Word ID
+   * @param {number} quality - Nilai jawaban 0-5
+   * @returns {Object|null} - State ulasan baru, atau null jika kata tidak ditemukan
+   */
+  recordReview(wordId, quality) {
+    const words = this.readWords();
+    const entry = words.find((item) => item.id === wordId);
+    if (!entry) return null;
+
+    entry.review = SpacedRepetition.schedule(this.getReviewState(entry), quality);
+    return this.writeWords(words) ? entry.review : null;
+  }
+
+  /**
+   * Generate unique word ID
+   * @returns {string} - Unique word ID
+   */
+  generateWordId() {
+    return `word_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Export sebagai CSV (dengan header)
+   * @returns {string} - Isi file CSV
+   */
+  exportCsv() {
+    const escape = (value) => `"${String(value || "").replace(/"/g, '""')}"`;
+    const rows = this.getWords().map((entry) =>
+      [entry.word, entry.meaning, entry.example, entry.partOfSpeech].map(escape).join(",")
+    );
+
+    return ["word,meaning,example,partOfSpeech", ...rows].join("\r\n");
+  }
+
+  /**
+   * Export sebagai TSV yang bisa diimpor ke Anki
+   * Kolom: kata, arti, contoh kalimat, kelas kata
+   * @returns {string} - Isi file TSV
+   */
+  exportAnkiTsv() {
+    // Tab dan baris baru di dalam field akan merusak kolom
+    const clean = (value) => String(value || "").replace(/[\t\r\n]+/g, " ").trim();
+    const rows = this.getWords().map((entry) =>
+      [entry.word, entry.meaning, entry.example, entry.partOfSpeech].map(clean).join("\t")
+    );
+
+    return ["#separator:tab", "#html:false", ...rows].join("\n");
+  }
+}
+
+// Export untuk digunakan di module lain
+window.VocabularyStorage = VocabularyStorage;
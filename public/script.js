@@ -17,6 +17,7 @@ function initializeApp() {
   const chatForm = document.querySelector(".chat-input-form");
   const modelSelect = document.getElementById("model-select");
   const clearChatBtn = document.getElementById("clear-chat-btn");
+  const correctionToggle = document.getElementById("correction-toggle");
   const submitButton = chatForm?.querySelector('button[type="submit"]');
 
   // Check if required elements exist
@@ -38,43 +39,174 @@ function initializeApp() {
     "#user-input",
     '.chat-input-form button[type="submit"]'
   );
-  const rateLimiter = new RateLimiter({
-    maxRequests: 5,
-    timeWindow: 60000, // 1 menit
+  // Isi pemilih model dari katalog server
+  const modelSelector = new ModelSelector("#model-select", apiClient);
+
+  // Lampiran gambar hanya aktif untuk model yang mendukungnya
+  const imageAttachment = new ImageAttachment(".chat-input-form", "#user-input", {
+    isSupported: () => modelSelector.supportsImages(),
   });
+  modelSelector.load().then(() => imageAttachment.refreshAvailability());
 
-  // Event handler untuk form submit
-  chatForm.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const userMessage = userInput.value.trim();
+  // Learning mode menentukan persona bot di backend
+  const modeSelect = document.getElementById("mode-select");
+  const modeSelector = new ModeSelector("#mode-select", apiClient);
+  modeSelector.load().then((loaded) => {
+    if (loaded) {
+      apiClient.setMode(modeSelect.value);
+    }
+  });
 
-    // Cek apakah input sedang disabled (bot sedang memproses)
-    if (chatUtils.isInputDisabled()) {
-      return;
+  // Koreksi tata bahasa: pilihan diingat antar kunjungan
+  const correctionStorageKey = "sahabat_nusantara_correction";
+  if (correctionToggle) {
+    try {
+      correctionToggle.checked = localStorage.getItem(correctionStorageKey) === "true";
+    } catch (error) {
+      // Silent fail
     }
+    apiClient.setCorrectionEnabled(correctionToggle.checked);
 
-    if (!userMessage) return;
+    correctionToggle.addEventListener("change", () => {
+      apiClient.setCorrectionEnabled(correctionToggle.checked);
+      try {
+        localStorage.setItem(correctionStorageKey, String(correctionToggle.checked));
+      } catch (error) {
+        // Silent fail
+      }
+    });
+  }
 
-    // Cek rate limit
-    const rateLimitCheck = rateLimiter.checkRateLimit();
-    if (!rateLimitCheck.allowed) {
-      chatUtils.addErrorMessage(rateLimitCheck.message);
-      return;
-    }
+  // Thread aktif menentukan konteks percakapan di backend
+  apiClient.setConversationId(chatUtils.storage.getActiveThreadId());
 
-    // Validasi keamanan
-    const validation = SecurityUtils.validateMessage(userMessage);
-    if (!validation.isValid) {
-      alert(validation.error);
-      return;
+  const threadList = new ThreadList("#thread-list", chatUtils.storage, {
+    onSwitch: (threadId) => {
+      reviewSession.stop();
+      chatSearch.close();
+      apiClient.setConversationId(threadId);
+      chatUtils.reloadChatHistory();
+      documentShelf.load();
+    },
+    onDelete: (threadId) => {
+      apiClient.clearConversation(threadId);
+    },
+    isBusy: () => chatUtils.isInputDisabled(),
+  });
+
+  // Dokumen bacaan per thread, dipakai server sebagai konteks tanya jawab
+  const documentShelf = new DocumentShelf("#document-bar", apiClient, {
+    onNotify: (text) => chatUtils.addMessage(text, "bot", "model-notification"),
+  });
+  documentShelf.load();
+  const documentBtn = document.getElementById("document-btn");
+  if (documentBtn) {
+    documentBtn.addEventListener("click", () => documentShelf.openPicker());
+  }
+
+  // Cari dan saring pesan thread aktif
+  const chatSearch = new ChatSearch("#chat-search", chatUtils);
+  const searchBtn = document.getElementById("search-btn");
+  if (searchBtn) {
+    searchBtn.addEventListener("click", () => chatSearch.toggle());
+  }
+
+  // Ekspor transkrip (Markdown, HTML siap cetak, teks) dan impor cadangan JSON
+  const chatExporter = new ChatExporter("#export-menu", chatUtils.storage, {
+    getModelLabel: (modelId) =>
+      modelSelector.models.find((model) => model.id === modelId)?.label || modelId,
+    onImported: () => {
+      chatSearch.close();
+      chatUtils.reloadChatHistory();
+      threadList.render();
+    },
+    onNotify: (text) => chatUtils.addMessage(text, "bot", "model-notification"),
+    isBusy: () => chatUtils.isInputDisabled(),
+  });
+  const exportBtn = document.getElementById("export-btn");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", () => chatExporter.toggle());
+  }
+
+  // Toggle daftar thread di layar kecil
+  const threadToggleBtn = document.getElementById("thread-toggle-btn");
+  const threadSidebar = document.getElementById("thread-list");
+  if (threadToggleBtn && threadSidebar) {
+    threadToggleBtn.addEventListener("click", () => {
+      threadSidebar.classList.toggle("open");
+    });
+  }
+
+  // Buku kosakata: simpan kata dari balasan bot dan ulas dengan kartu hafalan
+  let reviewSession = null;
+  const vocabularyNotebook = new VocabularyNotebook(
+    "#vocabulary-panel",
+    chatUtils,
+    apiClient,
+    {
+      getModel: () => modelSelect.value,
+      onReview: () => reviewSession.start(),
     }
+  );
+  reviewSession = new ReviewSession(chatUtils, apiClient, vocabularyNotebook.storage, {
+    getModel: () => modelSelect.value,
+    onFinish: () => vocabularyNotebook.render(),
+  });
+  const vocabularyToggleBtn = document.getElementById("vocabulary-toggle-btn");
+  if (vocabularyToggleBtn) {
+    vocabularyToggleBtn.addEventListener("click", () => vocabularyNotebook.toggle());
+  }
+
+  // Kuis pilihan ganda
+  const quizPanel = new QuizPanel("#quiz-dialog", apiClient, {
+    getModel: () => modelSelect.value,
+  });
+  const quizBtn = document.getElementById("quiz-btn");
+  if (quizBtn) {
+    quizBtn.addEventListener("click", () => quizPanel.open());
+  }
+
+  // Latihan pelafalan; teks yang sedang diseleksi dipakai sebagai kalimat awal
+  const pronunciationPractice = new PronunciationPractice("#pronunciation-dialog", apiClient, {
+    getModel: () => modelSelect.value,
+    isSupported: () => modelSelector.supportsAudio(),
+  });
+  const pronunciationBtn = document.getElementById("pronunciation-btn");
+  if (pronunciationBtn) {
+    pronunciationBtn.addEventListener("click", () => {
+      const selection = window.getSelection().toString().trim().substring(0, 200);
+      pronunciationPractice.open(selection);
+    });
+  }
+
+  const rateLimiter = new RateLimiter({
+    maxRequests: 5,
+    timeWindow: 60000, // 1 menit
+  });
+
+  /**
+   * Tampilkan pesan user, kirim ke backend, lalu tampilkan balasannya secara bertahap
+   * @param {string} userMessage - Pesan yang dikirim ke server
+   * @param {string} displayMessage - Pesan yang ditampilkan dan disimpan (sudah disanitasi)
+   * @param {Object} options - {image, model, replaceTurnId} giliran yang diganti (optional)
+   */
+  async function sendChatTurn(userMessage, displayMessage, options = {}) {
+    const { image = null, model = modelSelect.value, replaceTurnId = null } = options;
+
+    // Pesan baru selalu terlihat, jadi saringan pencarian ditutup dulu
+    chatSearch.close();
 
     // Tampilkan pesan user (yang sudah disanitasi)
-    chatUtils.addMessage(validation.sanitizedMessage, "user");
-    userInput.value = "";
+    const userMessageElement = chatUtils.addMessage(
+      displayMessage,
+      "user",
+      null,
+      image ? { preview: image.preview } : null
+    );
 
     // Flag untuk mencegah double cancel message
     let cancelMessageShown = false;
+    let replaced = false;
 
     // Tampilkan loading dengan cancel button
     const loadingMessage = chatUtils.addLoadingMessage(
@@ -95,19 +227,60 @@ function initializeApp() {
     );
 
     try {
-      // Ambil model yang dipilih
-      const selectedModel = modelSelect.value;
+      // Bubble bot dibuat saat potongan teks pertama tiba
+      let streamingMessage = null;
 
-      // Kirim ke backend dengan model selection
-      const result = await apiClient.sendMessage(userMessage, selectedModel);
+      // Kirim ke backend dengan model selection, teks ditampilkan bertahap
+      const result = await apiClient.sendMessageStream(
+        userMessage,
+        model,
+        (chunk, fullText) => {
+          if (!streamingMessage) {
+            streamingMessage = chatUtils.addStreamingMessage(loadingMessage);
+          }
+          chatUtils.updateStreamingMessage(streamingMessage, fullText);
+        },
+        {
+          image: image ? { mimeType: image.mimeType, data: image.data } : undefined,
+          replaceTurnId: replaceTurnId,
+        }
+      );
 
       // Hapus loading jika belum dihapus
       if (loadingMessage && loadingMessage.parentNode) {
         chatUtils.removeLoadingMessage(loadingMessage);
       }
 
+      // Bubble yang tidak selesai (batal/error) tidak disimpan
+      if (streamingMessage && !result.success) {
+        streamingMessage.remove();
+      }
+
       if (result.success) {
-        chatUtils.addMessage(result.data, "bot");
+        // Koreksi tata bahasa ditempel di bawah pesan user
+        chatUtils.attachCorrection(userMessageElement, result.correction);
+
+        let botMessageElement = streamingMessage;
+        if (streamingMessage) {
+          chatUtils.finalizeStreamingMessage(streamingMessage, result.data);
+        } else {
+          botMessageElement = chatUtils.addMessage(result.data, "bot");
+        }
+
+        // Sumber dari knowledge base ditempel di bawah balasan bot
+        chatUtils.attachCitations(botMessageElement, result.citations);
+        replaced = true;
+
+        // ID giliran dari server dipakai untuk nilai, edit, ulangi dan hapus
+        if (result.turnId) {
+          chatUtils.storage.updateMessage(userMessageElement.dataset.messageId, { turnId: result.turnId });
+          chatUtils.storage.updateMessage(botMessageElement.dataset.messageId, {
+            turnId: result.turnId,
+            model: result.model,
+            mode: result.mode,
+          });
+        }
+        threadList.render();
       } else if (result.cancelled && !cancelMessageShown) {
         // Request was cancelled
         chatUtils.addMessage(
@@ -138,7 +311,206 @@ function initializeApp() {
         );
         cancelMessageShown = true;
       }
+    } finally {
+      if (!replaced) {
+        // Pesan user tanpa balasan tidak punya giliran di server
+        chatUtils.markMessageFailed(userMessageElement);
+
+        // Giliran lama sudah hilang dari tampilan; jika penggantinya gagal, hapus juga di server
+        if (replaceTurnId) {
+          apiClient.deleteTurn(replaceTurnId, true);
+        }
+      }
     }
+  }
+
+  // Event handler untuk form submit
+  chatForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const image = imageAttachment.getAttachment();
+    // Gambar boleh dikirim tanpa teks
+    const userMessage =
+      userInput.value.trim() || (image && !reviewSession.isActive() ? "Apa yang ada di gambar ini?" : "");
+
+    // Cek apakah input sedang disabled (bot sedang memproses)
+    if (chatUtils.isInputDisabled()) {
+      return;
+    }
+
+    if (!userMessage) return;
+
+    // Validasi keamanan
+    const validation = SecurityUtils.validateMessage(
+      userMessage,
+      modelSelector.getMaxInputLength()
+    );
+    if (!validation.isValid) {
+      alert(validation.error);
+      return;
+    }
+
+    // Selama sesi ulasan, input dipakai sebagai jawaban kartu
+    // Dicek sebelum rate limit client agar "lewati"/"selesai" tetap jalan;
+    // jika penilaian kena rate limit server, ReviewSession memakai penilaian sederhana
+    if (reviewSession.isActive()) {
+      userInput.value = "";
+      await reviewSession.answer(userMessage);
+      return;
+    }
+
+    // Cek rate limit
+    const rateLimitCheck = rateLimiter.checkRateLimit();
+    if (!rateLimitCheck.allowed) {
+      chatUtils.addErrorMessage(rateLimitCheck.message);
+      return;
+    }
+
+    userInput.value = "";
+    imageAttachment.clear();
+
+    await sendChatTurn(userMessage, validation.sanitizedMessage, {
+      image,
+      model: modelSelect.value,
+    });
+  });
+
+  /**
+   * Kirim ulang pesan user sebuah giliran (edit / ulangi jawaban)
+   * Giliran tersebut dan semua pesan setelahnya diganti, di tampilan maupun di server
+   * @param {Object} userMessage - Pesan user dari storage
+   * @param {string} text - Teks yang dikirim
+   * @param {string} turnId - ID giliran di server (null untuk pesan lama)
+   * @param {string} model - Model untuk balasan baru
+   */
+  async function resendTurn(userMessage, text, turnId, model = modelSelect.value) {
+    const history = chatUtils.storage.getChatHistory();
+    const index = history.findIndex((message) => message.id === userMessage.id);
+    const hasLaterTurns = history.slice(index + 1).some((message) => message.sender === "user");
+    if (hasLaterTurns && !confirm("Pesan-pesan setelah ini akan dihapus. Lanjutkan?")) {
+      return;
+    }
+
+    const rateLimitCheck = rateLimiter.checkRateLimit();
+    if (!rateLimitCheck.allowed) {
+      chatUtils.addErrorMessage(rateLimitCheck.message);
+      return;
+    }
+
+    const validation = SecurityUtils.validateMessage(text, modelSelector.getMaxInputLength());
+    if (!validation.isValid) {
+      alert(validation.error);
+      return;
+    }
+
+    const userMessageElement = chatUtils.findMessageElement(userMessage.id);
+    chatUtils.storage.truncateFrom(userMessage.id);
+    if (userMessageElement) {
+      chatUtils.removeMessagesFrom(userMessageElement);
+    }
+
+    await sendChatTurn(text, validation.sanitizedMessage, { model, replaceTurnId: turnId });
+  }
+
+  /**
+   * Kirim penilaian 👍/👎 untuk balasan bot, lalu tawarkan komentar
+   * @param {HTMLElement} messageElement - Element pesan bot
+   * @param {string} rating - 'up' atau 'down'
+   * @param {Array} turn - Pesan giliran dari storage (user + bot)
+   */
+  async function rateTurn(messageElement, rating, turn) {
+    const botMessage = turn.find((message) => message.sender === "bot");
+    const userMessage = turn.find((message) => message.sender === "user");
+    if (!botMessage || !botMessage.turnId) {
+      alert("Pesan lama ini tidak bisa dinilai.");
+      return;
+    }
+
+    // Cadangan jika giliran sudah diringkas atau kadaluarsa di server
+    const exchange = userMessage
+      ? {
+          prompt: SecurityUtils.decodeHtml(userMessage.content),
+          reply: botMessage.content,
+          model: botMessage.model,
+          mode: botMessage.mode,
+        }
+      : null;
+    const send = (comment) =>
+      apiClient.sendFeedback({ turnId: botMessage.turnId, rating, comment }, exchange);
+
+    const result = await send();
+    if (!result.success) {
+      chatUtils.addMessage(`⚠️ ${result.error}`, "bot", "model-notification");
+      return;
+    }
+
+    chatUtils.storage.updateMessage(botMessage.id, { feedback: rating });
+    chatUtils.setFeedbackState(messageElement, rating);
+    chatUtils.showFeedbackComment(messageElement, async (comment) => (await send(comment)).success);
+  }
+
+  // Aksi per pesan: nilai, edit & kirim ulang, ulangi jawaban, hapus giliran (salin ditangani ChatUtils)
+  chatUtils.setMessageActionHandler(async (action, messageElement) => {
+    const turn = chatUtils.storage.getTurnMessages(messageElement.dataset.messageId);
+    if (turn.length === 0) return;
+
+    if (action === "feedback-up" || action === "feedback-down") {
+      await rateTurn(messageElement, action === "feedback-up" ? "up" : "down", turn);
+      return;
+    }
+
+    if (chatUtils.isInputDisabled() || reviewSession.isActive()) return;
+
+    const turnId = turn.find((message) => message.turnId)?.turnId || null;
+    const userMessage = turn.find((message) => message.sender === "user");
+
+    if (action === "delete") {
+      if (!confirm("Hapus pesan ini beserta pasangannya?")) return;
+
+      if (turnId && !(await apiClient.deleteTurn(turnId))) {
+        chatUtils.addMessage("⚠️ Gagal menghapus pesan. Coba lagi nanti ya.", "bot", "model-notification");
+        return;
+      }
+
+      const messageIds = turn.map((message) => message.id);
+      chatUtils.storage.removeMessages(messageIds);
+      chatUtils.removeMessageElements(messageIds);
+      threadList.render();
+      return;
+    }
+
+    if (!userMessage) return;
+
+    // Gambar tidak disimpan utuh, jadi giliran bergambar tidak bisa dikirim ulang
+    if (userMessage.image) {
+      alert("Pesan dengan gambar tidak bisa dikirim ulang. Lampirkan gambarnya lagi ya.");
+      return;
+    }
+
+    // Pesan user disimpan dalam bentuk ter-escape (SecurityUtils.sanitizeHtml)
+    const originalText = SecurityUtils.decodeHtml(userMessage.content);
+
+    if (action === "edit") {
+      const userMessageElement = chatUtils.findMessageElement(userMessage.id);
+      if (userMessageElement) {
+        chatUtils.startEditing(userMessageElement, originalText, (text) =>
+          resendTurn(userMessage, text, turnId)
+        );
+      }
+      return;
+    }
+
+    if (action === "regenerate-other") {
+      const alternative = modelSelector.getAlternativeModel();
+      if (!alternative) {
+        alert("Tidak ada model lain yang tersedia.");
+        return;
+      }
+      await resendTurn(userMessage, originalText, turnId, alternative.id);
+      return;
+    }
+
+    // "regenerate" pada balasan bot, atau "retry" pada pesan user yang gagal dikirim
+    await resendTurn(userMessage, originalText, turnId);
   });
 
   // Prevent Enter key submission when input is disabled
@@ -154,6 +526,10 @@ function initializeApp() {
     const selectedModel = e.target.value;
     const modelName = e.target.options[e.target.selectedIndex].text;
 
+    // Ingat pilihan model untuk kunjungan berikutnya
+    modelSelector.saveSelection(selectedModel);
+    imageAttachment.refreshAvailability();
+
     // Show notification about model change with special styling
     chatUtils.addMessage(
       `🤖 Model diubah ke: ${modelName}`,
@@ -162,10 +538,36 @@ function initializeApp() {
     );
   });
 
+  // Handle learning mode change
+  modeSelect.addEventListener("change", (e) => {
+    const mode = modeSelector.getSelectedMode();
+    if (!mode) return;
+
+    apiClient.setMode(mode.id);
+    modeSelector.saveSelection(mode.id);
+
+    chatUtils.addMessage(
+      `🎓 Mode diubah ke: ${mode.name}`,
+      "bot",
+      "model-notification"
+    );
+
+    // Sapaan dan pertanyaan pembuka hanya ditampilkan, tidak disimpan
+    chatUtils.addModeGreeting(mode.greeting, mode.starters, (question) => {
+      userInput.value = question;
+      chatForm.requestSubmit();
+    });
+  });
+
   // End conversation button event listener
   clearChatBtn.addEventListener("click", () => {
     if (confirm("Apakah Anda yakin ingin mengakhiri percakapan ini? Semua riwayat chat akan dihapus.")) {
+      reviewSession.stop();
+      chatSearch.close();
       chatUtils.clearChatHistory();
+      apiClient.clearConversation();
+      documentShelf.clear();
+      threadList.render();
       chatUtils.addMessage("👋 Percakapan telah diakhiri. Terima kasih sudah mengobrol dengan Sahabat Nusantara!", "bot", "model-notification");
     }
   });